@@ -0,0 +1,42 @@
+// 설치된 앱을 오프라인에서도 열 수 있도록 화면 파일을 캐시 (가계부 데이터는 Firestore 로컬 캐시가 담당)
+// CACHE_VERSION과 BUILD_ASSETS는 배포 빌드에서 vite.config.js가 해시가 붙은 JS/CSS 목록으로 채움
+const CACHE_VERSION = 'dev';
+const BUILD_ASSETS = [];
+const CACHE_NAME = `household-app-${CACHE_VERSION}`;
+const APP_SHELL = ['/index.html', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png', ...BUILD_ASSETS];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+// 새 배포가 활성화되면 이전 빌드의 캐시(지난 해시 파일 포함) 정리
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+const putInCache = (key, response) => {
+    if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(key, copy));
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Firebase 등 다른 출처의 요청과 GET이 아닌 요청은 그대로 보냄
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // 화면 이동은 새 배포를 바로 반영하도록 네트워크 우선, 연결이 없으면 캐시된 index.html
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request)
+            .then(response => putInCache('/index.html', response))
+            .catch(() => caches.match('/index.html')));
+        return;
+    }
+
+    // 빌드 파일은 이름에 해시가 들어가므로 캐시 우선
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request).then(response => putInCache(request, response))));
+});
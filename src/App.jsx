@@ -1,8 +1,26 @@
 import React from 'react';
 import { initializeApp } from 'firebase/app';
-import { getFirestore, collection, doc, addDoc, getDocs, writeBatch, query, onSnapshot, setDoc, deleteDoc, Timestamp, runTransaction, where } from 'firebase/firestore';
-import { getAuth, onAuthStateChanged, GoogleAuthProvider, signInWithPopup, signOut, browserLocalPersistence, setPersistence } from 'firebase/auth';
-import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, collection, doc, addDoc, getDocs, writeBatch, query, onSnapshot, setDoc, deleteDoc, Timestamp, runTransaction, where } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, onAuthStateChanged, GoogleAuthProvider, signInWithPopup, signOut, browserLocalPersistence, setPersistence } from 'firebase/auth';
+import { BarChart, Bar, LineChart, Line, ComposedChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import Papa from 'papaparse';
+import {
+    toJsDate, alignToRecurrence, getNextOccurrence, isWithinRecurrenceEnd, expandScheduleOccurrences,
+    getRemainingInstallmentPrincipal, getBilledInstallmentCount, getClosingMonthOffset, getStatementForDate,
+    getLinkedCardTransactionIds, DEFAULT_MINIMUM_PAYMENT_RATE, getUpcomingCardStatement, buildCardStatementsById,
+    getLocalDateKey, buildRateHistory, createKRWConverter, getAmountKRWSnapshot, getTransactionAmountKRW, getFxGainLossReport, getRemainingTransferLeg,
+    getTradeCashAmount, buildHoldings, getNetWorthPoints, reconstructNetWorth, LOAN_CATEGORY, getAmortizationSchedule,
+    getScheduledLoanBalance, isSplitTransaction, getSplitRemainder, transactionHasCategory, transactionHasTag,
+    getParentCategoryMap, getCategoryTree, getCategoryWithChildren, calculateAccountBalances, summarizeAssets,
+    getDefaultBudgetEnd, getBudgetPeriods, DAY_MS, DEFAULT_BUDGET_ALERT_THRESHOLDS, getBudgetForecast, getBudgetAlerts,
+    getCurrentBudgetAlerts, getExpenseByCategory, getMonthlyIncomeExpense, getMemberMonthlyExpense, getDailyTrend,
+} from './ledger';
+import {
+    commitInChunks, createDocOnce, HOUSEHOLD_COLLECTIONS, getHouseholdPath, normalizeEmail, getInvitationId,
+    ensurePersonalHousehold, acceptHouseholdInvitation, removeHouseholdMember, TRASH_COLLECTIONS, TRASH_RETENTION_DAYS, getTrashId,
+    setWithAudit, deleteWithAudit, saveWithAudit, removeWithAudit, restoreFromTrash, revertLinkedCardTransactions,
+    getCategoryReferenceUpdates, rewriteCategoryReferences, getAccountReferences, getReferenceChanges,
+} from './firestore';
 
 // --- Firebase 설정 ---
 // Vite 환경 변수(.env 파일)를 사용하여 Firebase 설정을 구성합니다.
@@ -21,14 +39,22 @@ if (!firebaseConfig.projectId) {
     console.error('Firebase projectId가 제공되지 않았습니다. 환경 설정을 확인하세요.');
 }
 const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+// 오프라인에서도 쓸 수 있도록 IndexedDB에 로컬 캐시를 두고, 여러 탭이 같은 캐시를 공유
+// (오프라인 중의 쓰기는 캐시에 먼저 반영되고 연결되면 자동으로 서버에 전송됨)
+const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
 const auth = getAuth(app);
 
+// 로컬 Firebase 에뮬레이터로 테스트할 때는 VITE_USE_EMULATOR=true로 실행
+if (import.meta.env.VITE_USE_EMULATOR === 'true') {
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+}
+
 // --- 헬퍼 함수 및 상수 ---
 const ICONS = {
-    "은행": "🏦", "증권": "💹", "코인": "🪙", "현금": "💵", "카드": "💳", "기타": " miscellaneous",
+    "은행": "🏦", "증권": "💹", "코인": "🪙", "현금": "💵", "카드": "💳", "기타": " miscellaneous", "대출": "🏛️",
     "수입": "💰", "지출": "💸", "이체": "🔄", "대시보드": "📊", "거래내역": "🧾", "계좌관리": "💼",
-    "리포트": "📈", "데이터": "💾", "스케줄": "📅", "환율": "💱", "예산": "🎯", "템플릿": "📋"
+    "리포트": "📈", "데이터": "💾", "스케줄": "📅", "환율": "💱", "예산": "🎯", "템플릿": "📋", "알림": "🔔", "가계": "👪", "휴지통": "🗑️"
 };
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#da70d6', '#a4de6c', '#d0ed57', '#ffc658'];
 
@@ -56,6 +82,365 @@ const getKSTDateString = (date = new Date()) => {
     return `${year}-${month}-${day}T${hours}:${minutes}`;
 };
 
+// --- 반복 스케줄 헬퍼 ---
+// recurrence: { freq: 'monthly' | 'weekly' | 'lastBusinessDay', interval, dayOfMonth, weekday, until (Timestamp), count }
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+
+const describeRecurrence = (recurrence) => {
+    if (!recurrence) return '';
+    const interval = Number(recurrence.interval) || 1;
+    let label;
+    switch (recurrence.freq) {
+        case 'weekly': label = `${interval > 1 ? `${interval}주마다` : '매주'} ${WEEKDAYS[recurrence.weekday]}요일`; break;
+        case 'lastBusinessDay': label = `${interval > 1 ? `${interval}개월마다` : '매월'} 마지막 영업일`; break;
+        default: label = `${interval > 1 ? `${interval}개월마다` : '매월'} ${recurrence.dayOfMonth}일`; break;
+    }
+    if (recurrence.until) label += ` (~${recurrence.until.toDate().toLocaleDateString()})`;
+    if (recurrence.count) label += ` (총 ${recurrence.count}회)`;
+    return label;
+};
+
+// --- 오프라인 동기화 헬퍼 ---
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// 서버 응답은 잠깐만 기다리고, 오프라인이거나 응답이 늦으면 로컬 캐시에 반영된 것으로 보고 바로 진행 (연결되면 자동으로 전송됨)
+// navigator.onLine은 연결이 불안정해도 true일 수 있으므로 시간 제한으로 막힘을 피함
+// 기다리는 동안 거부된 쓰기는 호출한 쪽에서 알리고, 그 뒤에 거부된 쓰기는 캐시에서 되돌려지므로 콘솔에만 남김
+const WRITE_ACK_TIMEOUT_MS = 3000;
+const queueWrite = (write, label) => {
+    const reportLateFailure = () => write.catch(error => console.error(`${label} 동기화 실패:`, error));
+    if (isOffline()) {
+        reportLateFailure();
+        return Promise.resolve(null);
+    }
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => {
+            reportLateFailure();
+            resolve(null);
+        }, WRITE_ACK_TIMEOUT_MS);
+    });
+    return Promise.race([write.finally(() => clearTimeout(timer)), timeout]);
+};
+
+// --- CSV 명세서 가져오기 헬퍼 ---
+// 은행/카드사 명세서의 다양한 날짜 형식 처리 (2024.05.01, 2024/05/01, 20240501, 2024-05-01 13:22 등)
+const parseStatementDate = (value) => {
+    if (!value) return null;
+    const text = String(value).trim();
+    const match = text.match(/^(\d{4})[.\-/]?\s*(\d{1,2})[.\-/]?\s*(\d{1,2})\.?(?:[\sT]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!match) return null;
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+    const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// 쉼표, 통화 기호, '원' 등을 제거하고 괄호 표기는 음수로 처리
+const parseStatementAmount = (value) => {
+    if (value == null) return null;
+    const text = String(value).trim();
+    if (text === '') return null;
+    const isParenthesized = /^\(.*\)$/.test(text);
+    const number = Number(text.replace(/[^0-9.\-]/g, ''));
+    if (isNaN(number)) return null;
+    return isParenthesized ? -Math.abs(number) : number;
+};
+
+// 매핑 설정에 따라 CSV 한 행을 { date, description, amount(지출은 음수), currency }로 변환
+const mapStatementRow = (row, mapping, defaultCurrency) => {
+    const date = parseStatementDate(row[mapping.dateColumn]);
+    const description = String(row[mapping.descriptionColumn] || '').trim();
+    let amount = null;
+    if (mapping.amountMode === 'split') {
+        const withdrawal = parseStatementAmount(row[mapping.withdrawalColumn]) || 0;
+        const deposit = parseStatementAmount(row[mapping.depositColumn]) || 0;
+        amount = deposit - withdrawal;
+    } else {
+        const raw = parseStatementAmount(row[mapping.amountColumn]);
+        if (raw != null) {
+            if (mapping.amountMode === 'indicator') {
+                const isExpense = String(row[mapping.indicatorColumn] || '').trim() === mapping.expenseIndicator.trim();
+                amount = isExpense ? -Math.abs(raw) : Math.abs(raw);
+            } else {
+                amount = mapping.positiveIsExpense ? -raw : raw;
+            }
+        }
+    }
+    const currency = (mapping.currencyColumn && String(row[mapping.currencyColumn] || '').trim().toUpperCase()) || defaultCurrency;
+    let error = null;
+    if (!date) error = '날짜 형식 오류';
+    else if (amount == null || amount === 0) error = '금액 오류';
+    else if (!description) error = '내용 없음';
+    return { date, description, amount, currency, error };
+};
+
+// --- 중복 거래 탐지 헬퍼 ---
+// 같은 계좌/카드, 금액 1% 이내, 날짜 3일 이내, 내용이 비슷하면 중복 의심으로 판단
+const DUPLICATE_MATCH_OPTIONS = { amountTolerance: 0.01, dayWindow: 3, minDescriptionSimilarity: 0.5 };
+
+const getDuplicateKey = (t) => (t.type === 'card-expense' ? `card:${t.cardId}` : `account:${t.accountId}`);
+
+// 공백/기호와 승인번호 같은 긴 숫자를 제거한 비교용 문자열
+const normalizeDescription = (text = '') => text.toLowerCase().replace(/[\s\-_.,()[\]*#/]/g, '').replace(/\d{4,}/g, '');
+
+// 직접 입력한 짧은 내용과 명세서의 긴 가맹점명을 비교할 수 있도록 bigram 중첩 계수 사용
+const descriptionSimilarity = (a, b) => {
+    const x = normalizeDescription(a);
+    const y = normalizeDescription(b);
+    if (!x || !y) return 0;
+    if (x.includes(y) || y.includes(x)) return 1;
+    const bigrams = (text) => new Set(Array.from({ length: text.length - 1 }, (_, i) => text.slice(i, i + 2)));
+    const gramsX = bigrams(x);
+    const gramsY = bigrams(y);
+    if (gramsX.size === 0 || gramsY.size === 0) return 0;
+    const common = [...gramsX].filter(g => gramsY.has(g)).length;
+    return common / Math.min(gramsX.size, gramsY.size);
+};
+
+const isLikelyDuplicate = (a, b, options = DUPLICATE_MATCH_OPTIONS) => {
+    if (a.type !== b.type || getDuplicateKey(a) !== getDuplicateKey(b)) return false;
+    const amountA = a.originalAmount ?? a.amount;
+    const amountB = b.originalAmount ?? b.amount;
+    if (Math.abs(amountA - amountB) > Math.max(Math.abs(amountA), Math.abs(amountB)) * options.amountTolerance) return false;
+    const dayDiff = Math.abs(toJsDate(a.date).getTime() - toJsDate(b.date).getTime()) / 86400000;
+    if (dayDiff > options.dayWindow) return false;
+    return descriptionSimilarity(a.description, b.description) >= options.minDescriptionSimilarity;
+};
+
+// 새로 입력/가져오는 거래와 중복으로 의심되는 기존 거래 목록
+const findDuplicateMatches = (candidate, transactions) => transactions.filter(t => t.id !== candidate.id && isLikelyDuplicate(candidate, t));
+
+// 전체 거래에서 중복 의심 쌍을 찾음 ('중복 아님'으로 표시한 쌍은 제외)
+const findDuplicatePairs = (transactions) => {
+    const groups = {};
+    transactions.forEach(t => {
+        const key = `${t.type}|${getDuplicateKey(t)}`;
+        (groups[key] = groups[key] || []).push(t);
+    });
+    const pairs = [];
+    const windowMs = DUPLICATE_MATCH_OPTIONS.dayWindow * 86400000;
+    Object.values(groups).forEach(group => {
+        const sorted = [...group].sort((a, b) => a.date.toDate().getTime() - b.date.toDate().getTime());
+        sorted.forEach((a, i) => {
+            for (let j = i + 1; j < sorted.length && sorted[j].date.toDate().getTime() - a.date.toDate().getTime() <= windowMs; j++) {
+                const b = sorted[j];
+                const dismissed = a.notDuplicateOf?.includes(b.id) || b.notDuplicateOf?.includes(a.id);
+                if (!dismissed && isLikelyDuplicate(a, b)) pairs.push([a, b]);
+            }
+        });
+    });
+    return pairs;
+};
+
+// 기존 거래를 유지하면서 비어 있는 정보(카테고리, 메모)와 태그를 다른 거래에서 채움
+const buildDuplicateMergeUpdate = (keep, other) => ({
+    category: keep.category || other.category || '',
+    memo: keep.memo || other.memo || '',
+    tags: Array.from(new Set([...(keep.tags || []), ...(other.tags || [])])),
+});
+
+// --- 자동 분류 규칙 헬퍼 ---
+// rule: { name, priority, isActive, conditions: { descriptionContains, type, accountId, cardId, minAmount, maxAmount }, actions: { category, tags, excludeFromBudget } }
+// 금액 조건(minAmount/maxAmount)은 통화와 관계없이 원화 환산 금액과 비교
+const RULE_APPLICABLE_TYPES = ['expense', 'income', 'card-expense'];
+
+const sortCategoryRules = (rules) => [...rules].sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0) || a.name.localeCompare(b.name));
+
+const matchesCategoryRule = (t, rule, convertToKRW) => {
+    const conditions = rule.conditions || {};
+    const amount = getTransactionAmountKRW(t, convertToKRW);
+    if (conditions.descriptionContains && !(t.description || '').toLowerCase().includes(conditions.descriptionContains.toLowerCase())) return false;
+    if (conditions.type && t.type !== conditions.type) return false;
+    if (conditions.accountId && t.accountId !== conditions.accountId) return false;
+    if (conditions.cardId && t.cardId !== conditions.cardId) return false;
+    if (conditions.minAmount != null && amount < conditions.minAmount) return false;
+    if (conditions.maxAmount != null && amount > conditions.maxAmount) return false;
+    return true;
+};
+
+// 조건이 하나도 없는 규칙은 모든 거래에 일치하므로 저장하지 않음
+const hasCategoryRuleConditions = (conditions = {}) => Object.values(conditions).some(value => value !== '' && value != null);
+
+// 규칙을 우선순위 순서로 적용하여 바뀌는 필드만 반환 (카테고리는 처음 일치한 규칙, 태그는 누적)
+// overwrite가 false이면 이미 카테고리가 있는 거래의 카테고리는 유지
+const getCategoryRuleChanges = (t, rules, convertToKRW, overwrite = false) => {
+    if (!RULE_APPLICABLE_TYPES.includes(t.type)) return null;
+    let category = t.category || '';
+    // 분할 거래의 카테고리는 분할 항목에서 관리
+    let categoryLocked = (!!category && !overwrite) || isSplitTransaction(t);
+    const tags = [...(t.tags || [])];
+    let excludeFromBudget = !!t.excludeFromBudget;
+
+    sortCategoryRules(rules).filter(rule => rule.isActive !== false && matchesCategoryRule(t, rule, convertToKRW)).forEach(rule => {
+        const actions = rule.actions || {};
+        if (actions.category && !categoryLocked) {
+            category = actions.category;
+            categoryLocked = true;
+        }
+        (actions.tags || []).forEach(tag => { if (!tags.includes(tag)) tags.push(tag); });
+        if (actions.excludeFromBudget) excludeFromBudget = true;
+    });
+
+    const changes = {};
+    if (category !== (t.category || '')) changes.category = category;
+    if (tags.length !== (t.tags || []).length) changes.tags = tags;
+    if (excludeFromBudget !== !!t.excludeFromBudget) changes.excludeFromBudget = excludeFromBudget;
+    return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// --- 카드 할부 헬퍼 ---
+// card-expense의 installmentMonths(1 = 일시불), isInterestFree, installmentRate(연 %)
+const INSTALLMENT_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 18, 24];
+
+// --- 카드 명세서 엔진 ---
+const getStatementStatus = (statement) => {
+    if (!statement.isClosed) return { label: '이용 중', className: 'text-gray-500' };
+    if (statement.balance <= 0) return { label: '결제완료', className: 'text-green-600' };
+    if (statement.isOverdue) return { label: '미결제 잔액 이월', className: 'text-red-600' };
+    if (statement.settledAmount > 0) return { label: '부분 결제', className: 'text-orange-500' };
+    return { label: '결제 예정', className: 'text-orange-500' };
+};
+
+// --- 환율 이력 헬퍼 ---
+// exchangeRates 컬렉션: { symbol, date(해당 일 0시), rate }를 통화와 날짜별로 한 건씩 저장 (문서 ID 예: USD_2024-05-01)
+const getExchangeRateId = (symbol, date) => `${symbol}_${getLocalDateKey(date)}`;
+
+// CSV(첫 행은 헤더, 소문자로 맞춤) 또는 JSON 배열 파일을 레코드 배열로 읽음 (환율/시세 파일 가져오기에서 사용)
+const readRecordFile = (text, fileName, jsonShape) => {
+    const records = /\.json$/i.test(fileName)
+        ? JSON.parse(text)
+        : Papa.parse(text.trim(), { header: true, skipEmptyLines: true, transformHeader: header => header.trim().toLowerCase() }).data;
+    if (!Array.isArray(records)) throw new Error(`JSON 파일은 ${jsonShape} 형식의 배열이어야 합니다.`);
+    return records;
+};
+
+// 환율 파일: CSV(date, symbol, rate 열) 또는 JSON 배열([{ date, symbol, rate }])
+const parseRateFile = (text, fileName) => {
+    const records = readRecordFile(text, fileName, '[{ "date", "symbol", "rate" }]');
+    const rates = [];
+    let invalidCount = 0;
+    records.forEach(record => {
+        const date = parseStatementDate(record.date);
+        const symbol = String(record.symbol || record.currency || '').trim().toUpperCase();
+        const rate = parseStatementAmount(record.rate);
+        if (!date || !symbol || symbol === 'KRW' || !(rate > 0)) {
+            invalidCount += 1;
+            return;
+        }
+        rates.push({ symbol, date: new Date(date.getFullYear(), date.getMonth(), date.getDate()), rate });
+    });
+    return { rates, invalidCount };
+};
+
+// --- 환차손익 헬퍼 ---
+// 환전 이체의 적용 환율 표시 (원화가 끼면 외화 1단위당 원화로, 아니면 받은 통화 1단위당 보낸 통화로)
+const formatTransferRate = (sentAmount, sentCurrency, receivedAmount, receivedCurrency) => {
+    if (!sentAmount || !receivedAmount || sentCurrency === receivedCurrency) return '';
+    if (receivedCurrency === 'KRW') return `1 ${sentCurrency} = ${formatNumber(receivedAmount / sentAmount)} KRW`;
+    return `1 ${receivedCurrency} = ${formatNumber(sentAmount / receivedAmount)} ${sentCurrency}`;
+};
+
+// --- 투자 보유 종목 헬퍼 ---
+// 증권/코인 계좌의 매매는 investmentTrades({ accountId, ticker, side, quantity, price, fee, amount, currency, date })로 기록하고,
+// 종목별 시세는 securityPrices({ ticker, price, currency, updatedAt })에 한 건씩 둠
+const INVESTMENT_ACCOUNT_CATEGORIES = ['증권', '코인'];
+const TRADE_SIDES = { buy: '매수', sell: '매도', dividend: '배당' };
+
+// 종목 코드의 '/'(예: BTC/KRW)는 문서 ID에 쓸 수 없으므로 치환
+const getSecurityPriceId = (ticker) => ticker.replace(/\//g, '_');
+
+// 시세 파일: CSV(ticker, price[, currency] 열) 또는 JSON 배열([{ ticker, price, currency }])
+const parsePriceFile = (text, fileName) => {
+    const records = readRecordFile(text, fileName, '[{ "ticker", "price", "currency" }]');
+    const prices = [];
+    let invalidCount = 0;
+    records.forEach(record => {
+        const ticker = String(record.ticker || record.symbol || '').trim().toUpperCase();
+        const price = parseStatementAmount(record.price);
+        if (!ticker || price == null || price < 0) {
+            invalidCount += 1;
+            return;
+        }
+        prices.push({ ticker, price, currency: String(record.currency || '').trim().toUpperCase() || null });
+    });
+    return { prices, invalidCount };
+};
+
+// --- 대출 상환 헬퍼 ---
+const LOAN_METHODS = { equalPayment: '원리금균등', equalPrincipal: '원금균등', bullet: '만기일시' };
+
+// --- 분할 거래 헬퍼 ---
+// 분할 거래는 splits: [{ amount, category, tags, memo, excludeFromBudget }]를 가지며
+// 분할 금액(원래 통화, 거래 금액과 같은 부호)의 합계는 거래 금액과 같아야 함
+const SPLIT_TYPES = ['expense', 'income', 'card-expense'];
+const EMPTY_SPLIT = { amount: '', category: '', tags: '', memo: '', excludeFromBudget: false };
+
+// --- 카테고리 계층 헬퍼 ---
+// category: { name, parentId } 형태의 2단계 계층 (상위 카테고리 아래에 하위 카테고리)
+// 거래/예산은 계속 카테고리 이름으로 참조하며, 상위 카테고리 집계에는 하위 카테고리 금액이 포함됨
+
+// --- 안전한 삭제 헬퍼 ---
+// 삭제 전에 참조 항목 수를 보여주고 다른 항목으로 옮기기 / 보관 / 함께 삭제 중에서 고르도록 함
+const REFERENCE_LABELS = {
+    transactions: '거래', schedules: '일정', templates: '템플릿', budgets: '예산',
+    categoryRules: '자동 분류 규칙', cards: '연결 카드', investmentTrades: '투자 거래', importMappings: 'CSV 가져오기 설정',
+};
+
+const countReferencesByKind = (items) => items.reduce((acc, item) => ({ ...acc, [item.kind]: (acc[item.kind] || 0) + 1 }), {});
+
+const UNLINKED_CARD_MESSAGE = '출금 계좌가 연결되지 않은 카드입니다. 카드를 수정해 출금 계좌를 선택해야 결제할 수 있습니다.';
+
+// 계좌를 함께 삭제할 때 지우지 않고 계좌 연결만 해제하는 참조
+const KEPT_REFERENCE_KINDS = ['cards', 'importMappings'];
+
+// 참조 항목 수 (한 문서가 두 필드에서 참조해도 한 번만 셈)
+const countAccountReferences = (references) => countReferencesByKind(
+    references.filter((item, index) => references.findIndex(other => other.ref.path === item.ref.path) === index)
+);
+
+// --- 계좌/카드 보관 헬퍼 ---
+// 보관(isArchived)된 계좌와 카드는 내역·필터·리포트에는 남기고 새로 고르는 목록에서만 숨김 (이미 선택된 항목은 유지)
+const getSelectableItems = (items, selectedId) => items.filter(item => !item.isArchived || item.id === selectedId);
+
+const getArchivedLabel = (item) => item.isArchived ? `${item.name} (보관됨)` : item.name;
+
+// 화면에서 계산해 붙인 잔액/평가액 필드를 뺀 계좌 문서 값 (휴지통과 변경 이력에 저장)
+const getStoredAccount = ({ balances, holdings, holdingsValueKRW, totalKRW, ...account }) => account;
+
+// --- 반복 예산 헬퍼 ---
+// 반복 예산은 budget.recurrence = { freq, carryOver }를 가지며, 저장된 시작/종료일을 첫 기간으로 삼아
+// 같은 간격으로 오늘이 속한 기간까지 기간을 만들어 냄 (기간별 문서는 저장하지 않음)
+const BUDGET_FREQUENCIES = { weekly: '매주', monthly: '매월', yearly: '매년' };
+
+// --- 예산 알림 헬퍼 ---
+const describeBudgetAlert = (alert) => alert.isForecast
+    ? `${alert.category || '전체'} 예산 초과 예상 (예상 ${formatCurrency(alert.projected)} / 예산 ${formatCurrency(alert.amount)})`
+    : `${alert.category || '전체'} 예산 ${alert.threshold}% 도달 (${formatCurrency(alert.spent)} / ${formatCurrency(alert.amount)})`;
+
+// --- 가계 공유 헬퍼 ---
+const HOUSEHOLD_ROLES = { owner: '소유자', editor: '편집자', viewer: '보기 전용' };
+
+const canEditHousehold = (role) => role === 'owner' || role === 'editor';
+
+const getMemberName = (household, uid) => uid ? (household?.members?.[uid]?.displayName || '이전 구성원') : '미지정';
+
+// --- 변경 이력 헬퍼 ---
+const AUDIT_ACTIONS = { create: '추가', update: '수정', delete: '삭제', restore: '복원' };
+
+// 이력 화면에서 보여줄 필드 이름 (작성/수정 표시는 이력 자체에 들어 있으므로 숨김)
+const AUDIT_FIELD_LABELS = {
+    type: '종류', description: '내용', amount: '금액', originalAmount: '원래 금액', originalCurrency: '통화', date: '날짜',
+    accountId: '계좌', toAccountId: '입금 계좌', cardId: '카드', category: '카테고리', splits: '분할', tags: '태그', memo: '메모',
+};
+const AUDIT_HIDDEN_FIELDS = ['updatedAt', 'updatedBy'];
+
+const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value.toDate === 'function') return value.toDate().toLocaleString('ko-KR');
+    if (typeof value === 'number') return formatNumber(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
 
 // --- UI 컴포넌트 ---
 function CustomModal({ message, onConfirm, onCancel }) {
@@ -83,6 +468,48 @@ function CustomAlert({ message, onClose }) {
     );
 }
 
+// 삭제 전 참조 항목 수를 보여주고 처리 방법을 고르는 패널 (다른 항목으로 옮기기 / 보관 / 함께 삭제)
+function ReferenceDeletePanel({ itemName, counts, targets, deleteDescription, onReassign, onArchive, onDelete, onCancel }) {
+    const [targetId, setTargetId] = React.useState('');
+    const entries = Object.entries(counts).filter(([, count]) => count > 0);
+
+    return (
+        <div onClick={e => e.stopPropagation()} className="mt-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm space-y-2 cursor-default">
+            <p className="font-semibold">'{itemName}' 삭제</p>
+            <p>{entries.length > 0 ? `참조 중인 항목: ${entries.map(([kind, count]) => `${REFERENCE_LABELS[kind]} ${count}건`).join(', ')}` : '참조 중인 항목이 없습니다.'}</p>
+            {entries.length > 0 && targets.length > 0 && (
+                <div className="flex gap-2 items-center">
+                    <select value={targetId} onChange={e => setTargetId(e.target.value)} className="flex-grow p-2 border rounded-md bg-white">
+                        <option value="">옮길 대상 선택</option>
+                        {targets.map(target => <option key={target.id} value={target.id}>{target.name}</option>)}
+                    </select>
+                    <button onClick={() => onReassign(targetId)} disabled={!targetId} className="bg-indigo-500 text-white px-3 py-2 rounded-lg disabled:opacity-50">옮기고 삭제</button>
+                </div>
+            )}
+            {entries.length > 0 && deleteDescription && <p className="text-xs text-gray-500">{deleteDescription}</p>}
+            <div className="flex flex-wrap justify-end gap-2">
+                {onArchive && <button onClick={onArchive} className="bg-yellow-500 text-white px-3 py-2 rounded-lg">보관 (기록 유지)</button>}
+                <button onClick={onDelete} className="bg-red-500 text-white px-3 py-2 rounded-lg">삭제</button>
+                <button onClick={onCancel} className="bg-gray-300 px-3 py-2 rounded-lg">취소</button>
+            </div>
+        </div>
+    );
+}
+
+// 연결 상태와 서버에 아직 전송되지 않은 변경 수
+function SyncStatus({ isOnline, pendingCount }) {
+    const status = !isOnline
+        ? { color: 'bg-gray-400', label: pendingCount > 0 ? `오프라인 · 대기 중 ${pendingCount}건` : '오프라인' }
+        : pendingCount > 0
+            ? { color: 'bg-yellow-400', label: `동기화 중 ${pendingCount}건` }
+            : { color: 'bg-green-500', label: '동기화됨' };
+    return (
+        <p className="text-xs text-gray-500 mt-1 flex items-center justify-center" title={isOnline ? '온라인' : '오프라인에서 입력한 내용은 연결되면 자동으로 전송됩니다.'}>
+            <span className={`inline-block w-2 h-2 rounded-full mr-1 ${status.color}`}></span>{status.label}
+        </p>
+    );
+}
+
 // --- 로그인 화면 컴포넌트 ---
 function LoginScreen({ onGoogleSignIn }) {
     return (
@@ -113,6 +540,10 @@ function LoginScreen({ onGoogleSignIn }) {
 export default function HouseholdApp() {
     const [user, setUser] = React.useState(null);
     const [isLoading, setIsLoading] = React.useState(true);
+    const [householdId, setHouseholdId] = React.useState(null);
+    const [household, setHousehold] = React.useState(null);
+    const [householdError, setHouseholdError] = React.useState(null);
+    const [householdRetryCount, setHouseholdRetryCount] = React.useState(0);
     const [activeView, setActiveView] = React.useState('dashboard');
     const [editingTransaction, setEditingTransaction] = React.useState(null);
     const [editingSchedule, setEditingSchedule] = React.useState(null);
@@ -130,6 +561,18 @@ export default function HouseholdApp() {
     const [memos, setMemos] = React.useState([]);
     const [budgets, setBudgets] = React.useState([]);
     const [templates, setTemplates] = React.useState([]);
+    const [importMappings, setImportMappings] = React.useState([]);
+    const [categoryRules, setCategoryRules] = React.useState([]);
+    const [exchangeRates, setExchangeRates] = React.useState([]);
+    const [investmentTrades, setInvestmentTrades] = React.useState([]);
+    const [securityPrices, setSecurityPrices] = React.useState([]);
+    const [netWorthSnapshots, setNetWorthSnapshots] = React.useState([]);
+    const [notifications, setNotifications] = React.useState([]);
+    const [trash, setTrash] = React.useState([]);
+    const [isOnline, setIsOnline] = React.useState(() => !isOffline());
+    const [pendingWrites, setPendingWrites] = React.useState({});
+    // 컬렉션별로 마지막 스냅샷이 서버 데이터인지 (로컬 캐시만 읽은 상태에서는 자동 기록을 하지 않음)
+    const [serverSynced, setServerSynced] = React.useState({});
 
     const [modal, setModal] = React.useState({ isOpen: false, message: '', onConfirm: null });
     const [alert, setAlert] = React.useState({ isOpen: false, message: '' });
@@ -146,14 +589,78 @@ export default function HouseholdApp() {
         return () => unsubscribe();
     }, []);
 
-    // --- 데이터 로딩 ---
+    // --- 연결 상태 ---
     React.useEffect(() => {
+        const updateOnline = () => setIsOnline(!isOffline());
+        window.addEventListener('online', updateOnline);
+        window.addEventListener('offline', updateOnline);
+        return () => {
+            window.removeEventListener('online', updateOnline);
+            window.removeEventListener('offline', updateOnline);
+        };
+    }, []);
+
+    // --- 가계 선택 ---
+    // 사용자 문서에 기록된 가계를 열고, 아직 없으면 개인 가계를 만들어 예전 데이터를 옮김
+    React.useEffect(() => {
+        setHouseholdId(null);
+        setHouseholdError(null);
         if (!user) return;
+        return onSnapshot(doc(db, 'users', user.uid), (snapshot) => {
+            const savedHouseholdId = snapshot.data()?.householdId;
+            if (savedHouseholdId) {
+                setHouseholdId(savedHouseholdId);
+            } else if (!snapshot.metadata.fromCache) {
+                // 로컬 캐시에 아직 없을 뿐인 경우와 구분하기 위해 서버에서 확인한 뒤에만 만듦
+                ensurePersonalHousehold(db, user)
+                    .then(skipped => {
+                        if (skipped > 0) showAlert(`형식이 잘못된 예전 거래 ${skipped}건은 옮기지 않았습니다. 원본은 그대로 남아 있습니다.`);
+                    })
+                    .catch(error => {
+                        console.error("개인 가계 생성 실패:", error);
+                        setHouseholdError(`개인 가계 생성 실패: ${error.message}`);
+                    });
+            }
+        }, (error) => console.error("사용자 정보 로딩 실패:", error));
+    }, [user, householdRetryCount]);
+
+    // 구성원에서 빠졌거나 가계가 사라지면 개인 가계로 돌아감
+    React.useEffect(() => {
+        setHousehold(null);
+        if (!user || !householdId) return;
+        const returnToPersonalHousehold = () => {
+            if (householdId !== user.uid) setDoc(doc(db, 'users', user.uid), { householdId: user.uid }, { merge: true });
+        };
+        return onSnapshot(doc(db, 'households', householdId), (snapshot) => {
+            if (snapshot.exists() && snapshot.data().members?.[user.uid]) {
+                setHousehold({ id: snapshot.id, ...snapshot.data() });
+            } else if (!snapshot.metadata.fromCache) {
+                returnToPersonalHousehold();
+            }
+        }, (error) => {
+            console.error("가계 정보 로딩 실패:", error);
+            returnToPersonalHousehold();
+        });
+    }, [user, householdId]);
+
+    const dataPath = household ? getHouseholdPath(household.id) : null;
+    const canEdit = canEditHousehold(household?.members?.[user?.uid]?.role);
 
-        const collectionsToWatch = ['accounts', 'cards', 'transactions', 'schedules', 'currencies', 'categories', 'memos', 'budgets', 'templates'];
-        const unsubscribes = collectionsToWatch.map(colName => {
-            const q = query(collection(db, `users/${user.uid}/${colName}`));
-            return onSnapshot(q, (querySnapshot) => {
+    // --- 데이터 로딩 ---
+    React.useEffect(() => {
+        if (!dataPath) return;
+
+        const unsubscribes = HOUSEHOLD_COLLECTIONS.map(colName => {
+            const q = query(collection(db, `${dataPath}/${colName}`));
+            let lastFromCache = null;
+            // 메타데이터 변경도 받아 서버에 아직 전송되지 않은 문서 수를 셈
+            // (데이터는 문서가 바뀌었거나 캐시/서버 여부가 바뀐 경우에만 갱신)
+            return onSnapshot(q, { includeMetadataChanges: true }, (querySnapshot) => {
+                const pendingCount = querySnapshot.docs.filter(d => d.metadata.hasPendingWrites).length;
+                setPendingWrites(prev => (prev[colName] || 0) === pendingCount ? prev : { ...prev, [colName]: pendingCount });
+                if (querySnapshot.docChanges().length === 0 && querySnapshot.metadata.fromCache === lastFromCache) return;
+                lastFromCache = querySnapshot.metadata.fromCache;
+                setServerSynced(prev => prev[colName] === !lastFromCache ? prev : { ...prev, [colName]: !lastFromCache });
                 const data = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
                 switch (colName) {
                     case 'accounts': setAccounts(data); break;
@@ -161,8 +668,9 @@ export default function HouseholdApp() {
                     case 'transactions': setTransactions(data.sort((a, b) => (b.date?.toDate()?.getTime() || 0) - (a.date?.toDate()?.getTime() || 0))); break;
                     case 'schedules': setSchedules(data.sort((a, b) => (a.date?.toDate()?.getTime() || 0) - (b.date?.toDate()?.getTime() || 0))); break;
                     case 'currencies':
-                        if (data.length === 0 || !data.some(c => c.symbol === 'KRW')) {
-                            setDoc(doc(db, `users/${user.uid}/currencies`, 'KRW'), { symbol: 'KRW', name: '대한민국 원', rate: 1, isBase: true });
+                        // 로컬 캐시만 보고는 비어 있는지 알 수 없으므로 서버 데이터로 확인한 뒤에 기본 통화를 만듦
+                        if (canEdit && !querySnapshot.metadata.fromCache && !data.some(c => c.symbol === 'KRW')) {
+                            setDoc(doc(db, `${dataPath}/currencies`, 'KRW'), { symbol: 'KRW', name: '대한민국 원', rate: 1, isBase: true });
                         }
                         setCurrencies(data);
                         break;
@@ -170,53 +678,49 @@ export default function HouseholdApp() {
                     case 'memos': setMemos(data.sort((a, b) => (b.createdAt?.toDate()?.getTime() || 0) - (a.createdAt?.toDate()?.getTime() || 0))); break;
                     case 'budgets': setBudgets(data.sort((a, b) => (b.startDate?.toDate()?.getTime() || 0) - (a.startDate?.toDate()?.getTime() || 0))); break;
                     case 'templates': setTemplates(data); break;
+                    case 'importMappings': setImportMappings(data.sort((a, b) => a.name.localeCompare(b.name))); break;
+                    case 'categoryRules': setCategoryRules(sortCategoryRules(data)); break;
+                    case 'exchangeRates': setExchangeRates(data.sort((a, b) => (b.date?.toDate()?.getTime() || 0) - (a.date?.toDate()?.getTime() || 0))); break;
+                    case 'investmentTrades': setInvestmentTrades(data.sort((a, b) => (b.date?.toDate()?.getTime() || 0) - (a.date?.toDate()?.getTime() || 0))); break;
+                    case 'securityPrices': setSecurityPrices(data); break;
+                    case 'netWorthSnapshots': setNetWorthSnapshots(data); break;
+                    case 'notifications': setNotifications(data.sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0))); break;
+                    case 'trash': setTrash(data.sort((a, b) => (b.deletedAt?.toMillis() || 0) - (a.deletedAt?.toMillis() || 0))); break;
                     default: break;
                 }
             }, (error) => console.error(`${colName} 데이터 로딩 실패:`, error));
         });
 
-        return () => unsubscribes.forEach(unsub => unsub());
-    }, [user]);
+        return () => {
+            unsubscribes.forEach(unsub => unsub());
+            // 다른 가계로 바꿀 때 이전 가계의 데이터가 새 가계에 저장되지 않도록 비움
+            [setAccounts, setCards, setTransactions, setSchedules, setCurrencies, setCategories, setMemos, setBudgets, setTemplates, setImportMappings, setCategoryRules, setExchangeRates, setInvestmentTrades, setSecurityPrices, setNetWorthSnapshots, setNotifications, setTrash].forEach(clear => clear([]));
+            setPendingWrites({});
+            setServerSynced({});
+        };
+    }, [dataPath, canEdit]);
+
+    const isServerSynced = HOUSEHOLD_COLLECTIONS.every(colName => serverSynced[colName]);
 
     // --- 데이터 처리 및 계산 ---
     const accountsById = React.useMemo(() => accounts.reduce((acc, curr) => ({ ...acc, [curr.id]: curr }), {}), [accounts]);
     const cardsById = React.useMemo(() => cards.reduce((acc, curr) => ({ ...acc, [curr.id]: curr }), {}), [cards]);
     const rates = React.useMemo(() => currencies.reduce((acc, curr) => ({ ...acc, [curr.symbol]: curr.rate }), {}), [currencies]);
+    const rateHistory = React.useMemo(() => buildRateHistory(exchangeRates), [exchangeRates]);
 
-    const convertToKRW = React.useCallback((amount, currency) => {
-        if (!currency || currency === 'KRW') return amount;
-        return amount * (rates[currency] || 1);
-    }, [rates]);
-
-    const accountsWithCalculatedBalances = React.useMemo(() => {
-        return accounts.map(account => {
-            const balances = {};
-            if (account.initialBalance) {
-                balances[account.currency] = account.initialBalance;
-            }
-
-            transactions.forEach(t => {
-                const currency = t.originalCurrency || accountsById[t.accountId]?.currency || 'KRW';
-                const amount = t.originalAmount ?? t.amount;
+    // date를 넘기면 그 날짜의 환율 이력으로, 생략하면 현재 환율로 환산
+    const convertToKRW = React.useMemo(() => createKRWConverter(rates, rateHistory), [rates, rateHistory]);
 
-                if (t.accountId === account.id) {
-                    if (t.type === 'income') balances[currency] = (balances[currency] || 0) + amount;
-                    if (t.type === 'expense' || t.type === 'payment') balances[currency] = (balances[currency] || 0) - amount;
-                }
-                if (t.type === 'transfer') {
-                    if (t.accountId === account.id) balances[currency] = (balances[currency] || 0) - amount;
-                    if (t.toAccountId === account.id) balances[currency] = (balances[currency] || 0) + amount;
-                }
-            });
+    const holdingsByAccount = React.useMemo(() => buildHoldings(investmentTrades), [investmentTrades]);
+    const pricesByTicker = React.useMemo(() => securityPrices.reduce((acc, p) => ({ ...acc, [p.ticker]: p }), {}), [securityPrices]);
 
-            let totalKRW = 0;
-            Object.entries(balances).forEach(([currency, amount]) => {
-                totalKRW += convertToKRW(amount, currency);
-            });
+    const accountsWithCalculatedBalances = React.useMemo(
+        () => calculateAccountBalances(accounts, transactions, investmentTrades, accountsById, holdingsByAccount, pricesByTicker, convertToKRW),
+        [accounts, transactions, investmentTrades, accountsById, holdingsByAccount, pricesByTicker, convertToKRW]
+    );
 
-            return { ...account, balances, totalKRW };
-        });
-    }, [accounts, transactions, rates, convertToKRW, accountsById]);
+    // 카드별 명세서 (대시보드 결제 예정 금액과 카드 관리 화면에서 공통으로 사용)
+    const cardStatementsById = React.useMemo(() => buildCardStatementsById(cards, transactions), [cards, transactions]);
 
     const { 
         totalAssetInKRW, 
@@ -224,49 +728,71 @@ export default function HouseholdApp() {
         upcomingPayments, 
         assetsByCurrency,
         totalUpcomingIncome,
-        totalUpcomingExpense
-    } = React.useMemo(() => {
-        const totalCash = accountsWithCalculatedBalances.reduce((sum, acc) => sum + acc.totalKRW, 0);
+        totalUpcomingExpense,
+        totalLoanBalanceInKRW
+    } = React.useMemo(
+        () => summarizeAssets(accountsWithCalculatedBalances, cards, cardStatementsById, schedules, accountsById, convertToKRW),
+        [accountsWithCalculatedBalances, cards, cardStatementsById, schedules, accountsById, convertToKRW]
+    );
 
-        const currencySummary = accountsWithCalculatedBalances.reduce((summary, account) => {
-            Object.entries(account.balances).forEach(([currency, amount]) => {
-                summary[currency] = (summary[currency] || 0) + amount;
-            });
-            return summary;
+    // 오늘의 카테고리별 순자산을 하루에 한 번 저장해 두어 나중에 환율·시세가 바뀌어도 그날의 평가액을 유지
+    // (모든 컬렉션을 서버에서 읽은 뒤의 값만 기록하고, 먼저 기록한 구성원의 스냅샷은 덮어쓰지 않음)
+    React.useEffect(() => {
+        if (!dataPath || !canEdit || !isServerSynced || accountsWithCalculatedBalances.length === 0) return;
+        const today = new Date();
+        const key = getLocalDateKey(today);
+        if (netWorthSnapshots.some(s => s.id === key)) return;
+        const byCategory = accountsWithCalculatedBalances.reduce((acc, account) => {
+            const category = account.category || '기타';
+            return { ...acc, [category]: Math.round((acc[category] || 0) + account.totalKRW) };
         }, {});
 
-        const cardPayments = cards.map(card => {
-            const today = new Date();
-            const paymentDay = card.paymentDay;
-            let usageStart = new Date(today.getFullYear(), today.getMonth() - (today.getDate() < paymentDay ? 1 : 0), card.usageStartDay);
-            let usageEnd = new Date(today.getFullYear(), today.getMonth() + (today.getDate() < paymentDay ? 0 : 1), card.usageEndDay, 23, 59, 59);
-
-            const amount = transactions
-                .filter(t => t.type === 'card-expense' && t.cardId === card.id && !t.isPaid && t.date.toDate() >= usageStart && t.date.toDate() <= usageEnd)
-                .reduce((sum, t) => sum + t.amount, 0);
+        createDocOnce(db, doc(db, `${dataPath}/netWorthSnapshots`, key), {
+            date: Timestamp.fromDate(new Date(today.getFullYear(), today.getMonth(), today.getDate())),
+            byCategory,
+            total: Object.values(byCategory).reduce((sum, value) => sum + value, 0),
+        }).catch(error => console.error("순자산 스냅샷 저장 실패:", error));
+    }, [dataPath, canEdit, isServerSynced, accountsWithCalculatedBalances, netWorthSnapshots]);
+
+    // 오늘이 속한 예산 기간의 경고 (대시보드 배너와 알림 목록에서 사용)
+    const budgetAlerts = React.useMemo(
+        () => getCurrentBudgetAlerts(budgets, transactions, schedules, accountsById, categories, convertToKRW),
+        [budgets, transactions, schedules, accountsById, categories, convertToKRW]
+    );
 
-            return { id: `card-${card.id}`, cardId: card.id, description: `${card.name} 결제 예정`, amount, date: new Date(today.getFullYear(), today.getMonth() + (today.getDate() < paymentDay ? 0 : 1), paymentDay), isCardPayment: true };
+    // 거래가 바뀌어 예산 기준에 새로 도달하면 알림을 한 번만 남김 (기간·카테고리·기준별 문서 ID로 중복 방지)
+    // 첫 로딩이나 예산/기준 수정으로 생긴 경고는 알림으로 남기지 않고, 이미 있는 알림 문서는 읽음/삭제 상태를 유지하도록 덮어쓰지 않음
+    const budgetAlertStateRef = React.useRef({ transactions: null, keys: new Set() });
+    React.useEffect(() => {
+        if (!dataPath || !canEdit || !isServerSynced) {
+            budgetAlertStateRef.current = { transactions: null, keys: new Set() };
+            return;
+        }
+        const previous = budgetAlertStateRef.current;
+        const reached = budgetAlerts.filter(alert => !alert.isForecast);
+        budgetAlertStateRef.current = { transactions, keys: new Set(reached.map(alert => alert.key)) };
+        if (previous.transactions === null || previous.transactions === transactions) return;
+
+        reached.filter(alert => !previous.keys.has(alert.key)).forEach(alert => {
+            createDocOnce(db, doc(db, `${dataPath}/notifications`, alert.key), {
+                message: describeBudgetAlert(alert),
+                budgetId: alert.budgetId,
+                category: alert.category,
+                threshold: alert.threshold,
+                isRead: false,
+                createdAt: Timestamp.now(),
+            }).catch(error => console.error("예산 알림 저장 실패:", error));
         });
-        
-        const upcomingSchedules = schedules.filter(s => !s.isCompleted);
-        const upcomingIncomeItems = upcomingSchedules.filter(s => s.type === 'income');
-        const upcomingExpenseItems = upcomingSchedules.filter(s => s.type === 'expense');
-
-        const totalUpcomingIncomeAmount = upcomingIncomeItems.reduce((sum, s) => sum + convertToKRW(s.amount, accountsById[s.accountId]?.currency), 0);
-        const totalUpcomingExpenseAmount = upcomingExpenseItems.reduce((sum, s) => sum + convertToKRW(s.amount, accountsById[s.accountId]?.currency), 0);
-        const totalUpcomingPaymentAmount = cardPayments.reduce((sum, p) => sum + p.amount, 0);
-        
-        const totalAsset = totalCash + totalUpcomingIncomeAmount - (totalUpcomingExpenseAmount + totalUpcomingPaymentAmount);
-
-        return {
-            totalCashAssetInKRW: totalCash,
-            totalAssetInKRW: totalAsset,
-            upcomingPayments: cardPayments.filter(p => p.amount > 0),
-            assetsByCurrency: currencySummary,
-            totalUpcomingIncome: totalUpcomingIncomeAmount,
-            totalUpcomingExpense: totalUpcomingExpenseAmount
-        };
-    }, [accountsWithCalculatedBalances, cards, transactions, schedules, convertToKRW, accountsById]);
+    }, [dataPath, canEdit, isServerSynced, budgetAlerts, transactions]);
+
+    // 보관 기간이 지난 휴지통 항목 비우기
+    React.useEffect(() => {
+        if (!dataPath || !canEdit) return;
+        const expired = trash.filter(entry => entry.expiresAt && entry.expiresAt.toMillis() < Date.now());
+        if (expired.length === 0) return;
+        commitInChunks(db, expired, (batch, entry) => batch.delete(doc(db, `${dataPath}/trash`, entry.id)))
+            .catch(error => console.error("휴지통 정리 실패:", error));
+    }, [dataPath, canEdit, trash]);
 
     // --- 로그인 및 로그아웃 핸들러 ---
     const handleGoogleSignIn = async () => {
@@ -290,10 +816,15 @@ export default function HouseholdApp() {
     };
 
     // --- 모달 및 뷰 전환 관리 ---
-    const handleOpenAddTransactionModal = (template = null) => { setEditingTransaction(template); setShowTransactionModal(true); };
-    const handleOpenEditTransactionModal = (transaction) => { setEditingTransaction(transaction); setShowTransactionModal(true); };
-    const handleOpenAddScheduleModal = () => { setEditingSchedule(null); setShowScheduleModal(true); };
-    const handleOpenEditScheduleModal = (schedule) => { setEditingSchedule(schedule); setShowScheduleModal(true); };
+    // 보기 전용 구성원은 기록을 추가하거나 고칠 수 없음 (보안 규칙에서도 막음)
+    const requireEditRole = () => {
+        if (!canEdit) showAlert("보기 전용 구성원은 기록을 추가하거나 수정할 수 없습니다.");
+        return canEdit;
+    };
+    const handleOpenAddTransactionModal = (template = null) => { if (!requireEditRole()) return; setEditingTransaction(template); setShowTransactionModal(true); };
+    const handleOpenEditTransactionModal = (transaction) => { if (!requireEditRole()) return; setEditingTransaction(transaction); setShowTransactionModal(true); };
+    const handleOpenAddScheduleModal = () => { if (!requireEditRole()) return; setEditingSchedule(null); setShowScheduleModal(true); };
+    const handleOpenEditScheduleModal = (schedule) => { if (!requireEditRole()) return; setEditingSchedule(schedule); setShowScheduleModal(true); };
     const handleAccountClick = (accountId) => {
         setTransactionFilter(prev => ({ ...prev, account: accountId, type: 'all', year: 'all', month: 'all', category: 'all', search: '', tag: '', startDate: null, endDate: null }));
         setActiveView('transactions');
@@ -308,10 +839,20 @@ export default function HouseholdApp() {
 
     // --- 데이터 CRUD 함수 ---
     const handleDeleteTransaction = async (transactionToDelete) => {
+        if (!requireEditRole()) return;
         showConfirm(`'${transactionToDelete.description}' 거래를 삭제하시겠습니까?`, async () => {
             try {
-                await deleteDoc(doc(db, `users/${user.uid}/transactions`, transactionToDelete.id));
-                showAlert('삭제가 완료되었습니다.');
+                const transRef = doc(db, `${dataPath}/transactions`, transactionToDelete.id);
+                if (transactionToDelete.type === 'payment') {
+                    // 카드대금 결제를 지우면 그 결제로 결제 처리된 카드 거래도 함께 되돌림
+                    await runTransaction(db, async (transaction) => {
+                        await revertLinkedCardTransactions(transaction, db, dataPath, user, transactionToDelete);
+                        deleteWithAudit(transaction, db, dataPath, user, transRef, transactionToDelete);
+                    });
+                } else {
+                    await removeWithAudit(db, dataPath, user, transRef, transactionToDelete);
+                }
+                showAlert(`삭제가 완료되었습니다. 휴지통에서 ${TRASH_RETENTION_DAYS}일 동안 복원할 수 있습니다.`);
             } catch (error) {
                 console.error("거래 삭제 실패:", error);
                 showAlert(`삭제 실패: ${error.message}`);
@@ -321,9 +862,10 @@ export default function HouseholdApp() {
     };
 
     const handleDeleteSchedule = async (scheduleId) => {
+        if (!requireEditRole()) return;
         showConfirm("이 예정된 항목을 삭제하시겠습니까?", async () => {
             try {
-                await deleteDoc(doc(db, `users/${user.uid}/schedules`, scheduleId));
+                await removeWithAudit(db, dataPath, user, doc(db, `${dataPath}/schedules`, scheduleId), schedules.find(s => s.id === scheduleId));
                 showAlert("삭제되었습니다.");
             } catch (error) {
                 console.error("스케줄 삭제 실패:", error);
@@ -334,6 +876,7 @@ export default function HouseholdApp() {
     };
 
     const handleConfirmSchedule = async (schedule) => {
+        if (!requireEditRole()) return;
         showConfirm(`'${schedule.description}' 항목을 거래 내역에 추가하시겠습니까?`, async () => {
             try {
                 const account = accountsById[schedule.accountId];
@@ -342,6 +885,7 @@ export default function HouseholdApp() {
                     amount: schedule.amount,
                     originalAmount: schedule.amount,
                     originalCurrency: account.currency || 'KRW',
+                    amountKRW: getAmountKRWSnapshot(schedule.amount, account.currency, schedule.date, convertToKRW),
                     date: schedule.date, // Timestamp
                     type: schedule.type,
                     accountId: schedule.accountId,
@@ -351,12 +895,37 @@ export default function HouseholdApp() {
                 };
     
                 const batch = writeBatch(db);
-                const newTransRef = doc(collection(db, `users/${user.uid}/transactions`));
-                batch.set(newTransRef, newTransaction);
-    
-                const scheduleRef = doc(db, `users/${user.uid}/schedules`, schedule.id);
-                batch.update(scheduleRef, { isCompleted: true });
+                if (schedule.loanAccountId) {
+                    // 대출 상환은 원금을 대출 계좌로의 이체로, 이자를 지출로 나누어 기록
+                    const currency = account.currency || 'KRW';
+                    if (schedule.principal > 0) {
+                        setWithAudit(batch, db, dataPath, user, doc(collection(db, `${dataPath}/transactions`)), {
+                            ...newTransaction, description: `${schedule.description} (원금)`, type: 'transfer',
+                            amount: schedule.principal, originalAmount: schedule.principal, amountKRW: getAmountKRWSnapshot(schedule.principal, currency, schedule.date, convertToKRW),
+                            toAccountId: schedule.loanAccountId, toAmount: schedule.principal, toCurrency: currency, impliedRate: 1, transferFee: 0,
+                        });
+                    }
+                    if (schedule.interest > 0) {
+                        setWithAudit(batch, db, dataPath, user, doc(collection(db, `${dataPath}/transactions`)), {
+                            ...newTransaction, description: `${schedule.description} (이자)`,
+                            amount: schedule.interest, originalAmount: schedule.interest, amountKRW: getAmountKRWSnapshot(schedule.interest, currency, schedule.date, convertToKRW),
+                        });
+                    }
+                } else {
+                    const newTransRef = doc(collection(db, `${dataPath}/transactions`));
+                    setWithAudit(batch, db, dataPath, user, newTransRef, newTransaction);
+                }
     
+                // 반복 스케줄은 이번 회차만 완료 처리하고 다음 발생일로 이월
+                const scheduleRef = doc(db, `${dataPath}/schedules`, schedule.id);
+                const completedCount = (schedule.completedCount || 0) + 1;
+                const nextDate = getNextOccurrence(schedule.date.toDate(), schedule.recurrence);
+                if (nextDate && isWithinRecurrenceEnd(nextDate, completedCount, schedule.recurrence)) {
+                    setWithAudit(batch, db, dataPath, user, scheduleRef, { date: Timestamp.fromDate(nextDate), completedCount }, schedule);
+                } else {
+                    setWithAudit(batch, db, dataPath, user, scheduleRef, { isCompleted: true, completedCount }, schedule);
+                }
+
                 await batch.commit();
                 showAlert("거래 내역에 추가되었습니다.");
             } catch(error) {
@@ -370,7 +939,7 @@ export default function HouseholdApp() {
     // --- 뷰 렌더링 ---
     const renderView = () => {
         const props = {
-            user, accounts: accountsWithCalculatedBalances, cards, transactions, schedules, currencies, accountsById, cardsById, rates, convertToKRW, categories, memos, budgets, templates,
+            user, dataPath, household, canEdit, accounts: accountsWithCalculatedBalances, cards, transactions, schedules, currencies, accountsById, cardsById, rates, convertToKRW, categories, memos, budgets, templates, importMappings, categoryRules, exchangeRates, investmentTrades, securityPrices, netWorthSnapshots, notifications, trash,
             onAddTransaction: handleOpenAddTransactionModal,
             onEditTransaction: handleOpenEditTransactionModal,
             onDeleteTransaction: handleDeleteTransaction,
@@ -383,20 +952,30 @@ export default function HouseholdApp() {
             showAlert, showConfirm, db
         };
         switch (activeView) {
-            case 'dashboard': return <DashboardView {...props} totalAssetInKRW={totalAssetInKRW} totalCashAssetInKRW={totalCashAssetInKRW} upcomingPayments={upcomingPayments} totalUpcomingIncome={totalUpcomingIncome} totalUpcomingExpense={totalUpcomingExpense} />;
+            case 'dashboard': return <DashboardView {...props} totalAssetInKRW={totalAssetInKRW} totalCashAssetInKRW={totalCashAssetInKRW} upcomingPayments={upcomingPayments} totalUpcomingIncome={totalUpcomingIncome} totalUpcomingExpense={totalUpcomingExpense} totalLoanBalanceInKRW={totalLoanBalanceInKRW} budgetAlerts={budgetAlerts} />;
             case 'transactions': return <TransactionsView {...props} filter={transactionFilter} setFilter={setTransactionFilter} />;
-            case 'management': return <ManagementView {...props} totalCashAssetInKRW={totalCashAssetInKRW} assetsByCurrency={assetsByCurrency} />;
+            case 'management': return <ManagementView {...props} cardStatementsById={cardStatementsById} totalCashAssetInKRW={totalCashAssetInKRW} assetsByCurrency={assetsByCurrency} />;
             case 'schedule': return <ScheduleView {...props} upcomingPayments={upcomingPayments} />;
             case 'budget': return <BudgetView {...props} />;
             case 'templates': return <TemplatesView {...props} />;
             case 'reports': return <ReportsView {...props} />;
             case 'data': return <DataIOView {...props} />;
+            case 'notifications': return <NotificationsView {...props} />;
+            case 'trash': return <TrashView {...props} />;
+            case 'household': return <HouseholdView {...props} />;
             default: return <div>뷰를 찾을 수 없습니다.</div>;
         }
     };
 
     if (isLoading) return <div className="flex justify-center items-center h-screen bg-gray-100"><div className="text-xl font-bold">로딩 중...</div></div>;
     if (!user) return <LoginScreen onGoogleSignIn={handleGoogleSignIn} />;
+    if (householdError) return (
+        <div className="flex flex-col justify-center items-center h-screen bg-gray-100 gap-4">
+            <div className="text-xl font-bold">{householdError}</div>
+            <button onClick={() => setHouseholdRetryCount(count => count + 1)} className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition">다시 시도</button>
+        </div>
+    );
+    if (!household) return <div className="flex justify-center items-center h-screen bg-gray-100"><div className="text-xl font-bold">가계부를 불러오는 중...</div></div>;
 
     return (
         <div className="bg-gray-50 min-h-screen font-sans text-gray-800">
@@ -410,6 +989,8 @@ export default function HouseholdApp() {
                     <img src={user.photoURL || `https://placehold.co/80x80/e2e8f0/e2e8f0?text=${user.displayName?.[0] || 'U'}`} alt="Profile" className="w-20 h-20 rounded-full mx-auto mb-2" />
                     <p className="font-semibold">{user.displayName || '사용자'}</p>
                     <p className="text-xs text-gray-500">{user.email}</p>
+                    <p className="text-xs text-indigo-600 mt-1">{household.name} · {HOUSEHOLD_ROLES[household.members[user.uid].role]}</p>
+                    <SyncStatus isOnline={isOnline} pendingCount={Object.values(pendingWrites).reduce((sum, count) => sum + count, 0)} />
                 </div>
                 <ul>
                     {[
@@ -421,11 +1002,15 @@ export default function HouseholdApp() {
                         { id: 'templates', name: '자주 쓰는 거래', icon: '템플릿' },
                         { id: 'reports', name: '리포트', icon: '리포트' },
                         { id: 'data', name: '데이터 관리', icon: '데이터' },
+                        { id: 'notifications', name: '알림', icon: '알림', badge: notifications.filter(n => !n.isRead).length },
+                        { id: 'trash', name: '휴지통', icon: '휴지통' },
+                        { id: 'household', name: '가계 공유', icon: '가계' },
                     ].map(view => (
                         <li key={view.id} className="mb-2">
                             <button onClick={() => { setActiveView(view.id); setIsNavOpen(false); }} className={`w-full text-left p-3 rounded-lg flex items-center transition-all ${activeView === view.id ? 'bg-indigo-500 text-white shadow-md' : 'hover:bg-gray-100'}`}>
                                 <span className="text-xl">{ICONS[view.icon]}</span>
                                 <span className="ml-3 font-semibold">{view.name}</span>
+                                {view.badge > 0 && <span className="ml-auto text-xs bg-red-500 text-white px-2 py-0.5 rounded-full">{view.badge}</span>}
                             </button>
                         </li>
                     ))}
@@ -445,12 +1030,12 @@ export default function HouseholdApp() {
             </div>
             {showTransactionModal && (
                 <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4">
-                    <TransactionForm user={user} accounts={accounts} cards={cards} onFinish={() => setShowTransactionModal(false)} transactionToEdit={editingTransaction} db={db} currencies={currencies} categories={categories} showAlert={showAlert} />
+                    <TransactionForm user={user} dataPath={dataPath} accounts={accounts} cards={cards} transactions={transactions} onFinish={() => setShowTransactionModal(false)} transactionToEdit={editingTransaction} db={db} currencies={currencies} convertToKRW={convertToKRW} categories={categories} categoryRules={categoryRules} showAlert={showAlert} />
                 </div>
             )}
             {showScheduleModal && (
                 <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4">
-                    <ScheduleForm user={user} accounts={accounts} onFinish={() => setShowScheduleModal(false)} scheduleToEdit={editingSchedule} db={db} showAlert={showAlert} />
+                    <ScheduleForm user={user} dataPath={dataPath} accounts={accounts} onFinish={() => setShowScheduleModal(false)} scheduleToEdit={editingSchedule} db={db} showAlert={showAlert} />
                 </div>
             )}
             {modal.isOpen && <CustomModal message={modal.message} onConfirm={modal.onConfirm} onCancel={() => setModal({ isOpen: false })} />}
@@ -461,17 +1046,28 @@ export default function HouseholdApp() {
 
 // --- 뷰 컴포넌트들 ---
 
-function DashboardView({ totalAssetInKRW, totalCashAssetInKRW, upcomingPayments, transactions, accountsById, cardsById, schedules, convertToKRW, totalUpcomingIncome, totalUpcomingExpense }) {
+function DashboardView({ totalAssetInKRW, totalCashAssetInKRW, upcomingPayments, transactions, accountsById, cardsById, schedules, convertToKRW, totalUpcomingIncome, totalUpcomingExpense, totalLoanBalanceInKRW, budgetAlerts }) {
     const recentTransactions = transactions.slice(0, 5);
     const upcomingSchedules = React.useMemo(() => schedules.filter(s => !s.isCompleted).sort((a, b) => a.date.toDate().getTime() - b.date.toDate().getTime()), [schedules]);
     const upcomingIncome = upcomingSchedules.filter(s => s.type === 'income');
-    const upcomingExpense = upcomingSchedules.filter(s => s.type === 'expense');
+    // 대출 상환 스케줄은 대출별로 다음 회차만 표시
+    const upcomingExpense = upcomingSchedules.filter((s, index) => s.type === 'expense' && (!s.loanAccountId || upcomingSchedules.findIndex(other => other.loanAccountId === s.loanAccountId) === index));
 
     return (
         <div>
             <h2 className="text-3xl font-bold mb-6">대시보드</h2>
+            {budgetAlerts.length > 0 && (
+                <div className="mb-6 p-4 bg-yellow-50 border border-yellow-300 rounded-xl">
+                    <p className="font-semibold text-yellow-800 mb-1">예산 경고</p>
+                    <ul className="text-sm space-y-1">
+                        {budgetAlerts.map((alert, index) => (
+                            <li key={index} className={alert.threshold >= 100 && !alert.isForecast ? 'text-red-600' : 'text-yellow-800'}>{describeBudgetAlert(alert)}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-                <div className="bg-white p-6 rounded-xl shadow-md"><h3 className="text-gray-500">총 자산 (예상)</h3><p className="text-3xl font-bold mt-2 text-indigo-600">{formatCurrency(totalAssetInKRW)}</p></div>
+                <div className="bg-white p-6 rounded-xl shadow-md"><h3 className="text-gray-500">총 자산 (예상)</h3><p className="text-3xl font-bold mt-2 text-indigo-600">{formatCurrency(totalAssetInKRW)}</p>{totalLoanBalanceInKRW > 0 && <p className="text-sm text-gray-500 mt-1">대출 잔액 {formatCurrency(totalLoanBalanceInKRW)} 차감</p>}</div>
                 <div className="bg-white p-6 rounded-xl shadow-md"><h3 className="text-gray-500">총 현금성 자산</h3><p className="text-3xl font-bold mt-2">{formatCurrency(totalCashAssetInKRW)}</p></div>
                 <div className="bg-white p-6 rounded-xl shadow-md"><h3 className="text-gray-500">총 예정 수입</h3><p className="text-3xl font-bold mt-2 text-blue-500">{formatCurrency(totalUpcomingIncome)}</p></div>
                 <div className="bg-white p-6 rounded-xl shadow-md"><h3 className="text-gray-500">총 예정 지출</h3><p className="text-3xl font-bold mt-2 text-red-500">{formatCurrency(totalUpcomingExpense + upcomingPayments.reduce((sum, p) => sum + p.amount, 0))}</p></div>
@@ -484,7 +1080,7 @@ function DashboardView({ totalAssetInKRW, totalCashAssetInKRW, upcomingPayments,
                         {recentTransactions.map(t => {
                             const account = accountsById[t.accountId] || {};
                             const card = t.type === 'card-expense' ? cardsById[t.cardId] : null;
-                            const paymentDate = card ? new Date(t.date.toDate().getFullYear(), t.date.toDate().getMonth() + 1, card.paymentDay) : null;
+                            const paymentDate = card ? getStatementForDate(card, t.date.toDate()).dueDate : null;
                             const currency = t.originalCurrency || account.currency || (t.type === 'card-expense' ? 'KRW' : '');
                             const displayAmount = t.originalAmount != null ? t.originalAmount : t.amount;
                             return (
@@ -496,8 +1092,8 @@ function DashboardView({ totalAssetInKRW, totalCashAssetInKRW, upcomingPayments,
                                             {paymentDate && ` (결제예정: ${paymentDate.toLocaleDateString()})`}
                                         </p>
                                     </div>
-                                    <span className={`font-bold ${t.type === 'income' ? 'text-blue-500' : 'text-red-500'}`}>
-                                        {t.type === 'income' ? '+' : '-'} {formatNumber(displayAmount)} {currency !== 'KRW' ? currency : ''}
+                                    <span className={`font-bold ${t.type === 'income' || displayAmount < 0 ? 'text-blue-500' : 'text-red-500'}`}>
+                                        {t.type === 'income' || displayAmount < 0 ? '+' : '-'} {formatNumber(Math.abs(displayAmount))} {currency !== 'KRW' ? currency : ''}
                                     </span>
                                 </li>
                             );
@@ -524,13 +1120,19 @@ function DashboardView({ totalAssetInKRW, totalCashAssetInKRW, upcomingPayments,
     );
 }
 
-function TransactionsView({ transactions, accountsById, cardsById, accounts, cards, onAddTransaction, onEditTransaction, onDeleteTransaction, filter, setFilter, categories }) {
+function TransactionsView({ user, dataPath, household, canEdit, db, transactions, accountsById, cardsById, accounts, cards, onAddTransaction, onEditTransaction, onDeleteTransaction, filter, setFilter, categories, showAlert, showConfirm }) {
+    const [showDuplicateReview, setShowDuplicateReview] = React.useState(false);
+    const [historyTransactionId, setHistoryTransactionId] = React.useState(null);
+    const duplicatePairs = React.useMemo(() => findDuplicatePairs(transactions), [transactions]);
 
     const transactionYears = React.useMemo(() => {
         if (transactions.length === 0) return ['all'];
         return ['all', ...Array.from(new Set(transactions.map(t => t.date.toDate().getFullYear()))).sort((a, b) => b - a)];
     }, [transactions]);
 
+    // 상위 카테고리로 거르면 하위 카테고리 거래도 함께 표시
+    const filterCategoryNames = React.useMemo(() => getCategoryWithChildren(filter.category, categories), [filter.category, categories]);
+
     const filteredTransactions = React.useMemo(() => {
         return transactions.filter(t => {
             const date = t.date.toDate();
@@ -545,13 +1147,13 @@ function TransactionsView({ transactions, accountsById, cardsById, accounts, car
             const typeMatch = filter.type === 'all' || t.type === filter.type;
             const accountMatch = filter.account === 'all' || t.accountId === filter.account || t.cardId === filter.account || (t.type === 'transfer' && t.toAccountId === filter.account);
             let dateMatch = filter.year === 'all' ? true : date.getFullYear() === Number(filter.year) && (filter.month === 'all' ? true : (date.getMonth() + 1) === Number(filter.month));
-            const categoryMatch = filter.category === 'all' || t.category === filter.category;
+            const categoryMatch = filter.category === 'all' || transactionHasCategory(t, filterCategoryNames);
             const searchMatch = filter.search === '' || t.description.toLowerCase().includes(filter.search.toLowerCase()) || (t.memo && t.memo.toLowerCase().includes(filter.search.toLowerCase()));
-            const tagMatch = filter.tag === '' || (t.tags && t.tags.includes(filter.tag));
+            const tagMatch = filter.tag === '' || transactionHasTag(t, filter.tag);
 
             return typeMatch && accountMatch && dateMatch && categoryMatch && searchMatch && tagMatch;
         });
-    }, [transactions, filter]);
+    }, [transactions, filter, filterCategoryNames]);
 
     const resetFilter = () => {
         setFilter({ type: 'all', account: 'all', year: 'all', month: 'all', category: 'all', search: '', tag: '', startDate: null, endDate: null });
@@ -561,9 +1163,20 @@ function TransactionsView({ transactions, accountsById, cardsById, accounts, car
         <div>
             <div className="flex justify-between items-center mb-6">
                 <h2 className="text-3xl font-bold">전체 거래 내역</h2>
-                <button onClick={() => onAddTransaction()} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition">거래 추가</button>
+                <div className="flex gap-2">
+                    {canEdit && duplicatePairs.length > 0 && (
+                        <button onClick={() => setShowDuplicateReview(!showDuplicateReview)} className="bg-yellow-500 text-white px-4 py-2 rounded-lg hover:bg-yellow-600 transition">
+                            {showDuplicateReview ? '거래 내역 보기' : `중복 의심 ${duplicatePairs.length}건`}
+                        </button>
+                    )}
+                    {canEdit && <button onClick={() => onAddTransaction()} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition">거래 추가</button>}
+                </div>
             </div>
 
+            {canEdit && showDuplicateReview && duplicatePairs.length > 0 ? (
+                <DuplicateReview user={user} dataPath={dataPath} db={db} pairs={duplicatePairs} accountsById={accountsById} cardsById={cardsById} showAlert={showAlert} showConfirm={showConfirm} />
+            ) : (
+            <>
             {filter.startDate ? (
                 <div className="mb-4 bg-yellow-100 p-4 rounded-lg flex justify-between items-center">
                     <p>
@@ -580,12 +1193,12 @@ function TransactionsView({ transactions, accountsById, cardsById, accounts, car
                     </select>
                     <select value={filter.account} onChange={e => setFilter({ ...filter, account: e.target.value })} className="p-2 border rounded-lg bg-white">
                         <option value="all">모든 계좌/카드</option>
-                        {accounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
-                        {cards.map(card => <option key={card.id} value={card.id}>{card.name}</option>)}
+                        {accounts.map(acc => <option key={acc.id} value={acc.id}>{getArchivedLabel(acc)}</option>)}
+                        {cards.map(card => <option key={card.id} value={card.id}>{getArchivedLabel(card)}</option>)}
                     </select>
                     <select value={filter.category} onChange={e => setFilter({ ...filter, category: e.target.value })} className="p-2 border rounded-lg bg-white">
                         <option value="all">모든 카테고리</option>
-                        {categories.map(cat => <option key={cat.id} value={cat.name}>{cat.name}</option>)}
+                        <CategoryOptions categories={categories} includeArchived />
                     </select>
                     <select value={filter.year} onChange={e => setFilter({ ...filter, year: e.target.value, month: 'all' })} className="p-2 border rounded-lg bg-white">
                         {transactionYears.map(y => <option key={y} value={y}>{y === 'all' ? '전체 연도' : `${y}년`}</option>)}
@@ -613,10 +1226,37 @@ function TransactionsView({ transactions, accountsById, cardsById, accounts, car
                                             {t.date.toDate().toLocaleString('ko-KR')} -
                                             <span className="ml-2 font-medium">
                                                 {t.type === 'card-expense' ? cardsById[t.cardId]?.name : account.name}
+                                                {(t.type === 'card-expense' ? cardsById[t.cardId] : account)?.isArchived && <span className="text-xs bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full ml-1">보관됨</span>}
                                                 {t.type === 'transfer' && ` → ${accountsById[t.toAccountId]?.name}`}
+                                                {t.type === 'transfer' && t.toCurrency && t.toCurrency !== displayCurrency && <span className="text-xs text-gray-500 ml-2">({formatNumber(t.toAmount)} {t.toCurrency} 수령 · {formatTransferRate(displayAmount, displayCurrency, t.toAmount, t.toCurrency)})</span>}
+                                                {t.type === 'transfer' && t.transferFee > 0 && <span className="text-xs text-gray-500 ml-2">(수수료 {formatNumber(t.transferFee)} {displayCurrency})</span>}
                                                 {t.isPaid && <span className="text-xs text-green-600 ml-2">(결제완료)</span>}
+                                                {t.type === 'card-expense' && t.amount < 0 && <span className="text-xs text-blue-600 ml-2">(승인취소)</span>}
                                             </span>
                                         </p>
+                                        {t.type === 'card-expense' && t.installmentMonths > 1 && (
+                                            <p className="text-xs text-gray-500">
+                                                {t.installmentMonths}개월 {t.isInterestFree === false ? `할부 (연 ${t.installmentRate}%)` : '무이자 할부'} · {getBilledInstallmentCount(t)}/{t.installmentMonths}회 청구 · 잔액 {formatCurrency(getRemainingInstallmentPrincipal(t))}
+                                            </p>
+                                        )}
+                                        {t.createdBy && (
+                                            <p className="text-xs text-gray-500">
+                                                작성 {getMemberName(household, t.createdBy)}
+                                                {t.updatedBy && ` · 수정 ${getMemberName(household, t.updatedBy)} (${t.updatedAt.toDate().toLocaleString('ko-KR')})`}
+                                            </p>
+                                        )}
+                                        {isSplitTransaction(t) && (
+                                            <ul className="text-xs text-gray-600 mt-1 space-y-0.5">
+                                                {t.splits.map((split, index) => (
+                                                    <li key={index}>
+                                                        ↳ {split.category || '미분류'} {formatNumber(Math.abs(split.amount))} {displayCurrency !== 'KRW' ? displayCurrency : ''}
+                                                        {(split.tags || []).map(tag => ` #${tag}`)}
+                                                        {split.memo && ` · ${split.memo}`}
+                                                        {split.excludeFromBudget && ' (예산 제외)'}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
                                         {t.tags && t.tags.length > 0 && (
                                             <div className="flex flex-wrap gap-1 mt-1">
                                                 {t.tags.map(tag => <span key={tag} className="text-xs bg-gray-200 text-gray-700 px-2 py-0.5 rounded-full">#{tag}</span>)}
@@ -626,29 +1266,144 @@ function TransactionsView({ transactions, accountsById, cardsById, accounts, car
                                     </div>
                                 </div>
                                 <div className="flex items-center space-x-2 sm:space-x-4 mt-2 sm:mt-0">
-                                    <div className={`text-lg font-bold ${t.type === 'income' ? 'text-blue-600' : 'text-red-600'}`}>
-                                        {t.type === 'income' ? '+' : '-'} {formatNumber(displayAmount)} {displayCurrency !== 'KRW' ? displayCurrency : ''}
+                                    <div className={`text-lg font-bold ${t.type === 'income' || displayAmount < 0 ? 'text-blue-600' : 'text-red-600'}`}>
+                                        {t.type === 'income' || displayAmount < 0 ? '+' : '-'} {formatNumber(Math.abs(displayAmount))} {displayCurrency !== 'KRW' ? displayCurrency : ''}
                                     </div>
-                                    <button onClick={() => onEditTransaction(t)} className="p-2 hover:bg-gray-200 rounded-full">✏️</button>
-                                    <button onClick={() => onDeleteTransaction(t)} className="p-2 hover:bg-gray-200 rounded-full">🗑️</button>
+                                    <button onClick={() => setHistoryTransactionId(historyTransactionId === t.id ? null : t.id)} title="변경 이력" className="p-2 hover:bg-gray-200 rounded-full">🕘</button>
+                                    {canEdit && (
+                                        <>
+                                            <button onClick={() => onEditTransaction(t)} className="p-2 hover:bg-gray-200 rounded-full">✏️</button>
+                                            <button onClick={() => onDeleteTransaction(t)} className="p-2 hover:bg-gray-200 rounded-full">🗑️</button>
+                                        </>
+                                    )}
                                 </div>
+                                {historyTransactionId === t.id && <RecordHistory dataPath={dataPath} db={db} household={household} collectionName="transactions" docId={t.id} />}
                             </li>
                         )
                     })}
                     {filteredTransactions.length === 0 && <p className="text-gray-500 py-4">해당 조건의 거래 내역이 없습니다.</p>}
                 </ul>
             </div>
+            </>
+            )}
+        </div>
+    );
+}
+
+// 문서 하나의 변경 이력 (auditLogs에서 최신순)
+function RecordHistory({ dataPath, db, household, collectionName, docId }) {
+    const [logs, setLogs] = React.useState(null);
+
+    React.useEffect(() => {
+        const q = query(collection(db, `${dataPath}/auditLogs`), where('collection', '==', collectionName), where('docId', '==', docId));
+        return onSnapshot(q, snapshot => {
+            const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+            setLogs(items.sort((a, b) => (b.changedAt?.toMillis() || 0) - (a.changedAt?.toMillis() || 0)));
+        }, error => {
+            console.error("변경 이력 불러오기 실패:", error);
+            setLogs([]);
+        });
+    }, [db, dataPath, collectionName, docId]);
+
+    if (!logs) return <p className="w-full mt-2 text-sm text-gray-500">이력을 불러오는 중...</p>;
+
+    return (
+        <div className="w-full mt-3 p-3 bg-gray-50 rounded-lg">
+            <h4 className="font-semibold text-sm mb-2">변경 이력</h4>
+            <ul className="space-y-2 text-sm">
+                {logs.map(log => {
+                    const fields = log.action === 'update' ? Object.keys(log.after || {}).filter(key => !AUDIT_HIDDEN_FIELDS.includes(key)) : [];
+                    return (
+                        <li key={log.id}>
+                            <p>
+                                <span className="font-medium">{AUDIT_ACTIONS[log.action] || log.action}</span>
+                                <span className="text-gray-500 ml-2">{getMemberName(household, log.changedBy)} · {log.changedAt?.toDate().toLocaleString('ko-KR')}</span>
+                            </p>
+                            {fields.length > 0 && (
+                                <ul className="ml-4 text-xs text-gray-600">
+                                    {fields.map(key => (
+                                        <li key={key}>{AUDIT_FIELD_LABELS[key] || key}: {formatAuditValue(log.before?.[key])} → {formatAuditValue(log.after[key])}</li>
+                                    ))}
+                                </ul>
+                            )}
+                        </li>
+                    );
+                })}
+                {logs.length === 0 && <li className="text-gray-500">기록된 변경 이력이 없습니다.</li>}
+            </ul>
+        </div>
+    );
+}
+
+function DuplicateReview({ user, dataPath, db, pairs, accountsById, cardsById, showAlert, showConfirm }) {
+    // 둘 다 실제 거래인 경우 서로를 '중복 아님'으로 표시해 다시 검출되지 않게 함
+    const handleKeepBoth = async (a, b) => {
+        try {
+            const batch = writeBatch(db);
+            [[a, b], [b, a]].forEach(([t, other]) => {
+                const notDuplicateOf = Array.from(new Set([...(t.notDuplicateOf || []), other.id]));
+                setWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/transactions`, t.id), { notDuplicateOf }, t);
+            });
+            await batch.commit();
+        } catch (error) {
+            showAlert(`처리 실패: ${error.message}`);
+        }
+    };
+
+    const handleMerge = (keep, remove) => {
+        showConfirm(`'${remove.description}' 거래를 삭제하고 '${keep.description}' 거래에 병합하시겠습니까?`, async () => {
+            try {
+                const batch = writeBatch(db);
+                setWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/transactions`, keep.id), buildDuplicateMergeUpdate(keep, remove), keep);
+                deleteWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/transactions`, remove.id), remove);
+                await batch.commit();
+                showAlert('병합되었습니다.');
+            } catch (error) {
+                console.error("중복 거래 병합 실패:", error);
+                showAlert(`병합 실패: ${error.message}`);
+            }
+        });
+    };
+
+    const renderTransaction = (t) => (
+        <div className="flex-1 p-3 border rounded-lg">
+            <p className="font-semibold">{t.description}</p>
+            <p className="text-sm text-gray-600">{t.date.toDate().toLocaleString('ko-KR')} - {t.type === 'card-expense' ? cardsById[t.cardId]?.name : accountsById[t.accountId]?.name}</p>
+            <p className="font-bold">{formatNumber(t.originalAmount ?? t.amount)} {t.originalCurrency !== 'KRW' ? t.originalCurrency : ''}</p>
+            {t.category && <p className="text-xs text-gray-500">{t.category}</p>}
+            {t.memo && <p className="text-xs text-gray-500">{t.memo}</p>}
+        </div>
+    );
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md">
+            <h3 className="text-xl font-semibold mb-4">중복 의심 거래 검토</h3>
+            <ul className="divide-y divide-gray-200">
+                {pairs.map(([a, b]) => (
+                    <li key={`${a.id}-${b.id}`} className="py-4">
+                        <div className="flex flex-col md:flex-row gap-4">
+                            {renderTransaction(a)}
+                            {renderTransaction(b)}
+                        </div>
+                        <div className="flex flex-wrap justify-end gap-2 mt-2">
+                            <button onClick={() => handleMerge(a, b)} className="bg-yellow-500 text-white px-3 py-1 rounded-lg text-sm">왼쪽으로 병합</button>
+                            <button onClick={() => handleMerge(b, a)} className="bg-yellow-500 text-white px-3 py-1 rounded-lg text-sm">오른쪽으로 병합</button>
+                            <button onClick={() => handleKeepBoth(a, b)} className="bg-gray-200 px-3 py-1 rounded-lg text-sm">중복 아님</button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
         </div>
     );
 }
 
-function ManagementView({ user, accounts, cards, transactions, onAddTransaction, currencies, onAccountClick, totalCashAssetInKRW, assetsByCurrency, categories, showAlert, showConfirm }) {
+function ManagementView({ user, dataPath, canEdit, accounts, cards, transactions, cardStatementsById, onAddTransaction, currencies, exchangeRates, investmentTrades, securityPrices, onAccountClick, totalCashAssetInKRW, assetsByCurrency, categories, categoryRules, convertToKRW, showAlert, showConfirm }) {
     const [view, setView] = React.useState('accounts');
     return (
         <div>
             <div className="flex justify-between items-center mb-6">
                 <h2 className="text-3xl font-bold">계좌/카드 관리</h2>
-                <button onClick={() => onAddTransaction()} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition">거래 추가</button>
+                {canEdit && <button onClick={() => onAddTransaction()} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition">거래 추가</button>}
             </div>
 
             <div className="bg-white p-6 rounded-xl shadow-md mb-6">
@@ -672,23 +1427,31 @@ function ManagementView({ user, accounts, cards, transactions, onAddTransaction,
                 <button onClick={() => setView('accounts')} className={`px-4 py-2 ${view === 'accounts' ? 'border-b-2 border-indigo-500 font-semibold' : 'text-gray-500'}`}>계좌</button>
                 <button onClick={() => setView('cards')} className={`px-4 py-2 ${view === 'cards' ? 'border-b-2 border-indigo-500 font-semibold' : 'text-gray-500'}`}>신용카드</button>
                 <button onClick={() => setView('categories')} className={`px-4 py-2 ${view === 'categories' ? 'border-b-2 border-indigo-500 font-semibold' : 'text-gray-500'}`}>카테고리</button>
+                <button onClick={() => setView('rules')} className={`px-4 py-2 ${view === 'rules' ? 'border-b-2 border-indigo-500 font-semibold' : 'text-gray-500'}`}>자동 분류</button>
+                <button onClick={() => setView('currencies')} className={`px-4 py-2 ${view === 'currencies' ? 'border-b-2 border-indigo-500 font-semibold' : 'text-gray-500'}`}>환율</button>
+                <button onClick={() => setView('investments')} className={`px-4 py-2 ${view === 'investments' ? 'border-b-2 border-indigo-500 font-semibold' : 'text-gray-500'}`}>투자</button>
             </div>
-            {view === 'accounts' && <AccountList user={user} accounts={accounts} currencies={currencies} db={db} onAccountClick={onAccountClick} showAlert={showAlert} showConfirm={showConfirm} />}
-            {view === 'cards' && <CardList user={user} cards={cards} accounts={accounts} transactions={transactions} db={db} showAlert={showAlert} showConfirm={showConfirm} />}
-            {view === 'categories' && <CategoryView user={user} categories={categories} db={db} showAlert={showAlert} showConfirm={showConfirm} />}
+            {view === 'accounts' && <AccountList user={user} dataPath={dataPath} canEdit={canEdit} accounts={accounts} currencies={currencies} db={db} onAccountClick={onAccountClick} showAlert={showAlert} showConfirm={showConfirm} />}
+            {view === 'cards' && <CardList user={user} dataPath={dataPath} canEdit={canEdit} cards={cards} accounts={accounts} transactions={transactions} cardStatementsById={cardStatementsById} db={db} showAlert={showAlert} showConfirm={showConfirm} />}
+            {view === 'categories' && <CategoryView user={user} dataPath={dataPath} canEdit={canEdit} categories={categories} transactions={transactions} db={db} showAlert={showAlert} showConfirm={showConfirm} />}
+            {view === 'rules' && <CategoryRuleView user={user} dataPath={dataPath} canEdit={canEdit} categoryRules={categoryRules} categories={categories} accounts={accounts} cards={cards} transactions={transactions} convertToKRW={convertToKRW} db={db} showAlert={showAlert} showConfirm={showConfirm} />}
+            {view === 'currencies' && <CurrencyView dataPath={dataPath} canEdit={canEdit} accounts={accounts} currencies={currencies} exchangeRates={exchangeRates} showAlert={showAlert} showConfirm={showConfirm} />}
+            {view === 'investments' && <InvestmentView dataPath={dataPath} canEdit={canEdit} accounts={accounts} currencies={currencies} investmentTrades={investmentTrades} securityPrices={securityPrices} db={db} showAlert={showAlert} showConfirm={showConfirm} />}
         </div>
     );
 }
 
-function AccountList({ user, accounts, currencies, db, onAccountClick, showAlert, showConfirm }) {
+function AccountList({ user, dataPath, canEdit, accounts, currencies, db, onAccountClick, showAlert, showConfirm }) {
     const [editingAccount, setEditingAccount] = React.useState(null);
+    const [deletingAccount, setDeletingAccount] = React.useState(null);
+    const [showArchived, setShowArchived] = React.useState(false);
     const [filter, setFilter] = React.useState('all');
     const [sort, setSort] = React.useState('balance-desc'); // 기본 정렬 변경
 
     const accountCategories = React.useMemo(() => ['all', ...Array.from(new Set(accounts.map(acc => acc.category)))], [accounts]);
 
     const displayedAccounts = React.useMemo(() => {
-        let processedAccounts = [...accounts];
+        let processedAccounts = accounts.filter(acc => showArchived || !acc.isArchived);
         if (filter !== 'all') {
             processedAccounts = processedAccounts.filter(acc => acc.category === filter);
         }
@@ -701,41 +1464,87 @@ function AccountList({ user, accounts, currencies, db, onAccountClick, showAlert
             case 'category': return processedAccounts.sort((a, b) => a.category.localeCompare(b.category));
             default: return processedAccounts.sort((a, b) => b.totalKRW - a.totalKRW);
         }
-    }, [accounts, filter, sort]);
+    }, [accounts, filter, sort, showArchived]);
 
     const handleEditClick = (e, account) => {
         e.stopPropagation();
         setEditingAccount(account);
     };
 
-    const handleDeleteAccount = async (e, accountId) => {
+    // 삭제 전에 참조 항목 수를 세어 처리 방법을 고르도록 함
+    const handleDeleteAccount = async (e, account) => {
         e.stopPropagation();
-        showConfirm("정말로 계좌를 삭제하시겠습니까? 연결된 모든 거래 내역도 함께 삭제됩니다. 이 작업은 되돌릴 수 없습니다.", async () => {
-            try {
-                const batch = writeBatch(db);
-                const accountRef = doc(db, `users/${user.uid}/accounts`, accountId);
-                batch.delete(accountRef);
+        try {
+            const references = await getAccountReferences(db, dataPath, account.id);
+            setDeletingAccount({ account, references });
+        } catch (error) {
+            showAlert(`참조 확인 실패: ${error.message}`);
+        }
+    };
 
-                const transactionsRef = collection(db, `users/${user.uid}/transactions`);
-                const q1 = query(transactionsRef, where("accountId", "==", accountId));
-                const q2 = query(transactionsRef, where("toAccountId", "==", accountId));
+    // 참조를 같은 통화의 다른 계좌로 옮긴 뒤 계좌를 삭제 (대출 상환 일정은 이 대출에만 해당하므로 삭제)
+    // 옮길 계좌와 주고받은 이체는 자기 계좌 이체가 되므로 옮길 계좌 쪽 입출금만 남긴 수입/지출로 바꿈
+    const handleReassignAndDelete = async (targetId) => {
+        const { account, references } = deletingAccount;
+        const accountsById = Object.fromEntries(accounts.map(acc => [acc.id, acc]));
+        const isTransferWithTarget = (item) => item.data.type === 'transfer' && [item.data.accountId, item.data.toAccountId].includes(targetId);
+        try {
+            const moved = references.filter(item => item.field !== 'loanAccountId');
+            await commitInChunks(db, moved, (batch, item) => {
+                const changes = isTransferWithTarget(item) ? getRemainingTransferLeg(item.data, targetId, accountsById) : getReferenceChanges(item, targetId);
+                setWithAudit(batch, db, dataPath, user, item.ref, changes, item.data);
+            }, 2);
+            const removed = [
+                ...references.filter(item => item.field === 'loanAccountId'),
+                { ref: doc(db, `${dataPath}/accounts`, account.id), data: getStoredAccount(account) },
+            ];
+            await commitInChunks(db, removed, (batch, item) => deleteWithAudit(batch, db, dataPath, user, item.ref, item.data), 3);
+            setDeletingAccount(null);
+            showAlert(`관련 항목을 '${accounts.find(acc => acc.id === targetId)?.name}'(으)로 옮기고 계좌를 삭제했습니다.`);
+        } catch (error) {
+            showAlert(`삭제 실패: ${error.message}`);
+        }
+    };
 
-                const [fromSnapshot, toSnapshot] = await Promise.all([getDocs(q1), getDocs(q2)]);
-                fromSnapshot.forEach(doc => batch.delete(doc.ref));
-                toSnapshot.forEach(doc => batch.delete(doc.ref));
+    // 보관한 계좌는 기록은 그대로 두고 입력 화면의 계좌 목록에서만 숨김
+    const handleArchiveAccount = async (account, isArchived) => {
+        try {
+            await saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/accounts`, account.id), { isArchived }, account);
+            setDeletingAccount(null);
+            showAlert(isArchived ? "계좌가 보관되었습니다." : "계좌 보관이 해제되었습니다.");
+        } catch (error) {
+            showAlert(`저장 실패: ${error.message}`);
+        }
+    };
 
-                await batch.commit();
+    const handleDeleteWithReferences = () => {
+        const { account, references } = deletingAccount;
+        showConfirm(`정말로 계좌를 삭제하시겠습니까? 연결된 모든 거래 내역도 함께 삭제됩니다. 계좌, 거래, 일정은 휴지통에서 ${TRASH_RETENTION_DAYS}일 동안 복원할 수 있습니다.`, async () => {
+            try {
+                // 연결 카드와 CSV 가져오기 설정은 남기고 계좌 연결만 해제 (다시 쓰려면 계좌를 새로 골라야 함)
+                const unlinked = references.filter(item => KEPT_REFERENCE_KINDS.includes(item.kind));
+                await commitInChunks(db, unlinked, (batch, item) => setWithAudit(batch, db, dataPath, user, item.ref, getReferenceChanges(item, item.kind === 'cards' ? null : ''), item.data), 2);
+                const removed = references.filter(item => !KEPT_REFERENCE_KINDS.includes(item.kind))
+                    .filter((item, index, items) => items.findIndex(other => other.ref.path === item.ref.path) === index);
+                // 계좌를 복원하면 함께 삭제한 거래/일정과 연결 해제한 카드도 되돌릴 수 있도록 휴지통 항목에 기록
+                const related = {
+                    trashIds: removed.filter(item => TRASH_COLLECTIONS[item.kind]).map(item => getTrashId(item.kind, item.ref.id)),
+                    links: unlinked.map(item => ({ collection: item.kind, docId: item.ref.id, field: item.field })),
+                };
+                const accountItem = { ref: doc(db, `${dataPath}/accounts`, account.id), data: getStoredAccount(account), related };
+                await commitInChunks(db, [...removed, accountItem], (batch, item) => deleteWithAudit(batch, db, dataPath, user, item.ref, item.data, item.related), 3);
+                setDeletingAccount(null);
                 showAlert("계좌와 관련 거래내역이 삭제되었습니다.");
             } catch (error) {
                 showAlert(`삭제 실패: ${error.message}`);
             }
         });
-    }
+    };
 
     return (
         <div className="bg-white p-6 rounded-xl shadow-md">
             {editingAccount ? (
-                <AccountForm user={user} accountToEdit={editingAccount} currencies={currencies} onFinish={() => setEditingAccount(null)} db={db} showAlert={showAlert} />
+                <AccountForm user={user} dataPath={dataPath} accountToEdit={editingAccount} accounts={accounts} currencies={currencies} onFinish={() => setEditingAccount(null)} db={db} showAlert={showAlert} />
             ) : (
                 <>
                     <div className="flex flex-wrap gap-4 mb-4">
@@ -749,40 +1558,67 @@ function AccountList({ user, accounts, currencies, db, onAccountClick, showAlert
                             <option value="name-desc">이름 역순 (ㅎ-ㄱ)</option>
                             <option value="category">카테고리순</option>
                         </select>
+                        <label className="flex items-center text-sm"><input type="checkbox" checked={showArchived} onChange={e => setShowArchived(e.target.checked)} className="mr-2" /> 보관된 계좌 보기</label>
                     </div>
                     {displayedAccounts.map(acc => (
-                        <div key={acc.id} onClick={() => onAccountClick(acc.id)} className="flex justify-between items-center p-3 mb-2 border rounded-lg hover:bg-gray-50 cursor-pointer transition-colors">
-                            <div className="flex items-center">
-                                <span className="text-2xl mr-4">{ICONS[acc.category]}</span>
-                                <div>
-                                    <p className="font-semibold">{acc.name}</p>
-                                    <p className="text-sm text-gray-500">{acc.category}</p>
+                        <div key={acc.id} className="mb-2">
+                            <div onClick={() => onAccountClick(acc.id)} className="flex justify-between items-center p-3 border rounded-lg hover:bg-gray-50 cursor-pointer transition-colors">
+                                <div className="flex items-center">
+                                    <span className="text-2xl mr-4">{ICONS[acc.category]}</span>
+                                    <div>
+                                        <p className="font-semibold">{acc.name}{acc.isArchived && <span className="text-xs bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full ml-2 font-normal">보관됨</span>}</p>
+                                        <p className="text-sm text-gray-500">{acc.category}</p>
+                                        {acc.loan && <p className="text-xs text-gray-400">{LOAN_METHODS[acc.loan.method]} · 연 {acc.loan.annualRate}% · {acc.loan.termMonths}개월 · 매월 {acc.loan.paymentDay}일</p>}
+                                    </div>
                                 </div>
-                            </div>
-                            <div className="text-right flex items-center gap-2">
-                                <div>
-                                    {Object.entries(acc.balances).map(([currency, amount]) => (
-                                        <p key={currency} className="text-md font-semibold">{formatNumber(amount)} {currency}</p>
-                                    ))}
-                                    {Object.keys(acc.balances).length > 1 && <p className="text-sm text-gray-500 font-bold">총 {formatCurrency(acc.totalKRW)}</p>}
+                                <div className="text-right flex items-center gap-2">
+                                    <div>
+                                        {Object.entries(acc.balances).map(([currency, amount]) => (
+                                            <p key={currency} className="text-md font-semibold">{formatNumber(amount)} {currency}</p>
+                                        ))}
+                                        {acc.holdingsValueKRW > 0 && <p className="text-sm text-gray-500">투자 평가액 {formatCurrency(acc.holdingsValueKRW)}</p>}
+                                        {(Object.keys(acc.balances).length > 1 || acc.holdingsValueKRW > 0) && <p className="text-sm text-gray-500 font-bold">총 {formatCurrency(acc.totalKRW)}</p>}
+                                    </div>
+                                    {canEdit && (
+                                        <>
+                                            <button onClick={(e) => handleEditClick(e, acc)} className="p-2 hover:bg-gray-200 rounded-full">✏️</button>
+                                            <button onClick={(e) => { e.stopPropagation(); handleArchiveAccount(acc, !acc.isArchived); }} title={acc.isArchived ? '보관 해제' : '보관'} className="p-2 hover:bg-gray-200 rounded-full">{acc.isArchived ? '↩️' : '📦'}</button>
+                                            <button onClick={(e) => handleDeleteAccount(e, acc)} className="p-2 hover:bg-gray-200 rounded-full">🗑️</button>
+                                        </>
+                                    )}
                                 </div>
-                                <button onClick={(e) => handleEditClick(e, acc)} className="p-2 hover:bg-gray-200 rounded-full">✏️</button>
-                                <button onClick={(e) => handleDeleteAccount(e, acc.id)} className="p-2 hover:bg-gray-200 rounded-full">🗑️</button>
                             </div>
+                            {deletingAccount?.account.id === acc.id && (
+                                <ReferenceDeletePanel
+                                    itemName={acc.name}
+                                    counts={countAccountReferences(deletingAccount.references)}
+                                    targets={accounts.filter(other => other.id !== acc.id && other.currency === acc.currency && !other.isArchived)}
+                                    deleteDescription="삭제하면 관련 거래, 일정, 템플릿, 투자 거래, 이 계좌 조건의 자동 분류 규칙이 함께 삭제되고 연결 카드와 CSV 가져오기 설정은 계좌 연결이 해제됩니다. 다른 계좌로 옮기려면 같은 통화의 계좌를 선택하세요."
+                                    onReassign={handleReassignAndDelete}
+                                    onArchive={acc.isArchived ? null : () => handleArchiveAccount(acc, true)}
+                                    onDelete={handleDeleteWithReferences}
+                                    onCancel={() => setDeletingAccount(null)}
+                                />
+                            )}
                         </div>
                     ))}
-                    <AccountForm user={user} currencies={currencies} db={db} showAlert={showAlert} />
+                    {canEdit && <AccountForm user={user} dataPath={dataPath} accounts={accounts} currencies={currencies} db={db} showAlert={showAlert} />}
                 </>
             )}
         </div>
     );
 }
 
-function AccountForm({ user, accountToEdit, currencies, onFinish, db, showAlert }) {
+const EMPTY_LOAN = { principal: '', annualRate: '', termMonths: '', method: 'equalPayment', startDate: getLocalDateKey(new Date()), paymentDay: '', repaymentAccountId: '' };
+
+function AccountForm({ user, dataPath, accountToEdit, accounts = [], currencies, onFinish, db, showAlert }) {
     const isEditing = !!accountToEdit;
     const [formData, setFormData] = React.useState({
         name: '', category: '은행', initialBalance: '', currency: 'KRW',
     });
+    const [loanData, setLoanData] = React.useState(EMPTY_LOAN);
+    const isLoan = formData.category === LOAN_CATEGORY;
+    const repaymentAccounts = getSelectableItems(accounts, loanData.repaymentAccountId).filter(acc => acc.category !== LOAN_CATEGORY);
 
     React.useEffect(() => {
         if (isEditing) {
@@ -792,6 +1628,9 @@ function AccountForm({ user, accountToEdit, currencies, onFinish, db, showAlert
                 initialBalance: accountToEdit.initialBalance,
                 currency: accountToEdit.currency,
             })
+            if (accountToEdit.loan) {
+                setLoanData({ ...accountToEdit.loan, startDate: getLocalDateKey(toJsDate(accountToEdit.loan.startDate)) });
+            }
         }
     }, [accountToEdit, isEditing]);
 
@@ -801,6 +1640,62 @@ function AccountForm({ user, accountToEdit, currencies, onFinish, db, showAlert
         setFormData(prev => ({ ...prev, [name]: value }));
     };
 
+    const handleLoanChange = (e) => {
+        const { name, value } = e.target;
+        setLoanData(prev => ({ ...prev, [name]: value }));
+    };
+
+    // 대출 계좌는 약정 조건으로 상환 계획을 만들고, 오늘 이후 회차를 상환 계좌의 일정으로 등록
+    const createLoanAccount = async () => {
+        const loan = {
+            principal: Number(loanData.principal),
+            annualRate: Number(loanData.annualRate),
+            termMonths: Number(loanData.termMonths),
+            method: loanData.method,
+            startDate: Timestamp.fromDate(new Date(`${loanData.startDate}T00:00:00`)),
+            paymentDay: Number(loanData.paymentDay),
+            repaymentAccountId: loanData.repaymentAccountId,
+        };
+        const amortization = getAmortizationSchedule(loan);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const accountRef = doc(collection(db, `${dataPath}/accounts`));
+        await saveWithAudit(db, dataPath, user, accountRef, {
+            name: formData.name,
+            category: LOAN_CATEGORY,
+            currency: formData.currency,
+            initialBalance: -getScheduledLoanBalance(amortization, loan.principal, today),
+            loan,
+            createdAt: Timestamp.now(),
+        });
+
+        const schedulesRef = collection(db, `${dataPath}/schedules`);
+        await commitInChunks(db, amortization.filter(row => row.date >= today), (batch, row) => {
+            setWithAudit(batch, db, dataPath, user, doc(schedulesRef), {
+                description: `${formData.name} ${row.number}/${loan.termMonths}회차 상환`,
+                amount: row.payment,
+                type: 'expense',
+                accountId: loan.repaymentAccountId,
+                date: Timestamp.fromDate(row.date),
+                recurrence: null,
+                loanAccountId: accountRef.id,
+                installmentNumber: row.number,
+                principal: row.principal,
+                interest: row.interest,
+                isCompleted: false,
+            });
+        }, 2);
+    };
+
+    // 상환 조건은 수정하지 않고, 상환 계좌가 바뀌면 남은 회차 일정의 출금 계좌만 옮김
+    const moveLoanSchedules = async () => {
+        const q = query(collection(db, `${dataPath}/schedules`), where("loanAccountId", "==", accountToEdit.id));
+        const snapshot = await getDocs(q);
+        const pending = snapshot.docs.filter(d => !d.data().isCompleted);
+        await commitInChunks(db, pending, (batch, d) => setWithAudit(batch, db, dataPath, user, d.ref, { accountId: loanData.repaymentAccountId }, d.data()), 2);
+    };
+
     const handleSaveAccount = async (e) => {
         e.preventDefault();
         const dataToSave = {
@@ -810,11 +1705,22 @@ function AccountForm({ user, accountToEdit, currencies, onFinish, db, showAlert
 
         try {
             if (isEditing) {
-                await setDoc(doc(db, `users/${user.uid}/accounts`, accountToEdit.id), dataToSave, { merge: true });
+                if (accountToEdit.loan) {
+                    const loan = { ...accountToEdit.loan, repaymentAccountId: loanData.repaymentAccountId };
+                    await saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/accounts`, accountToEdit.id), { name: formData.name, loan }, accountToEdit);
+                    if (loanData.repaymentAccountId !== accountToEdit.loan.repaymentAccountId) await moveLoanSchedules();
+                } else {
+                    await saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/accounts`, accountToEdit.id), dataToSave, accountToEdit);
+                }
                 showAlert('계좌가 수정되었습니다.');
                 onFinish();
             } else {
-                await addDoc(collection(db, `users/${user.uid}/accounts`), { ...dataToSave, createdAt: Timestamp.now() });
+                if (isLoan) {
+                    await createLoanAccount();
+                    setLoanData(EMPTY_LOAN);
+                } else {
+                    await saveWithAudit(db, dataPath, user, doc(collection(db, `${dataPath}/accounts`)), { ...dataToSave, createdAt: Timestamp.now() });
+                }
                 setFormData({ name: '', category: '은행', initialBalance: '', currency: 'KRW' });
             }
         } catch (error) {
@@ -822,20 +1728,47 @@ function AccountForm({ user, accountToEdit, currencies, onFinish, db, showAlert
         }
     };
 
+    const isLoanLocked = isEditing && !!accountToEdit.loan;
+
     return (
         <form onSubmit={handleSaveAccount} className={`p-4 mt-4 ${isEditing ? '' : 'border-t'}`}>
             <h3 className="font-semibold mb-3">{isEditing ? '계좌 수정' : '새 계좌 추가'}</h3>
             <div className="space-y-3">
                 <input name="name" value={formData.name} onChange={handleChange} placeholder="계좌 이름" required className="w-full p-2 border rounded" />
                 <div className="grid grid-cols-2 gap-4">
-                    <select name="category" value={formData.category} onChange={handleChange} required className="w-full p-2 border rounded">
-                        <option value="은행">은행</option><option value="증권">증권</option><option value="코인">코인</option><option value="현금">현금</option><option value="기타">기타</option>
+                    <select name="category" value={formData.category} onChange={handleChange} required disabled={isLoanLocked} className="w-full p-2 border rounded">
+                        <option value="은행">은행</option><option value="증권">증권</option><option value="코인">코인</option><option value="현금">현금</option><option value="대출">대출</option><option value="기타">기타</option>
                     </select>
-                    <select name="currency" value={formData.currency} onChange={handleChange} required className="w-full p-2 border rounded">
+                    <select name="currency" value={formData.currency} onChange={handleChange} required disabled={isLoanLocked} className="w-full p-2 border rounded">
                         {currencies.map(c => <option key={c.symbol} value={c.symbol}>{c.symbol} ({c.name})</option>)}
                     </select>
                 </div>
-                <input name="initialBalance" type="number" step="any" value={formData.initialBalance} onChange={handleChange} placeholder="초기 잔액" required className="w-full p-2 border rounded" />
+                {isLoan ? (
+                    <>
+                        <div className="grid grid-cols-2 gap-4">
+                            <input name="principal" type="number" step="any" min="0" value={loanData.principal} onChange={handleLoanChange} placeholder="대출 원금" required disabled={isLoanLocked} className="w-full p-2 border rounded" />
+                            <input name="annualRate" type="number" step="any" min="0" value={loanData.annualRate} onChange={handleLoanChange} placeholder="연 이율 (%)" required disabled={isLoanLocked} className="w-full p-2 border rounded" />
+                            <input name="termMonths" type="number" min="1" value={loanData.termMonths} onChange={handleLoanChange} placeholder="기간 (개월)" required disabled={isLoanLocked} className="w-full p-2 border rounded" />
+                            <select name="method" value={loanData.method} onChange={handleLoanChange} disabled={isLoanLocked} className="w-full p-2 border rounded">
+                                {Object.entries(LOAN_METHODS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                            <div>
+                                <label className="text-sm text-gray-600">대출 실행일</label>
+                                <input name="startDate" type="date" value={loanData.startDate} onChange={handleLoanChange} required disabled={isLoanLocked} className="w-full p-2 border rounded" />
+                            </div>
+                            <div>
+                                <label className="text-sm text-gray-600">매월 상환일</label>
+                                <input name="paymentDay" type="number" min="1" max="31" value={loanData.paymentDay} onChange={handleLoanChange} placeholder="예: 25" required disabled={isLoanLocked} className="w-full p-2 border rounded" />
+                            </div>
+                        </div>
+                        <select name="repaymentAccountId" value={loanData.repaymentAccountId} onChange={handleLoanChange} required className="w-full p-2 border rounded">
+                            <option value="">상환 출금 계좌 선택</option>
+                            {repaymentAccounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                        </select>
+                    </>
+                ) : (
+                    <input name="initialBalance" type="number" step="any" value={formData.initialBalance} onChange={handleChange} placeholder="초기 잔액" required className="w-full p-2 border rounded" />
+                )}
                 <div className="flex justify-end space-x-2">
                     {isEditing && <button type="button" onClick={onFinish} className="bg-gray-200 px-4 py-2 rounded">취소</button>}
                     <button type="submit" className="bg-indigo-500 text-white px-4 py-2 rounded">{isEditing ? '수정' : '추가'}</button>
@@ -845,41 +1778,59 @@ function AccountForm({ user, accountToEdit, currencies, onFinish, db, showAlert
     );
 }
 
-
-function CardList({ user, cards, accounts, transactions, db, showAlert, showConfirm }) {
+function CardList({ user, dataPath, canEdit, cards, accounts, transactions, cardStatementsById, db, showAlert, showConfirm }) {
     const [editingCard, setEditingCard] = React.useState(null);
     const [filter, setFilter] = React.useState('all');
+    const [historyCardId, setHistoryCardId] = React.useState(null);
+    const [payingStatement, setPayingStatement] = React.useState(null);
+    const [showArchived, setShowArchived] = React.useState(false);
 
     const displayedCards = React.useMemo(() => {
-        if (filter === 'all') return cards;
-        return cards.filter(card => card.linkedAccountId === filter);
-    }, [cards, filter]);
+        const visibleCards = cards.filter(card => showArchived || !card.isArchived);
+        if (filter === 'all') return visibleCards;
+        return visibleCards.filter(card => card.linkedAccountId === filter);
+    }, [cards, filter, showArchived]);
 
     const handleEditClick = (card) => setEditingCard(card);
     const handleCancelEdit = () => setEditingCard(null);
 
-    const handleDeleteCard = async (id) => {
+    const handleDeleteCard = async (card) => {
         showConfirm("정말로 신용카드를 삭제하시겠습니까? 연결된 거래 내역은 유지됩니다.", async () => {
-            await deleteDoc(doc(db, `users/${user.uid}/cards`, id));
-            showAlert("카드가 삭제되었습니다.");
+            try {
+                await removeWithAudit(db, dataPath, user, doc(db, `${dataPath}/cards`, card.id), card);
+                showAlert("카드가 삭제되었습니다.");
+            } catch (error) {
+                showAlert(`삭제 실패: ${error.message}`);
+            }
         });
     };
 
-    const handleConfirmPayment = async (cardId, amount, linkedAccountId, transactionsToPay) => {
-        showConfirm(`${formatCurrency(amount)}을 결제 처리하시겠습니까?`, async () => {
-            try {
-                await runTransaction(db, async (transaction) => {
-                    const newTransRef = doc(collection(db, `users/${user.uid}/transactions`));
-                    transaction.set(newTransRef, {
-                        type: 'payment', accountId: linkedAccountId, amount, originalAmount: amount, originalCurrency: 'KRW',
-                        description: `${cards.find(c => c.id === cardId)?.name} 카드대금 결제`,
-                        date: Timestamp.now(), paidCardTransactionIds: transactionsToPay.map(t => t.id)
-                    });
-                    transactionsToPay.forEach(t => {
-                        const tRef = doc(db, `users/${user.uid}/transactions`, t.id);
-                        transaction.update(tRef, { isPaid: true });
-                    });
+    // 해지한 카드는 보관하여 명세서와 거래 내역은 유지하고 카드 선택 목록에서만 숨김
+    const handleArchiveCard = async (card, isArchived) => {
+        try {
+            await saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/cards`, card.id), { isArchived }, card);
+            showAlert(isArchived ? "카드가 보관되었습니다." : "카드 보관이 해제되었습니다.");
+        } catch (error) {
+            showAlert(`저장 실패: ${error.message}`);
+        }
+    };
+
+    // 명세서 단위로 결제 금액을 기록 (전액/최소/부분 결제 모두 같은 방식이며 남은 잔액은 다음 명세서로 이월)
+    const handleConfirmPayment = async (card, statement, amount) => {
+        // 출금 계좌가 삭제되어 연결이 해제된 카드는 결제 거래를 만들 계좌가 없음
+        if (!card.linkedAccountId) {
+            showAlert(UNLINKED_CARD_MESSAGE);
+            return;
+        }
+        showConfirm(`${card.name} ${statement.month + 1}월 명세서에 ${formatCurrency(amount)}을 결제 처리하시겠습니까?`, async () => {
+            try {
+                await saveWithAudit(db, dataPath, user, doc(collection(db, `${dataPath}/transactions`)), {
+                    type: 'payment', accountId: card.linkedAccountId, cardId: card.id, statementKey: statement.key,
+                    amount, originalAmount: amount, originalCurrency: 'KRW',
+                    description: `${card.name} 카드대금 결제 (${statement.year}년 ${statement.month + 1}월)`,
+                    date: Timestamp.now(),
                 });
+                setPayingStatement(null);
                 showAlert("결제 처리가 완료되었습니다.");
             } catch (error) {
                 console.error(error);
@@ -888,61 +1839,184 @@ function CardList({ user, cards, accounts, transactions, db, showAlert, showConf
         });
     };
 
+    // 결제 거래를 지우고, 이전 방식으로 결제 처리된 카드 거래가 있으면 함께 되돌림
+    const handleCancelPayment = async (payment) => {
+        showConfirm(`${formatCurrency(payment.amount)} 결제를 취소하시겠습니까?`, async () => {
+            try {
+                await runTransaction(db, async (transaction) => {
+                    await revertLinkedCardTransactions(transaction, db, dataPath, user, payment);
+                    deleteWithAudit(transaction, db, dataPath, user, doc(db, `${dataPath}/transactions`, payment.id), payment);
+                });
+                showAlert("결제가 취소되었습니다.");
+            } catch (error) {
+                console.error(error);
+                showAlert(`오류: ${error.message}`);
+            }
+        });
+    };
+
     return (
         <div className="bg-white p-6 rounded-xl shadow-md">
             {editingCard ? (
-                <CardForm user={user} cardToEdit={editingCard} accounts={accounts} onFinish={handleCancelEdit} db={db} showAlert={showAlert} />
+                <CardForm user={user} dataPath={dataPath} cardToEdit={editingCard} accounts={accounts} onFinish={handleCancelEdit} db={db} showAlert={showAlert} />
             ) : (
                 <>
                     <div className="flex flex-wrap gap-4 mb-4">
                         <select value={filter} onChange={e => setFilter(e.target.value)} className="p-2 border rounded-lg bg-white">
                             <option value="all">모든 출금 계좌</option>
-                            {accounts.filter(a => a.currency === 'KRW').map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                            {accounts.filter(a => a.currency === 'KRW').map(acc => <option key={acc.id} value={acc.id}>{getArchivedLabel(acc)}</option>)}
                         </select>
+                        <label className="flex items-center text-sm"><input type="checkbox" checked={showArchived} onChange={e => setShowArchived(e.target.checked)} className="mr-2" /> 보관된 카드 보기</label>
                     </div>
                     {displayedCards.map(card => {
-                        const today = new Date();
-                        const paymentDay = card.paymentDay;
-                        let usageStart = new Date(today.getFullYear(), today.getMonth() - (today.getDate() < paymentDay ? 1 : 0), card.usageStartDay);
-                        let usageEnd = new Date(today.getFullYear(), today.getMonth() + (today.getDate() < paymentDay ? 0 : 1), card.usageEndDay, 23, 59, 59);
-
-                        const transactionsToPay = transactions.filter(t => t.type === 'card-expense' && t.cardId === card.id && !t.isPaid && t.date.toDate() >= usageStart && t.date.toDate() <= usageEnd);
-                        const amountToPay = transactionsToPay.reduce((sum, t) => sum + t.amount, 0);
+                        const statements = cardStatementsById[card.id] || [];
+                        const upcoming = getUpcomingCardStatement(statements);
+                        const remainingInstallments = transactions
+                            .filter(t => t.type === 'card-expense' && t.cardId === card.id && (t.installmentMonths || 1) > 1)
+                            .reduce((sum, t) => sum + getRemainingInstallmentPrincipal(t), 0);
 
                         return (
                             <div key={card.id} className="p-3 mb-2 border rounded-lg">
                                 <div className="flex justify-between items-center">
-                                    <p className="font-semibold">{card.name}</p>
+                                    <p className="font-semibold">{card.name}{card.isArchived && <span className="text-xs bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full ml-2 font-normal">보관됨</span>}</p>
                                     <div className="flex items-center gap-2">
                                         <span className="text-sm">결제일: 매월 {card.paymentDay}일</span>
-                                        <button onClick={() => handleEditClick(card)} className="p-2 hover:bg-gray-200 rounded-full text-sm">✏️</button>
-                                        <button onClick={() => handleDeleteCard(card.id)} className="p-2 hover:bg-gray-200 rounded-full text-sm">🗑️</button>
+                                        <button onClick={() => setHistoryCardId(historyCardId === card.id ? null : card.id)} className="p-2 hover:bg-gray-200 rounded-full text-sm">🧾</button>
+                                        {canEdit && (
+                                            <>
+                                                <button onClick={() => handleEditClick(card)} className="p-2 hover:bg-gray-200 rounded-full text-sm">✏️</button>
+                                                <button onClick={() => handleArchiveCard(card, !card.isArchived)} title={card.isArchived ? '보관 해제' : '보관'} className="p-2 hover:bg-gray-200 rounded-full text-sm">{card.isArchived ? '↩️' : '📦'}</button>
+                                                <button onClick={() => handleDeleteCard(card)} className="p-2 hover:bg-gray-200 rounded-full text-sm">🗑️</button>
+                                            </>
+                                        )}
                                     </div>
                                 </div>
-                                {amountToPay > 0 && (
+                                {upcoming && upcoming.balance > 0 && (
                                     <div className="mt-2 p-3 bg-red-50 rounded-lg flex justify-between items-center">
                                         <div>
-                                            <p className="text-red-600 font-bold">결제 예정 금액: {formatCurrency(amountToPay)}</p>
-                                            <p className="text-xs text-gray-500">({usageStart.toLocaleDateString()} ~ {usageEnd.toLocaleDateString()})</p>
+                                            <p className="text-red-600 font-bold">결제 예정 금액: {formatCurrency(upcoming.balance)}</p>
+                                            <p className="text-xs text-gray-500">({upcoming.start.toLocaleDateString()} ~ {upcoming.end.toLocaleDateString()}, 결제일 {upcoming.dueDate.toLocaleDateString()})</p>
+                                            {upcoming.previousBalance > 0 && <p className="text-xs text-red-500">이월 잔액 {formatCurrency(upcoming.previousBalance)}{upcoming.interestAmount > 0 && ` + 이자 ${formatCurrency(upcoming.interestAmount)}`} 포함</p>}
+                                            {upcoming.settledAmount > 0 && <p className="text-xs text-gray-500">결제된 금액 {formatCurrency(upcoming.settledAmount)}</p>}
                                         </div>
-                                        <button onClick={() => handleConfirmPayment(card.id, amountToPay, card.linkedAccountId, transactionsToPay)}
-                                            className="bg-red-500 text-white px-3 py-1 rounded-lg text-sm hover:bg-red-600" disabled={!card.linkedAccountId}>결제 확정</button>
+                                        {canEdit && (
+                                            <button onClick={() => setPayingStatement({ cardId: card.id, key: upcoming.key })}
+                                                className="bg-red-500 text-white px-3 py-1 rounded-lg text-sm hover:bg-red-600" disabled={!card.linkedAccountId}>결제 확정</button>
+                                        )}
                                     </div>
                                 )}
+                                {!card.linkedAccountId && <p className="mt-2 text-sm text-orange-600">{UNLINKED_CARD_MESSAGE}</p>}
+                                {payingStatement?.cardId === card.id && (
+                                    <CardPaymentForm statement={statements.find(st => st.key === payingStatement.key)} onSubmit={(statement, amount) => handleConfirmPayment(card, statement, amount)} onCancel={() => setPayingStatement(null)} />
+                                )}
+                                {remainingInstallments > 0 && <p className="mt-2 text-sm text-gray-600">남은 할부 원금: {formatCurrency(remainingInstallments)}</p>}
+                                {historyCardId === card.id && <CardStatementHistory card={card} statements={statements} canEdit={canEdit} onPay={(statement) => setPayingStatement({ cardId: card.id, key: statement.key })} onCancelPayment={handleCancelPayment} />}
                             </div>
                         );
                     })}
-                    <CardForm user={user} accounts={accounts} db={db} showAlert={showAlert} />
+                    {canEdit && <CardForm user={user} dataPath={dataPath} accounts={accounts} db={db} showAlert={showAlert} />}
                 </>
             )}
         </div>
     );
 }
 
-function CardForm({ user, cardToEdit, accounts, onFinish, db, showAlert }) {
+function CardStatementHistory({ card, statements, canEdit, onPay, onCancelPayment }) {
+    const [expandedKey, setExpandedKey] = React.useState(null);
+    const history = [...statements].reverse();
+
+    return (
+        <div className="mt-3 border-t pt-3">
+            <h4 className="font-semibold mb-2">명세서 내역</h4>
+            <ul className="divide-y divide-gray-200">
+                {history.map(statement => {
+                    const status = getStatementStatus(statement);
+                    return (
+                        <li key={statement.key} className="py-2">
+                            <div className="flex justify-between items-center cursor-pointer" onClick={() => setExpandedKey(expandedKey === statement.key ? null : statement.key)}>
+                                <div>
+                                    <p className="font-medium">{statement.year}년 {statement.month + 1}월 명세서 <span className={`text-xs ml-2 ${status.className}`}>{status.label}</span></p>
+                                    <p className="text-xs text-gray-500">{statement.start.toLocaleDateString()} ~ {statement.end.toLocaleDateString()} · 결제일 {statement.dueDate.toLocaleDateString()}</p>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <div className="text-right">
+                                        <p className="font-semibold">{formatCurrency(statement.amountDue)}</p>
+                                        {statement.settledAmount > 0 && statement.balance > 0 && <p className="text-xs text-gray-500">잔액 {formatCurrency(statement.balance)}</p>}
+                                    </div>
+                                    {canEdit && statement.isClosed && statement.balance > 0 && (
+                                        <button onClick={(e) => { e.stopPropagation(); onPay(statement); }} disabled={!card.linkedAccountId} className="bg-red-500 text-white px-2 py-1 rounded-lg text-xs hover:bg-red-600">결제</button>
+                                    )}
+                                </div>
+                            </div>
+                            {expandedKey === statement.key && (
+                                <ul className="mt-2 ml-4 text-sm text-gray-600">
+                                    {statement.previousBalance !== 0 && <li className="flex justify-between text-red-500"><span>이전 명세서 이월 잔액</span><span>{formatNumber(statement.previousBalance)}</span></li>}
+                                    {statement.interestAmount > 0 && <li className="flex justify-between text-red-500"><span>리볼빙 이자</span><span>{formatNumber(statement.interestAmount)}</span></li>}
+                                    {statement.charges.map(c => (
+                                        <li key={`${c.transaction.id}-${c.installment.index}`} className="flex justify-between">
+                                            <span>
+                                                {c.installment.date.toLocaleDateString()} {c.transaction.description}
+                                                {(c.transaction.installmentMonths || 1) > 1 && ` (${c.installment.index + 1}/${c.transaction.installmentMonths})`}
+                                                {c.amount < 0 && ' (승인취소)'}
+                                            </span>
+                                            <span className={c.amount < 0 ? 'text-blue-600' : ''}>{formatNumber(c.amount)}</span>
+                                        </li>
+                                    ))}
+                                    {statement.charges.length === 0 && <li>청구 내역이 없습니다.</li>}
+                                    {[...statement.payments, ...statement.legacyPayments].map(p => (
+                                        <li key={p.id} className="flex justify-between items-center text-green-600">
+                                            <span>{p.date.toDate().toLocaleDateString()} 결제</span>
+                                            <span className="flex items-center gap-2">
+                                                -{formatNumber(p.amount)}
+                                                {canEdit && <button onClick={() => onCancelPayment(p)} className="text-xs text-red-500 hover:underline">결제 취소</button>}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </li>
+                    );
+                })}
+                {history.length === 0 && <p className="text-sm text-gray-500">명세서가 없습니다.</p>}
+            </ul>
+        </div>
+    );
+}
+
+function CardPaymentForm({ statement, onSubmit, onCancel }) {
+    const [mode, setMode] = React.useState('full');
+    const [customAmount, setCustomAmount] = React.useState('');
+    if (!statement) return null;
+
+    const amount = mode === 'full' ? statement.balance : mode === 'minimum' ? statement.minimumPayment : Number(customAmount);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!amount || amount <= 0) return;
+        onSubmit(statement, amount);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2 p-3 border rounded-lg space-y-2">
+            <p className="font-semibold">{statement.year}년 {statement.month + 1}월 명세서 결제</p>
+            <label className="flex items-center text-sm"><input type="radio" name="mode" value="full" checked={mode === 'full'} onChange={() => setMode('full')} className="mr-2" /> 전액 결제 ({formatCurrency(statement.balance)})</label>
+            <label className="flex items-center text-sm"><input type="radio" name="mode" value="minimum" checked={mode === 'minimum'} onChange={() => setMode('minimum')} className="mr-2" /> 최소 결제 ({formatCurrency(statement.minimumPayment)}, 나머지는 리볼빙 이월)</label>
+            <label className="flex items-center text-sm">
+                <input type="radio" name="mode" value="custom" checked={mode === 'custom'} onChange={() => setMode('custom')} className="mr-2" /> 일부 결제
+                {mode === 'custom' && <input type="number" step="any" min="1" value={customAmount} onChange={e => setCustomAmount(e.target.value)} placeholder="결제 금액" className="ml-2 w-36 p-1 border rounded" required />}
+            </label>
+            <div className="flex justify-end space-x-2">
+                <button type="button" onClick={onCancel} className="bg-gray-200 px-3 py-1 rounded">취소</button>
+                <button type="submit" className="bg-red-500 text-white px-3 py-1 rounded">결제</button>
+            </div>
+        </form>
+    );
+}
+
+function CardForm({ user, dataPath, cardToEdit, accounts, onFinish, db, showAlert }) {
     const isEditing = !!cardToEdit;
     const [formData, setFormData] = React.useState({
-        name: '', paymentDay: 15, usageStartDay: 1, usageEndDay: 31, linkedAccountId: '',
+        name: '', paymentDay: 15, usageEndDay: 31, closingMonthOffset: 1, linkedAccountId: '', minimumPaymentRate: DEFAULT_MINIMUM_PAYMENT_RATE, revolvingRate: '',
     });
 
     React.useEffect(() => {
@@ -950,9 +2024,11 @@ function CardForm({ user, cardToEdit, accounts, onFinish, db, showAlert }) {
             setFormData({
                 name: cardToEdit.name,
                 paymentDay: cardToEdit.paymentDay,
-                usageStartDay: cardToEdit.usageStartDay,
                 usageEndDay: cardToEdit.usageEndDay,
-                linkedAccountId: cardToEdit.linkedAccountId,
+                closingMonthOffset: getClosingMonthOffset(cardToEdit),
+                minimumPaymentRate: cardToEdit.minimumPaymentRate ?? DEFAULT_MINIMUM_PAYMENT_RATE,
+                revolvingRate: cardToEdit.revolvingRate ?? '',
+                linkedAccountId: cardToEdit.linkedAccountId || '',
             })
         }
     }, [cardToEdit, isEditing]);
@@ -967,18 +2043,20 @@ function CardForm({ user, cardToEdit, accounts, onFinish, db, showAlert }) {
         const dataToSave = {
             ...formData,
             paymentDay: Number(formData.paymentDay),
-            usageStartDay: Number(formData.usageStartDay),
             usageEndDay: Number(formData.usageEndDay),
+            closingMonthOffset: Number(formData.closingMonthOffset),
+            minimumPaymentRate: Number(formData.minimumPaymentRate),
+            revolvingRate: Number(formData.revolvingRate) || 0,
         };
 
         try {
             if (isEditing) {
-                await setDoc(doc(db, `users/${user.uid}/cards`, cardToEdit.id), dataToSave, { merge: true });
+                await saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/cards`, cardToEdit.id), dataToSave, cardToEdit);
                 showAlert('카드가 수정되었습니다.');
                 onFinish();
             } else {
-                await addDoc(collection(db, `users/${user.uid}/cards`), dataToSave);
-                setFormData({ name: '', paymentDay: 15, usageStartDay: 1, usageEndDay: 31, linkedAccountId: '' });
+                await saveWithAudit(db, dataPath, user, doc(collection(db, `${dataPath}/cards`)), dataToSave);
+                setFormData({ name: '', paymentDay: 15, usageEndDay: 31, closingMonthOffset: 1, linkedAccountId: '', minimumPaymentRate: DEFAULT_MINIMUM_PAYMENT_RATE, revolvingRate: '' });
                 showAlert('카드가 추가되었습니다.');
             }
         } catch (error) {
@@ -1000,19 +2078,34 @@ function CardForm({ user, cardToEdit, accounts, onFinish, db, showAlert }) {
                         <input name="paymentDay" type="number" min="1" max="31" value={formData.paymentDay} onChange={handleChange} className="w-full p-2 border rounded mt-1" required />
                     </div>
                     <div>
-                        <label className="text-sm font-medium text-gray-700">이용 시작일</label>
-                        <input name="usageStartDay" type="number" min="1" max="31" value={formData.usageStartDay} onChange={handleChange} className="w-full p-2 border rounded mt-1" required />
+                        <label className="text-sm font-medium text-gray-700">이용 마감월</label>
+                        <select name="closingMonthOffset" value={formData.closingMonthOffset} onChange={handleChange} className="w-full p-2 border rounded mt-1">
+                            <option value={0}>결제월 당월</option>
+                            <option value={1}>결제월 전월</option>
+                            <option value={2}>결제월 전전월</option>
+                        </select>
                     </div>
                     <div>
-                        <label className="text-sm font-medium text-gray-700">이용 종료일</label>
+                        <label className="text-sm font-medium text-gray-700">이용 마감일</label>
                         <input name="usageEndDay" type="number" min="1" max="31" value={formData.usageEndDay} onChange={handleChange} className="w-full p-2 border rounded mt-1" required />
                     </div>
                 </div>
+                <p className="text-xs text-gray-500">이용 기간은 직전 마감일 다음 날부터 마감일까지입니다. (예: 결제일 14일, 전월 31일 마감 → 전월 1일~말일 이용분)</p>
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label className="text-sm font-medium text-gray-700">최소 결제 비율 (%)</label>
+                        <input name="minimumPaymentRate" type="number" step="any" min="0" max="100" value={formData.minimumPaymentRate} onChange={handleChange} className="w-full p-2 border rounded mt-1" />
+                    </div>
+                    <div>
+                        <label className="text-sm font-medium text-gray-700">리볼빙 이자율 (연 %)</label>
+                        <input name="revolvingRate" type="number" step="any" min="0" value={formData.revolvingRate} onChange={handleChange} placeholder="0" className="w-full p-2 border rounded mt-1" />
+                    </div>
+                </div>
                 <div>
                     <label className="text-sm font-medium text-gray-700">출금 계좌</label>
                     <select name="linkedAccountId" value={formData.linkedAccountId} onChange={handleChange} className="w-full p-2 border rounded mt-1" required>
                         <option value="">출금 계좌 선택</option>
-                        {accounts.filter(a => a.currency === 'KRW').map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                        {getSelectableItems(accounts, formData.linkedAccountId).filter(a => a.currency === 'KRW').map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
                     </select>
                 </div>
                 <div className="flex justify-end space-x-2">
@@ -1024,55 +2117,158 @@ function CardForm({ user, cardToEdit, accounts, onFinish, db, showAlert }) {
     );
 }
 
-function CurrencyView({ user, currencies, showAlert, showConfirm }) {
+function CurrencyView({ dataPath, canEdit, accounts, currencies, exchangeRates, showAlert, showConfirm }) {
     const [isAdding, setIsAdding] = React.useState(false);
     const [newCurrency, setNewCurrency] = React.useState({ symbol: '', name: '', rate: '' });
+    const [historySymbol, setHistorySymbol] = React.useState(null);
+
+    const getToday = () => {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    };
+    const setRateEntry = (batch, symbol, date, rate) => {
+        batch.set(doc(db, `${dataPath}/exchangeRates`, getExchangeRateId(symbol, date)), { symbol, date: Timestamp.fromDate(date), rate });
+    };
+    // 이력 중 가장 최근 날짜 (현재 환율을 갱신할지 판단할 때 사용)
+    const getLatestRateTime = (symbol) => exchangeRates.filter(r => r.symbol === symbol).reduce((max, r) => Math.max(max, r.date.toDate().getTime()), -Infinity);
 
     const handleAddCurrency = async (e) => {
         e.preventDefault();
-        if (currencies.find(c => c.symbol === newCurrency.symbol.toUpperCase())) {
+        const symbol = newCurrency.symbol.toUpperCase();
+        if (currencies.find(c => c.symbol === symbol)) {
             showAlert("이미 존재하는 통화 기호입니다.");
             return;
         }
-        await setDoc(doc(db, `users/${user.uid}/currencies`, newCurrency.symbol.toUpperCase()), {
-            ...newCurrency,
-            symbol: newCurrency.symbol.toUpperCase(),
-            rate: Number(newCurrency.rate)
-        });
-        setNewCurrency({ symbol: '', name: '', rate: '' });
-        setIsAdding(false);
+        try {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${dataPath}/currencies`, symbol), {
+                ...newCurrency,
+                symbol,
+                rate: Number(newCurrency.rate)
+            });
+            setRateEntry(batch, symbol, getToday(), Number(newCurrency.rate));
+            await batch.commit();
+            setNewCurrency({ symbol: '', name: '', rate: '' });
+            setIsAdding(false);
+        } catch (error) {
+            showAlert(`통화 추가 실패: ${error.message}`);
+        }
     };
 
+    // 현재 환율을 바꾸면 오늘 날짜의 이력도 함께 기록하여 과거 거래의 환산에는 영향을 주지 않음
     const handleUpdateRate = async (symbol, newRateStr) => {
         const newRate = Number(newRateStr);
-        if (isNaN(newRate) || newRate < 0) return;
-        await setDoc(doc(db, `users/${user.uid}/currencies`, symbol), { rate: newRate }, { merge: true });
+        if (isNaN(newRate) || newRate <= 0 || newRate === currencies.find(c => c.symbol === symbol)?.rate) return;
+        try {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${dataPath}/currencies`, symbol), { rate: newRate }, { merge: true });
+            setRateEntry(batch, symbol, getToday(), newRate);
+            await batch.commit();
+        } catch (error) {
+            showAlert(`환율 수정 실패: ${error.message}`);
+        }
     };
 
+    // 계좌가 쓰는 통화를 지우면 잔액을 환산할 수 없으므로 보관된 계좌를 포함해 사용 중이면 막음
     const handleDeleteCurrency = async (symbol) => {
-        showConfirm(`${symbol} 통화를 삭제하시겠습니까? 이 통화를 사용하는 계좌가 없는지 확인해주세요.`, async () => {
-            await deleteDoc(doc(db, `users/${user.uid}/currencies`, symbol));
-            showAlert("통화가 삭제되었습니다.");
+        const usingAccounts = accounts.filter(a => a.currency === symbol);
+        if (usingAccounts.length > 0) {
+            showAlert(`${symbol} 통화를 사용하는 계좌가 있어 삭제할 수 없습니다. (${usingAccounts.map(a => a.name).join(', ')})`);
+            return;
+        }
+        showConfirm(`${symbol} 통화를 삭제하시겠습니까? 환율 이력도 함께 삭제됩니다.`, async () => {
+            try {
+                await commitInChunks(db, exchangeRates.filter(r => r.symbol === symbol), (batch, r) => batch.delete(doc(db, `${dataPath}/exchangeRates`, r.id)));
+                await deleteDoc(doc(db, `${dataPath}/currencies`, symbol));
+                showAlert("통화가 삭제되었습니다.");
+            } catch (error) {
+                showAlert(`삭제 실패: ${error.message}`);
+            }
+        });
+    };
+
+    // 저장에 실패하면 false를 돌려주어 입력한 환율을 그대로 남김
+    const handleAddRateEntry = async (symbol, date, rate) => {
+        try {
+            const batch = writeBatch(db);
+            setRateEntry(batch, symbol, date, rate);
+            // 가장 최근 날짜의 이력이면 현재 환율도 맞춤
+            if (date.getTime() >= getLatestRateTime(symbol)) {
+                batch.set(doc(db, `${dataPath}/currencies`, symbol), { rate }, { merge: true });
+            }
+            await batch.commit();
+            return true;
+        } catch (error) {
+            showAlert(`환율 기록 실패: ${error.message}`);
+            return false;
+        }
+    };
+
+    const handleDeleteRateEntry = async (entry) => {
+        showConfirm(`${entry.date.toDate().toLocaleDateString()} ${entry.symbol} 환율 이력을 삭제하시겠습니까?`, async () => {
+            try {
+                await deleteDoc(doc(db, `${dataPath}/exchangeRates`, entry.id));
+                showAlert("환율 이력이 삭제되었습니다.");
+            } catch (error) {
+                showAlert(`삭제 실패: ${error.message}`);
+            }
         });
     };
 
+    const handleImportRates = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (event) => {
+            try {
+                const { rates, invalidCount } = parseRateFile(event.target.result, file.name);
+                const knownSymbols = new Set(currencies.map(c => c.symbol));
+                const ratesToSave = rates.filter(r => knownSymbols.has(r.symbol));
+                const skippedCount = invalidCount + rates.length - ratesToSave.length;
+                if (ratesToSave.length === 0) {
+                    showAlert(`가져올 환율이 없습니다. (건너뛴 행 ${skippedCount}건: 형식 오류 또는 등록되지 않은 통화)`);
+                    return;
+                }
+
+                await commitInChunks(db, ratesToSave, (batch, r) => setRateEntry(batch, r.symbol, r.date, r.rate));
+                // 가져온 이력이 기존 이력보다 최근이면 통화별 현재 환율도 갱신
+                const latestBySymbol = ratesToSave.reduce((acc, r) => (!acc[r.symbol] || r.date > acc[r.symbol].date ? { ...acc, [r.symbol]: r } : acc), {});
+                const currencyUpdates = Object.values(latestBySymbol).filter(r => r.date.getTime() >= getLatestRateTime(r.symbol));
+                await commitInChunks(db, currencyUpdates, (batch, r) => batch.set(doc(db, `${dataPath}/currencies`, r.symbol), { rate: r.rate }, { merge: true }));
+                showAlert(`환율 ${ratesToSave.length}건을 가져왔습니다.${skippedCount > 0 ? ` (건너뛴 행 ${skippedCount}건)` : ''}`);
+            } catch (error) {
+                console.error("환율 가져오기 실패:", error);
+                showAlert(`환율 가져오기 실패: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = null;
+    };
+
     return (
         <div>
             <h2 className="text-3xl font-bold mb-6">환율/시세 관리</h2>
             <div className="bg-white p-6 rounded-xl shadow-md">
                 {currencies.map(c => (
-                    <div key={c.symbol} className="flex flex-wrap justify-between items-center p-3 mb-2 border rounded-lg">
-                        <div className="flex items-center"><p className="font-bold text-lg w-16">{c.symbol}</p><p>{c.name}</p></div>
-                        <div className="flex items-center gap-4">
-                            <span>1 {c.symbol} =</span>
-                            <input type="number" step="any" defaultValue={c.rate} onBlur={(e) => handleUpdateRate(c.symbol, e.target.value)}
-                                className="w-40 p-1 border rounded text-right" disabled={c.isBase} />
-                            <span>KRW</span>
-                            {!c.isBase && <button onClick={() => handleDeleteCurrency(c.symbol)} className="text-red-500 hover:text-red-700">삭제</button>}
+                    <div key={c.symbol} className="p-3 mb-2 border rounded-lg">
+                        <div className="flex flex-wrap justify-between items-center">
+                            <div className="flex items-center"><p className="font-bold text-lg w-16">{c.symbol}</p><p>{c.name}</p></div>
+                            <div className="flex items-center gap-4">
+                                <span>1 {c.symbol} =</span>
+                                <input key={c.rate} type="number" step="any" defaultValue={c.rate} onBlur={(e) => handleUpdateRate(c.symbol, e.target.value)}
+                                    className="w-40 p-1 border rounded text-right" disabled={c.isBase || !canEdit} />
+                                <span>KRW</span>
+                                {!c.isBase && <button onClick={() => setHistorySymbol(historySymbol === c.symbol ? null : c.symbol)} className="text-indigo-500 hover:text-indigo-700">이력</button>}
+                                {canEdit && !c.isBase && <button onClick={() => handleDeleteCurrency(c.symbol)} className="text-red-500 hover:text-red-700">삭제</button>}
+                            </div>
                         </div>
+                        {historySymbol === c.symbol && (
+                            <ExchangeRateHistory entries={exchangeRates.filter(r => r.symbol === c.symbol)} canEdit={canEdit} onAdd={(date, rate) => handleAddRateEntry(c.symbol, date, rate)} onDelete={handleDeleteRateEntry} />
+                        )}
                     </div>
                 ))}
-                {isAdding && (
+                {canEdit && isAdding && (
                     <form onSubmit={handleAddCurrency} className="p-4 border-t mt-4 space-y-3">
                         <input value={newCurrency.symbol} onChange={e => setNewCurrency({ ...newCurrency, symbol: e.target.value.toUpperCase() })} placeholder="통화 기호 (예: USD, BTC)" required className="w-full p-2 border rounded" />
                         <input value={newCurrency.name} onChange={e => setNewCurrency({ ...newCurrency, name: e.target.value })} placeholder="통화 이름 (예: 미국 달러)" required className="w-full p-2 border rounded" />
@@ -1080,15 +2276,283 @@ function CurrencyView({ user, currencies, showAlert, showConfirm }) {
                         <div className="flex justify-end space-x-2"><button type="button" onClick={() => setIsAdding(false)} className="bg-gray-200 px-4 py-2 rounded">취소</button><button type="submit" className="bg-indigo-500 text-white px-4 py-2 rounded">추가</button></div>
                     </form>
                 )}
-                <button onClick={() => setIsAdding(!isAdding)} className="w-full mt-4 bg-gray-100 hover:bg-gray-200 p-3 rounded-lg">{isAdding ? '취소' : '+ 새 통화 추가'}</button>
+                {canEdit && (
+                    <>
+                        <button onClick={() => setIsAdding(!isAdding)} className="w-full mt-4 bg-gray-100 hover:bg-gray-200 p-3 rounded-lg">{isAdding ? '취소' : '+ 새 통화 추가'}</button>
+                        <div className="border-t mt-6 pt-4">
+                            <h3 className="font-semibold">환율 이력 가져오기 (CSV/JSON)</h3>
+                            <p className="text-sm text-gray-600 my-2">date, symbol, rate 열이 있는 CSV 또는 [{'{'} "date", "symbol", "rate" {'}'}] 형식의 JSON 파일. 같은 통화와 날짜의 환율은 덮어씁니다.</p>
+                            <input type="file" accept=".csv,.json" onChange={handleImportRates} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100" />
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function ExchangeRateHistory({ entries, canEdit, onAdd, onDelete }) {
+    const [newEntry, setNewEntry] = React.useState({ date: getKSTDateString().slice(0, 10), rate: '' });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const rate = Number(newEntry.rate);
+        if (!newEntry.date || !(rate > 0)) return;
+        if (await onAdd(new Date(`${newEntry.date}T00:00:00`), rate)) setNewEntry(prev => ({ ...prev, rate: '' }));
+    };
+
+    return (
+        <div className="mt-3 border-t pt-3">
+            {canEdit && (
+                <form onSubmit={handleSubmit} className="flex flex-wrap gap-2 mb-2">
+                    <input type="date" value={newEntry.date} onChange={e => setNewEntry({ ...newEntry, date: e.target.value })} required className="p-1 border rounded" />
+                    <input type="number" step="any" value={newEntry.rate} onChange={e => setNewEntry({ ...newEntry, rate: e.target.value })} placeholder="KRW 환율" required className="w-36 p-1 border rounded text-right" />
+                    <button type="submit" className="bg-indigo-500 text-white px-3 py-1 rounded text-sm">기록</button>
+                </form>
+            )}
+            <ul className="max-h-60 overflow-y-auto divide-y divide-gray-200 text-sm">
+                {entries.map(entry => (
+                    <li key={entry.id} className="flex justify-between items-center py-1">
+                        <span>{entry.date.toDate().toLocaleDateString()}</span>
+                        <span className="flex items-center gap-3">
+                            {formatNumber(entry.rate)} KRW
+                            {canEdit && <button onClick={() => onDelete(entry)} className="text-red-500 hover:text-red-700">삭제</button>}
+                        </span>
+                    </li>
+                ))}
+                {entries.length === 0 && <li className="py-1 text-gray-500">환율 이력이 없습니다. 이력이 없으면 모든 거래를 현재 환율로 환산합니다.</li>}
+            </ul>
+        </div>
+    );
+}
+
+const EMPTY_TRADE = { side: 'buy', ticker: '', quantity: '', price: '', amount: '', fee: '' };
+
+function InvestmentView({ dataPath, canEdit, accounts, currencies, investmentTrades, securityPrices, db, showAlert, showConfirm }) {
+    const investmentAccounts = accounts.filter(a => INVESTMENT_ACCOUNT_CATEGORIES.includes(a.category));
+    const [accountId, setAccountId] = React.useState('');
+    const [trade, setTrade] = React.useState({ ...EMPTY_TRADE, date: getKSTDateString() });
+    const account = investmentAccounts.find(a => a.id === accountId) || investmentAccounts[0];
+    const [tradeCurrency, setTradeCurrency] = React.useState('');
+    const currency = tradeCurrency || account?.currency || 'KRW';
+    const pricesByTicker = React.useMemo(() => securityPrices.reduce((acc, p) => ({ ...acc, [p.ticker]: p }), {}), [securityPrices]);
+
+    if (!account) {
+        return <div className="bg-white p-6 rounded-xl shadow-md"><p className="text-gray-500">증권 또는 코인 카테고리의 계좌를 먼저 추가하세요.</p></div>;
+    }
+
+    const holdings = account.holdings || [];
+    const accountTrades = investmentTrades.filter(t => t.accountId === account.id);
+    const totalProfitKRW = holdings.filter(h => h.quantity > 0).reduce((sum, h) => sum + h.profitKRW, 0);
+
+    const handleTradeChange = (e) => {
+        const { name, value } = e.target;
+        setTrade(prev => ({ ...prev, [name]: name === 'ticker' ? value.toUpperCase() : value }));
+    };
+
+    const handleAddTrade = async (e) => {
+        e.preventDefault();
+        const ticker = trade.ticker.trim();
+        const quantity = Number(trade.quantity);
+        const price = Number(trade.price);
+        const tradeDate = new Date(trade.date);
+        // 과거 날짜의 매도는 그날까지의 매매로 계산한 보유 수량과 비교
+        if (trade.side === 'sell') {
+            const heldTrades = accountTrades.filter(t => toJsDate(t.date) <= tradeDate);
+            const heldQuantity = (buildHoldings(heldTrades)[account.id] || []).find(h => h.ticker === ticker)?.quantity || 0;
+            if (quantity > heldQuantity) {
+                showAlert(`${trade.date} 기준 보유 수량(${formatNumber(heldQuantity)})보다 많이 매도할 수 없습니다.`);
+                return;
+            }
+        }
+        const data = {
+            accountId: account.id,
+            ticker,
+            side: trade.side,
+            quantity: trade.side === 'dividend' ? null : quantity,
+            price: trade.side === 'dividend' ? null : price,
+            amount: trade.side === 'dividend' ? Number(trade.amount) : quantity * price,
+            fee: Number(trade.fee) || 0,
+            currency,
+            date: Timestamp.fromDate(tradeDate),
+        };
+        try {
+            const batch = writeBatch(db);
+            batch.set(doc(collection(db, `${dataPath}/investmentTrades`)), data);
+            // 시세가 없는 종목은 매매가를 첫 시세로 기록
+            if (trade.side !== 'dividend' && !pricesByTicker[ticker]) {
+                batch.set(doc(db, `${dataPath}/securityPrices`, getSecurityPriceId(ticker)), { ticker, price, currency, updatedAt: Timestamp.now() });
+            }
+            await batch.commit();
+            setTrade({ ...EMPTY_TRADE, side: trade.side, date: trade.date });
+            showAlert(`${TRADE_SIDES[trade.side]} 내역이 추가되었습니다.`);
+        } catch (error) {
+            console.error("매매 기록 실패:", error);
+            showAlert(`저장 실패: ${error.message}`);
+        }
+    };
+
+    const handleDeleteTrade = (t) => {
+        showConfirm(`${t.ticker} ${TRADE_SIDES[t.side]} 내역을 삭제하시겠습니까?`, async () => {
+            try {
+                await deleteDoc(doc(db, `${dataPath}/investmentTrades`, t.id));
+                showAlert("삭제되었습니다.");
+            } catch (error) {
+                showAlert(`삭제 실패: ${error.message}`);
+            }
+        });
+    };
+
+    const handleUpdatePrice = async (holding, value) => {
+        const price = Number(value);
+        if (value === '' || isNaN(price) || price < 0 || price === holding.price) return;
+        try {
+            await setDoc(doc(db, `${dataPath}/securityPrices`, getSecurityPriceId(holding.ticker)), { ticker: holding.ticker, price, currency: holding.currency, updatedAt: Timestamp.now() }, { merge: true });
+        } catch (error) {
+            showAlert(`시세 저장 실패: ${error.message}`);
+        }
+    };
+
+    const handleImportPrices = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (event) => {
+            try {
+                const { prices, invalidCount } = parsePriceFile(event.target.result, file.name);
+                if (prices.length === 0) {
+                    showAlert(`가져올 시세가 없습니다. (건너뛴 행 ${invalidCount}건)`);
+                    return;
+                }
+                await commitInChunks(db, prices, (batch, p) => {
+                    batch.set(doc(db, `${dataPath}/securityPrices`, getSecurityPriceId(p.ticker)), {
+                        ticker: p.ticker, price: p.price, currency: p.currency || pricesByTicker[p.ticker]?.currency || 'KRW', updatedAt: Timestamp.now(),
+                    }, { merge: true });
+                });
+                showAlert(`시세 ${prices.length}건을 가져왔습니다.${invalidCount > 0 ? ` (건너뛴 행 ${invalidCount}건)` : ''}`);
+            } catch (error) {
+                console.error("시세 가져오기 실패:", error);
+                showAlert(`시세 가져오기 실패: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = null;
+    };
+
+    const profitClass = (value) => (value > 0 ? 'text-red-600' : value < 0 ? 'text-blue-600' : '');
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md space-y-6">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <select value={account.id} onChange={e => { setAccountId(e.target.value); setTradeCurrency(''); }} className="p-2 border rounded-lg bg-white">
+                    {investmentAccounts.map(a => <option key={a.id} value={a.id}>{a.name} ({a.category})</option>)}
+                </select>
+                <div className="text-right">
+                    <p className="text-sm text-gray-500">평가액 {formatCurrency(account.holdingsValueKRW)} · 예수금 포함 총 {formatCurrency(account.totalKRW)}</p>
+                    <p className={`font-semibold ${profitClass(totalProfitKRW)}`}>평가손익 {formatCurrency(totalProfitKRW)}</p>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="border-b text-gray-500">
+                            <th className="text-left py-2">종목</th>
+                            <th className="text-right">수량</th>
+                            <th className="text-right">평균 단가</th>
+                            <th className="text-right">현재가</th>
+                            <th className="text-right">평가액</th>
+                            <th className="text-right">평가손익</th>
+                            <th className="text-right">실현손익 / 배당</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {holdings.map(h => (
+                            <tr key={h.ticker} className={`border-b last:border-b-0 ${h.quantity > 0 ? '' : 'text-gray-400'}`}>
+                                <td className="py-2 font-semibold">{h.ticker}</td>
+                                <td className="text-right">{formatNumber(h.quantity)}</td>
+                                <td className="text-right">{formatNumber(h.averageCost)}</td>
+                                <td className="text-right">
+                                    <input key={h.price} type="number" step="any" defaultValue={h.price} onBlur={e => handleUpdatePrice(h, e.target.value)} disabled={!canEdit} className="w-28 p-1 border rounded text-right" />
+                                    <span className="ml-1 text-xs">{h.currency}</span>
+                                </td>
+                                <td className="text-right">{formatNumber(h.marketValue)}{h.currency !== 'KRW' && <p className="text-xs text-gray-500">{formatCurrency(h.marketValueKRW)}</p>}</td>
+                                <td className={`text-right ${profitClass(h.profit)}`}>
+                                    {formatNumber(h.profit)}
+                                    {h.costBasis > 0 && <p className="text-xs">({(h.profit / h.costBasis * 100).toFixed(2)}%)</p>}
+                                </td>
+                                <td className="text-right">{formatNumber(h.realized)} / {formatNumber(h.dividends)}</td>
+                            </tr>
+                        ))}
+                        {holdings.length === 0 && <tr><td colSpan="7" className="py-2 text-gray-500">보유 종목이 없습니다.</td></tr>}
+                    </tbody>
+                </table>
+            </div>
+
+            {canEdit && (
+                <form onSubmit={handleAddTrade} className="border-t pt-4 space-y-3">
+                    <h3 className="font-semibold">매매/배당 기록</h3>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                        <input name="date" type="datetime-local" value={trade.date} onChange={handleTradeChange} required className="p-2 border rounded-md" />
+                        <select name="side" value={trade.side} onChange={handleTradeChange} className="p-2 border rounded-md">
+                            {Object.entries(TRADE_SIDES).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                        </select>
+                        <input name="ticker" value={trade.ticker} onChange={handleTradeChange} placeholder="종목 코드 (예: AAPL, BTC)" required list="holding-tickers" className="p-2 border rounded-md" />
+                        <select value={currency} onChange={e => setTradeCurrency(e.target.value)} className="p-2 border rounded-md">
+                            {currencies.map(c => <option key={c.symbol} value={c.symbol}>{c.symbol}</option>)}
+                        </select>
+                        {trade.side === 'dividend' ? (
+                            <input name="amount" type="number" step="any" min="0" value={trade.amount} onChange={handleTradeChange} placeholder="배당금" required className="p-2 border rounded-md" />
+                        ) : (
+                            <>
+                                <input name="quantity" type="number" step="any" min="0" value={trade.quantity} onChange={handleTradeChange} placeholder="수량" required className="p-2 border rounded-md" />
+                                <input name="price" type="number" step="any" min="0" value={trade.price} onChange={handleTradeChange} placeholder="단가" required className="p-2 border rounded-md" />
+                            </>
+                        )}
+                        <input name="fee" type="number" step="any" min="0" value={trade.fee} onChange={handleTradeChange} placeholder={trade.side === 'dividend' ? '세금/수수료 (선택)' : '수수료 (선택)'} className="p-2 border rounded-md" />
+                    </div>
+                    <datalist id="holding-tickers">{holdings.map(h => <option key={h.ticker} value={h.ticker} />)}</datalist>
+                    <div className="flex justify-end"><button type="submit" className="bg-indigo-500 text-white px-4 py-2 rounded-lg hover:bg-indigo-600">기록</button></div>
+                </form>
+            )}
+
+            <div className="border-t pt-4">
+                <h3 className="font-semibold mb-2">매매 내역</h3>
+                <ul className="max-h-72 overflow-y-auto divide-y divide-gray-200 text-sm">
+                    {accountTrades.map(t => (
+                        <li key={t.id} className="flex justify-between items-center py-2">
+                            <span>{t.date.toDate().toLocaleDateString()} <span className="font-semibold ml-2">{TRADE_SIDES[t.side]}</span> {t.ticker}{t.side !== 'dividend' && ` ${formatNumber(t.quantity)} × ${formatNumber(t.price)}`}</span>
+                            <span className="flex items-center gap-3">
+                                <span className={t.side === 'buy' ? 'text-red-500' : 'text-blue-500'}>{formatNumber(getTradeCashAmount(t))} {t.currency}</span>
+                                {canEdit && <button onClick={() => handleDeleteTrade(t)} className="text-red-500 hover:text-red-700">삭제</button>}
+                            </span>
+                        </li>
+                    ))}
+                    {accountTrades.length === 0 && <li className="py-2 text-gray-500">매매 내역이 없습니다.</li>}
+                </ul>
             </div>
+
+            {canEdit && (
+                <div className="border-t pt-4">
+                    <h3 className="font-semibold">시세 가져오기 (CSV/JSON)</h3>
+                    <p className="text-sm text-gray-600 my-2">ticker, price(, currency) 열이 있는 CSV 또는 [{'{'} "ticker", "price", "currency" {'}'}] 형식의 JSON 파일. 현재가는 표에서 직접 고칠 수도 있습니다.</p>
+                    <input type="file" accept=".csv,.json" onChange={handleImportPrices} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100" />
+                </div>
+            )}
         </div>
     );
 }
 
-function ScheduleView({ user, schedules, accountsById, onAddSchedule, onEditSchedule, onDeleteSchedule, onConfirmSchedule, upcomingPayments }) {
+function ScheduleView({ user, canEdit, schedules, accountsById, onAddSchedule, onEditSchedule, onDeleteSchedule, onConfirmSchedule, upcomingPayments }) {
     const allSchedules = React.useMemo(() => {
-        const combined = [...schedules.filter(s => !s.isCompleted).map(s => ({...s, date: s.date.toDate()})), ...upcomingPayments];
+        const horizon = new Date();
+        horizon.setMonth(horizon.getMonth() + 3);
+        // 반복 스케줄은 향후 3개월 내의 발생일을 펼쳐서 보여줌 (첫 회차만 확정 가능). 대출 상환 스케줄도 3개월 내의 회차만 표시
+        const expanded = schedules.filter(s => !s.isCompleted && (!s.loanAccountId || s.date.toDate() <= horizon)).flatMap(s =>
+            expandScheduleOccurrences(s, horizon).map((date, index) => ({ ...s, id: index === 0 ? s.id : `${s.id}-${index}`, scheduleId: s.id, source: s, date, isFutureOccurrence: index > 0 }))
+        );
+        const combined = [...expanded, ...upcomingPayments];
         return combined.sort((a,b) => a.date.getTime() - b.date.getTime());
     }, [schedules, upcomingPayments]);
 
@@ -1096,7 +2560,7 @@ function ScheduleView({ user, schedules, accountsById, onAddSchedule, onEditSche
         <div>
             <div className="flex justify-between items-center mb-6">
                 <h2 className="text-3xl font-bold">스케줄 관리</h2>
-                <button onClick={onAddSchedule} className="bg-indigo-500 text-white hover:bg-indigo-600 p-3 rounded-lg">+ 새 예정 수입/지출 추가</button>
+                {canEdit && <button onClick={onAddSchedule} className="bg-indigo-500 text-white hover:bg-indigo-600 p-3 rounded-lg">+ 새 예정 수입/지출 추가</button>}
             </div>
             <div className="bg-white p-6 rounded-xl shadow-md mt-6">
                 <h3 className="text-xl font-semibold mb-4">예정된 항목 목록</h3>
@@ -1106,18 +2570,19 @@ function ScheduleView({ user, schedules, accountsById, onAddSchedule, onEditSche
                         const date = s.date;
                         const type = s.isCardPayment ? 'expense' : s.type;
                         return (
-                            <li key={s.id} className="py-3 flex justify-between items-center">
+                            <li key={s.id} className={`py-3 flex justify-between items-center ${s.isFutureOccurrence ? 'opacity-60' : ''}`}>
                                 <div>
                                     <p className="font-semibold">{s.description}</p>
                                     <p className="text-sm text-gray-500">{date.toLocaleDateString()} {s.isCardPayment ? `(카드)` : `→ ${account.name}`}</p>
+                                    {s.recurrence && <p className="text-xs text-indigo-500">🔁 {describeRecurrence(s.recurrence)}</p>}
                                 </div>
                                 <div className="flex items-center space-x-2">
                                     <span className={`font-bold ${type === 'income' ? 'text-blue-600' : 'text-red-600'}`}>{formatCurrency(s.amount)}</span>
-                                    {!s.isCardPayment && (
+                                    {canEdit && !s.isCardPayment && !s.isFutureOccurrence && (
                                         <>
-                                            <button onClick={() => onConfirmSchedule(s)} className="p-2 hover:bg-gray-200 rounded-full">✅</button>
-                                            <button onClick={() => onEditSchedule(s)} className="p-2 hover:bg-gray-200 rounded-full">✏️</button>
-                                            <button onClick={() => onDeleteSchedule(s.id)} className="p-2 hover:bg-gray-200 rounded-full">🗑️</button>
+                                            <button onClick={() => onConfirmSchedule(s.source)} className="p-2 hover:bg-gray-200 rounded-full">✅</button>
+                                            <button onClick={() => onEditSchedule({ ...s.source, date: s.date })} className="p-2 hover:bg-gray-200 rounded-full">✏️</button>
+                                            <button onClick={() => onDeleteSchedule(s.scheduleId)} className="p-2 hover:bg-gray-200 rounded-full">🗑️</button>
                                         </>
                                     )}
                                 </div>
@@ -1130,7 +2595,7 @@ function ScheduleView({ user, schedules, accountsById, onAddSchedule, onEditSche
         </div>
     );
 }
-function ScheduleForm({ user, accounts, onFinish, scheduleToEdit, db, showAlert }) {
+function ScheduleForm({ user, dataPath, accounts, onFinish, scheduleToEdit, db, showAlert }) {
     const isEditing = !!scheduleToEdit;
     const [formData, setFormData] = React.useState({
         description: isEditing ? scheduleToEdit.description : '',
@@ -1139,27 +2604,52 @@ function ScheduleForm({ user, accounts, onFinish, scheduleToEdit, db, showAlert
         accountId: isEditing ? scheduleToEdit.accountId : '',
         type: isEditing ? scheduleToEdit.type : 'income',
     });
+    const existingRecurrence = isEditing ? scheduleToEdit.recurrence : null;
+    const [recurrence, setRecurrence] = React.useState({
+        freq: existingRecurrence?.freq || 'none',
+        interval: existingRecurrence?.interval || 1,
+        dayOfMonth: existingRecurrence?.dayOfMonth || new Date(formData.date).getDate(),
+        weekday: existingRecurrence?.weekday ?? new Date(formData.date).getDay(),
+        endType: existingRecurrence?.until ? 'until' : existingRecurrence?.count ? 'count' : 'never',
+        until: existingRecurrence?.until ? existingRecurrence.until.toDate().toISOString().slice(0, 10) : '',
+        count: existingRecurrence?.count || '',
+    });
 
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [name]: value }));
     };
 
+    const handleRecurrenceChange = (e) => {
+        const { name, value } = e.target;
+        setRecurrence(prev => ({ ...prev, [name]: value }));
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
+        const recurrenceToSave = recurrence.freq === 'none' ? null : {
+            freq: recurrence.freq,
+            interval: Number(recurrence.interval) || 1,
+            dayOfMonth: recurrence.freq === 'monthly' ? Number(recurrence.dayOfMonth) : null,
+            weekday: recurrence.freq === 'weekly' ? Number(recurrence.weekday) : null,
+            until: recurrence.endType === 'until' && recurrence.until ? Timestamp.fromDate(new Date(`${recurrence.until}T23:59:59`)) : null,
+            count: recurrence.endType === 'count' ? Number(recurrence.count) || null : null,
+        };
         const dataToSave = {
             ...formData,
             amount: Number(formData.amount),
-            date: Timestamp.fromDate(new Date(formData.date)),
+            // 시작일을 반복 규칙에 맞는 첫 발생일로 맞춤
+            date: Timestamp.fromDate(alignToRecurrence(new Date(formData.date), recurrenceToSave)),
+            recurrence: recurrenceToSave,
         };
 
         try {
             if (isEditing) {
-                const scheduleRef = doc(db, `users/${user.uid}/schedules`, scheduleToEdit.id);
-                await setDoc(scheduleRef, dataToSave, { merge: true });
+                const scheduleRef = doc(db, `${dataPath}/schedules`, scheduleToEdit.id);
+                await saveWithAudit(db, dataPath, user, scheduleRef, dataToSave, scheduleToEdit);
                 showAlert("수정되었습니다.");
             } else {
-                await addDoc(collection(db, `users/${user.uid}/schedules`), {
+                await saveWithAudit(db, dataPath, user, doc(collection(db, `${dataPath}/schedules`)), {
                     ...dataToSave,
                     isCompleted: false,
                     createdAt: Timestamp.now(),
@@ -1190,8 +2680,46 @@ function ScheduleForm({ user, accounts, onFinish, scheduleToEdit, db, showAlert
                 <input name="amount" type="number" step="any" value={formData.amount} onChange={handleChange} placeholder="금액" className="w-full p-2 border rounded" required />
                 <select name="accountId" value={formData.accountId} onChange={handleChange} className="w-full p-2 border rounded" required>
                     <option value="">관련 계좌</option>
-                    {accounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name} ({acc.currency})</option>)}
+                    {getSelectableItems(accounts, formData.accountId).map(acc => <option key={acc.id} value={acc.id}>{acc.name} ({acc.currency})</option>)}
                 </select>
+                <div className="border-t pt-4 space-y-3">
+                    <h3 className="font-semibold">반복 설정</h3>
+                    <div className="grid grid-cols-2 gap-4">
+                        <select name="freq" value={recurrence.freq} onChange={handleRecurrenceChange} className="w-full p-2 border rounded">
+                            <option value="none">반복 없음</option>
+                            <option value="monthly">매월 지정일</option>
+                            <option value="weekly">매주 지정 요일</option>
+                            <option value="lastBusinessDay">매월 마지막 영업일</option>
+                        </select>
+                        {recurrence.freq !== 'none' && (
+                            <div className="flex items-center gap-2">
+                                <input name="interval" type="number" min="1" value={recurrence.interval} onChange={handleRecurrenceChange} className="w-20 p-2 border rounded" required />
+                                <span>{recurrence.freq === 'weekly' ? '주마다' : '개월마다'}</span>
+                            </div>
+                        )}
+                    </div>
+                    {recurrence.freq === 'monthly' && (
+                        <div className="flex items-center gap-2">
+                            <span>매</span>
+                            <input name="dayOfMonth" type="number" min="1" max="31" value={recurrence.dayOfMonth} onChange={handleRecurrenceChange} className="w-20 p-2 border rounded" required />
+                            <span>일 (말일보다 크면 말일)</span>
+                        </div>
+                    )}
+                    {recurrence.freq === 'weekly' && (
+                        <select name="weekday" value={recurrence.weekday} onChange={handleRecurrenceChange} className="w-full p-2 border rounded">
+                            {WEEKDAYS.map((d, i) => <option key={d} value={i}>{d}요일</option>)}
+                        </select>
+                    )}
+                    {recurrence.freq !== 'none' && (
+                        <div className="flex flex-wrap items-center gap-4">
+                            <label className="flex items-center"><input type="radio" name="endType" value="never" checked={recurrence.endType === 'never'} onChange={handleRecurrenceChange} className="mr-2" /> 종료 없음</label>
+                            <label className="flex items-center"><input type="radio" name="endType" value="until" checked={recurrence.endType === 'until'} onChange={handleRecurrenceChange} className="mr-2" /> 종료일</label>
+                            <label className="flex items-center"><input type="radio" name="endType" value="count" checked={recurrence.endType === 'count'} onChange={handleRecurrenceChange} className="mr-2" /> 횟수</label>
+                            {recurrence.endType === 'until' && <input name="until" type="date" value={recurrence.until} onChange={handleRecurrenceChange} className="p-2 border rounded" required />}
+                            {recurrence.endType === 'count' && <input name="count" type="number" min="1" value={recurrence.count} onChange={handleRecurrenceChange} placeholder="총 횟수" className="w-24 p-2 border rounded" required />}
+                        </div>
+                    )}
+                </div>
                 <div className="flex justify-end space-x-2 pt-4">
                     <button type="button" onClick={onFinish} className="bg-gray-200 px-4 py-2 rounded-lg">취소</button>
                     <button type="submit" className="bg-indigo-500 text-white px-4 py-2 rounded-lg">저장</button>
@@ -1202,7 +2730,7 @@ function ScheduleForm({ user, accounts, onFinish, scheduleToEdit, db, showAlert
 }
 
 
-function TransactionForm({ user, accounts, cards, onFinish, transactionToEdit, db, currencies, categories, showAlert }) {
+function TransactionForm({ user, dataPath, accounts, cards, transactions, onFinish, transactionToEdit, db, currencies, convertToKRW, categories, categoryRules, showAlert }) {
     const isEditing = !!transactionToEdit;
     const isTemplate = transactionToEdit && !transactionToEdit.id;
 
@@ -1210,17 +2738,31 @@ function TransactionForm({ user, accounts, cards, onFinish, transactionToEdit, d
     const [formData, setFormData] = React.useState({
         date: isEditing && transactionToEdit.date ? getKSTDateString(transactionToEdit.date.toDate()) : getKSTDateString(),
         description: isEditing || isTemplate ? transactionToEdit.description : '',
-        inputAmount: isEditing || isTemplate ? transactionToEdit.amount : '',
+        inputAmount: isEditing || isTemplate ? Math.abs(transactionToEdit.amount) : '',
         category: isEditing || isTemplate ? transactionToEdit.category || '' : '',
         memo: isEditing || isTemplate ? transactionToEdit.memo || '' : '',
         accountId: isEditing || isTemplate ? transactionToEdit.accountId : '',
         cardId: isEditing || isTemplate ? transactionToEdit.cardId : '',
         fromAccountId: isEditing && transactionToEdit.type === 'transfer' ? transactionToEdit.accountId : '',
         toAccountId: isEditing ? transactionToEdit.toAccountId : '',
+        toAmount: isEditing ? transactionToEdit.toAmount ?? '' : '',
+        transferFee: isEditing ? transactionToEdit.transferFee || '' : '',
         tags: isEditing && transactionToEdit.tags ? transactionToEdit.tags.join(', ') : '',
         excludeFromBudget: isEditing ? transactionToEdit.excludeFromBudget || false : false,
+        isRefund: isEditing ? transactionToEdit.type === 'card-expense' && transactionToEdit.amount < 0 : false,
+        installmentMonths: isEditing ? transactionToEdit.installmentMonths || 1 : 1,
+        isInterestFree: isEditing ? transactionToEdit.isInterestFree !== false : true,
+        installmentRate: isEditing ? transactionToEdit.installmentRate || '' : '',
     });
+    // 분할 항목은 입력 중에는 양수 금액과 쉼표로 구분한 태그 문자열로 다룸
+    const [splits, setSplits] = React.useState(isEditing || isTemplate ? (transactionToEdit.splits || []).map(split => ({
+        amount: Math.abs(split.amount), category: split.category || '', tags: (split.tags || []).join(', '), memo: split.memo || '', excludeFromBudget: !!split.excludeFromBudget,
+    })) : []);
+    const isSplit = splits.length > 0 && SPLIT_TYPES.includes(type);
+    const splitRemainder = getSplitRemainder(splits, Math.abs(Number(formData.inputAmount)) || 0);
     const [inputCurrency, setInputCurrency] = React.useState('KRW');
+    const [duplicateMatches, setDuplicateMatches] = React.useState([]);
+    const transferToCurrency = accounts.find(a => a.id === formData.toAccountId)?.currency;
 
     React.useEffect(() => {
         if (isEditing) {
@@ -1250,35 +2792,111 @@ function TransactionForm({ user, accounts, cards, onFinish, transactionToEdit, d
     }, [formData.fromAccountId, formData.toAccountId, type, showAlert]);
 
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    const handleSplitChange = (index, name, value) => {
+        setSplits(prev => prev.map((split, i) => i === index ? { ...split, [name]: value } : split));
+    };
+
+    // 처음 나눌 때는 입력한 금액과 카테고리를 첫 항목으로 옮김
+    const handleStartSplit = () => {
+        setSplits([
+            { ...EMPTY_SPLIT, amount: formData.inputAmount, category: formData.category, excludeFromBudget: formData.excludeFromBudget },
+            EMPTY_SPLIT,
+        ]);
+    };
+
+    const buildSubmitData = () => {
+        const parseTags = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean);
+        const tagsArray = parseTags(formData.tags);
+        const isRefund = type === 'card-expense' && formData.isRefund;
+        // 승인취소는 음수 금액의 카드 거래로 저장하여 해당 명세서 청구액을 상계
+        const amount = isRefund ? -Math.abs(Number(formData.inputAmount)) : Number(formData.inputAmount);
+        const installmentMonths = isRefund ? 1 : Number(formData.installmentMonths);
+        const splitsToSave = isSplit ? splits.map(split => ({
+            amount: Math.sign(amount || 1) * Math.abs(Number(split.amount)),
+            category: split.category || '',
+            tags: parseTags(split.tags),
+            memo: split.memo,
+            excludeFromBudget: split.excludeFromBudget,
+        })) : null;
+        const date = Timestamp.fromDate(new Date(formData.date));
+        // 받는 계좌의 통화가 다르면 실제로 받은 금액을 따로 기록 (같은 통화면 보낸 금액과 같음)
+        const toCurrency = type === 'transfer' ? transferToCurrency || inputCurrency : null;
+        const toAmount = type === 'transfer' ? (toCurrency === inputCurrency ? amount : Number(formData.toAmount)) : null;
+        // 금액/통화/날짜가 그대로인 수정은 처음 입력할 때 저장한 원화 금액을 유지
+        const keepsAmountKRW = isEditing && !isTemplate && transactionToEdit.amountKRW != null && transactionToEdit.originalAmount === amount
+            && transactionToEdit.originalCurrency === inputCurrency && transactionToEdit.date?.toMillis() === date.toMillis();
+        const data = {
+            description: formData.description,
+            amount,
+            originalAmount: amount,
+            originalCurrency: inputCurrency,
+            amountKRW: keepsAmountKRW ? transactionToEdit.amountKRW : getAmountKRWSnapshot(amount, inputCurrency, date, convertToKRW),
+            memo: formData.memo,
+            date,
+            category: isSplit ? '' : formData.category || '',
+            splits: splitsToSave,
+            type,
+            accountId: type === 'transfer' ? formData.fromAccountId : (type === 'card-expense' ? null : formData.accountId),
+            toAccountId: type === 'transfer' ? formData.toAccountId : null,
+            toAmount,
+            toCurrency,
+            impliedRate: type === 'transfer' && amount ? toAmount / amount : null,
+            transferFee: type === 'transfer' ? Number(formData.transferFee) || 0 : null,
+            cardId: type === 'card-expense' || type === 'payment' ? formData.cardId || null : null,
+            // 결제 여부는 명세서별 결제 기록으로 관리하며, 이전 방식으로 결제 처리된 값만 유지
+            isPaid: type === 'card-expense' && isEditing ? transactionToEdit.isPaid ?? null : null,
+            tags: tagsArray,
+            // 분할 거래는 모든 항목이 예산 제외일 때만 거래 전체를 제외로 표시
+            excludeFromBudget: isSplit ? splitsToSave.every(split => split.excludeFromBudget) : formData.excludeFromBudget,
+            installmentMonths: type === 'card-expense' ? installmentMonths : null,
+            isInterestFree: type === 'card-expense' && installmentMonths > 1 ? formData.isInterestFree : null,
+            installmentRate: type === 'card-expense' && installmentMonths > 1 && !formData.isInterestFree ? Number(formData.installmentRate) : null,
+        };
+        // 새 거래에는 자동 분류 규칙을 적용 (직접 고른 카테고리는 유지)
+        return isEditing && !isTemplate ? data : { ...data, ...getCategoryRuleChanges(data, categoryRules, convertToKRW) };
+    };
+
+    const handleSubmit = async (e, skipDuplicateCheck = false) => {
+        e?.preventDefault();
+
+        if (isSplit && splitRemainder !== 0) {
+            showAlert(`분할 금액의 합계가 거래 금액과 맞지 않습니다. (남은 금액 ${formatNumber(splitRemainder)})`);
+            return;
+        }
 
         try {
-            const tagsArray = formData.tags.split(',').map(tag => tag.trim()).filter(Boolean);
-            const dataForSubmit = {
-                description: formData.description,
-                amount: Number(formData.inputAmount),
-                originalAmount: Number(formData.inputAmount),
-                originalCurrency: inputCurrency,
-                memo: formData.memo,
-                date: Timestamp.fromDate(new Date(formData.date)),
-                category: formData.category || '',
-                type,
-                accountId: type === 'transfer' ? formData.fromAccountId : (type === 'card-expense' ? null : formData.accountId),
-                toAccountId: type === 'transfer' ? formData.toAccountId : null,
-                cardId: type === 'card-expense' ? formData.cardId : null,
-                isPaid: type === 'card-expense' ? (isEditing ? transactionToEdit.isPaid : false) : null,
-                tags: tagsArray,
-                excludeFromBudget: formData.excludeFromBudget,
-            };
+            const dataForSubmit = buildSubmitData();
+
+            // 새 거래는 저장 전에 중복 의심 거래가 있는지 확인하고 사용자 선택을 받음
+            if (!(isEditing && !isTemplate) && !skipDuplicateCheck) {
+                const matches = findDuplicateMatches(dataForSubmit, transactions);
+                if (matches.length > 0) {
+                    setDuplicateMatches(matches);
+                    return;
+                }
+            }
 
+            const offlineNote = isOffline() ? ' (오프라인: 연결되면 자동으로 동기화됩니다)' : '';
             if (isEditing && !isTemplate) {
-                const transRef = doc(db, `users/${user.uid}/transactions`, transactionToEdit.id);
-                await setDoc(transRef, dataForSubmit, { merge: true });
-                showAlert('수정이 완료되었습니다.');
+                const transRef = doc(db, `${dataPath}/transactions`, transactionToEdit.id);
+                if (type === 'payment' && getLinkedCardTransactionIds(transactionToEdit).length > 0) {
+                    // Firestore 트랜잭션은 서버 연결이 필요함
+                    if (isOffline()) {
+                        showAlert('카드 결제와 연결된 거래는 온라인에서만 수정할 수 있습니다.');
+                        return;
+                    }
+                    // 수정된 결제는 기존 결제 처리와 맞는지 알 수 없으므로 연결된 카드 거래를 되돌리고 연결을 끊음
+                    await runTransaction(db, async (transaction) => {
+                        await revertLinkedCardTransactions(transaction, db, dataPath, user, transactionToEdit);
+                        setWithAudit(transaction, db, dataPath, user, transRef, { ...dataForSubmit, paidCardTransactionIds: [], paidCharges: [] }, transactionToEdit);
+                    });
+                } else {
+                    await queueWrite(saveWithAudit(db, dataPath, user, transRef, dataForSubmit, transactionToEdit), '거래 수정');
+                }
+                showAlert(`수정이 완료되었습니다.${offlineNote}`);
             } else {
-                await addDoc(collection(db, `users/${user.uid}/transactions`), dataForSubmit);
-                showAlert('추가가 완료되었습니다.');
+                await queueWrite(saveWithAudit(db, dataPath, user, doc(collection(db, `${dataPath}/transactions`)), dataForSubmit), '거래 추가');
+                showAlert(`추가가 완료되었습니다.${offlineNote}`);
             }
             onFinish();
         } catch (error) {
@@ -1287,6 +2905,18 @@ function TransactionForm({ user, accounts, cards, onFinish, transactionToEdit, d
         }
     };
 
+    // 새 거래를 따로 저장하지 않고 기존 거래의 빈 정보만 채움
+    const handleMergeIntoDuplicate = async (existing) => {
+        try {
+            await queueWrite(saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/transactions`, existing.id), buildDuplicateMergeUpdate(existing, buildSubmitData()), existing), '거래 병합');
+            showAlert('기존 거래에 병합되었습니다.');
+            onFinish();
+        } catch (error) {
+            console.error("거래 병합 실패:", error);
+            showAlert(`거래 병합 실패: ${error.message}`);
+        }
+    };
+
     const handleSaveAsTemplate = async () => {
         const dataForTemplate = {
             description: formData.description,
@@ -1302,7 +2932,7 @@ function TransactionForm({ user, accounts, cards, onFinish, transactionToEdit, d
             return;
         }
         try {
-            await addDoc(collection(db, `users/${user.uid}/templates`), dataForTemplate);
+            await addDoc(collection(db, `${dataPath}/templates`), dataForTemplate);
             showAlert("템플릿으로 저장되었습니다.");
         } catch (error) {
             showAlert(`템플릿 저장 실패: ${error.message}`);
@@ -1334,45 +2964,113 @@ function TransactionForm({ user, accounts, cards, onFinish, transactionToEdit, d
                     <>
                         <select name="accountId" required className="w-full p-2 border rounded-md" value={formData.accountId} onChange={handleChange}>
                             <option value="">{type === 'expense' ? '출금' : '입금'} 계좌 선택</option>
-                            {accounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                            {getSelectableItems(accounts, formData.accountId).map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
                         </select>
-                        <select name="category" value={formData.category} onChange={handleChange} className="w-full p-2 border rounded-md">
+                        {!isSplit && <select name="category" value={formData.category} onChange={handleChange} className="w-full p-2 border rounded-md">
                             <option value="">카테고리 선택</option>
-                            {categories.map(cat => <option key={cat.id} value={cat.name}>{cat.name}</option>)}
-                        </select>
+                            <CategoryOptions categories={categories} selected={formData.category} />
+                        </select>}
                     </>
                 )}
                 {type === 'card-expense' && (
                     <>
                         <select name="cardId" required className="w-full p-2 border rounded-md" value={formData.cardId} onChange={handleChange}>
                             <option value="">사용 카드 선택</option>
-                            {cards.map(card => <option key={card.id} value={card.id}>{card.name}</option>)}
+                            {getSelectableItems(cards, formData.cardId).map(card => <option key={card.id} value={card.id}>{card.name}</option>)}
                         </select>
-                        <select name="category" value={formData.category} onChange={handleChange} className="w-full p-2 border rounded-md">
+                        <div className="flex flex-wrap items-center gap-4">
+                            <label className="flex items-center text-sm"><input type="checkbox" name="isRefund" checked={formData.isRefund} onChange={handleChange} className="mr-2" /> 승인취소(환불)</label>
+                            {!formData.isRefund && <select name="installmentMonths" value={formData.installmentMonths} onChange={handleChange} className="p-2 border rounded-md" disabled={isEditing && !isTemplate && transactionToEdit.paidInstallments > 0}>
+                                {INSTALLMENT_OPTIONS.map(m => <option key={m} value={m}>{m === 1 ? '일시불' : `${m}개월 할부`}</option>)}
+                            </select>}
+                            {!formData.isRefund && Number(formData.installmentMonths) > 1 && (
+                                <>
+                                    <label className="flex items-center text-sm"><input type="checkbox" name="isInterestFree" checked={formData.isInterestFree} onChange={handleChange} className="mr-2" /> 무이자</label>
+                                    {!formData.isInterestFree && <input name="installmentRate" type="number" step="any" value={formData.installmentRate} onChange={handleChange} placeholder="연 수수료율 (%)" className="w-36 p-2 border rounded-md" required />}
+                                </>
+                            )}
+                        </div>
+                        {!isSplit && <select name="category" value={formData.category} onChange={handleChange} className="w-full p-2 border rounded-md">
                             <option value="">카테고리 선택</option>
-                            {categories.map(cat => <option key={cat.id} value={cat.name}>{cat.name}</option>)}
-                        </select>
+                            <CategoryOptions categories={categories} selected={formData.category} />
+                        </select>}
                     </>
                 )}
                 {type === 'transfer' && (
                     <>
                         <select name="fromAccountId" required className="w-full p-2 border rounded-md" value={formData.fromAccountId} onChange={handleChange}>
                             <option value="">보내는 계좌</option>
-                            {accounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                            {getSelectableItems(accounts, formData.fromAccountId).map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
                         </select>
                         <select name="toAccountId" required className="w-full p-2 border rounded-md" value={formData.toAccountId} onChange={handleChange}>
                             <option value="">받는 계좌</option>
-                            {accounts.filter(acc => acc.id !== formData.fromAccountId).map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                            {getSelectableItems(accounts, formData.toAccountId).filter(acc => acc.id !== formData.fromAccountId).map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
                         </select>
+                        {transferToCurrency && transferToCurrency !== inputCurrency && (
+                            <div>
+                                <div className="flex gap-2 items-center">
+                                    <input name="toAmount" type="number" step="any" placeholder="받은 금액" value={formData.toAmount} onChange={handleChange} required className="w-2/3 p-2 border rounded-md" />
+                                    <span className="w-1/3 text-center">{transferToCurrency}</span>
+                                </div>
+                                <p className="text-xs text-gray-500 mt-1">{formatTransferRate(Number(formData.inputAmount), inputCurrency, Number(formData.toAmount), transferToCurrency)}</p>
+                            </div>
+                        )}
+                        <input name="transferFee" type="number" step="any" min="0" placeholder={`수수료 (선택, ${inputCurrency})`} value={formData.transferFee} onChange={handleChange} className="w-full p-2 border rounded-md" />
                     </>
                 )}
+                {SPLIT_TYPES.includes(type) && (isSplit ? (
+                    <div className="p-3 border rounded-md space-y-2">
+                        <div className="flex justify-between items-center">
+                            <p className="font-semibold text-sm">분할 항목</p>
+                            <button type="button" onClick={() => setSplits([])} className="text-sm text-gray-500 hover:underline">분할 해제</button>
+                        </div>
+                        {splits.map((split, index) => (
+                            <div key={index} className="space-y-1 pb-2 border-b last:border-b-0">
+                                <div className="flex gap-2">
+                                    <input type="number" step="any" min="0" value={split.amount} onChange={e => handleSplitChange(index, 'amount', e.target.value)} placeholder="금액" required className="w-1/3 p-2 border rounded-md" />
+                                    <select value={split.category} onChange={e => handleSplitChange(index, 'category', e.target.value)} className="flex-grow p-2 border rounded-md">
+                                        <option value="">카테고리 선택</option>
+                                        <CategoryOptions categories={categories} selected={split.category} />
+                                    </select>
+                                    {splits.length > 2 && <button type="button" onClick={() => setSplits(prev => prev.filter((_, i) => i !== index))} className="p-2 hover:bg-gray-200 rounded-full">🗑️</button>}
+                                </div>
+                                <div className="flex gap-2 items-center">
+                                    <input value={split.tags} onChange={e => handleSplitChange(index, 'tags', e.target.value)} placeholder="태그" className="w-1/3 p-2 border rounded-md text-sm" />
+                                    <input value={split.memo} onChange={e => handleSplitChange(index, 'memo', e.target.value)} placeholder="메모" className="flex-grow p-2 border rounded-md text-sm" />
+                                    <label className="flex items-center text-xs whitespace-nowrap"><input type="checkbox" checked={split.excludeFromBudget} onChange={e => handleSplitChange(index, 'excludeFromBudget', e.target.checked)} className="mr-1" /> 예산 제외</label>
+                                </div>
+                            </div>
+                        ))}
+                        <div className="flex justify-between items-center text-sm">
+                            <button type="button" onClick={() => setSplits(prev => [...prev, EMPTY_SPLIT])} className="text-indigo-600 hover:underline">+ 항목 추가</button>
+                            <span className={splitRemainder === 0 ? 'text-green-600' : 'text-red-600'}>남은 금액 {formatNumber(splitRemainder)} {inputCurrency}</span>
+                        </div>
+                    </div>
+                ) : (
+                    <button type="button" onClick={handleStartSplit} className="text-sm text-indigo-600 hover:underline">여러 카테고리로 나누기</button>
+                ))}
                 <input name="tags" value={formData.tags} onChange={handleChange} placeholder="태그 (쉼표로 구분, 예: #가족, #휴가)" className="w-full p-2 border rounded-md" />
                 <textarea name="memo" value={formData.memo} onChange={handleChange} placeholder="메모 (선택)" className="w-full p-2 border rounded-md" rows="2"></textarea>
-                <div className="flex items-center">
+                {!isSplit && <div className="flex items-center">
                     <input type="checkbox" id="excludeFromBudget" name="excludeFromBudget" checked={formData.excludeFromBudget} onChange={handleChange} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
                     <label htmlFor="excludeFromBudget" className="ml-2 block text-sm text-gray-900">예산 관리에서 제외</label>
-                </div>
-                <div className="flex justify-end space-x-2 pt-4">
+                </div>}
+                {duplicateMatches.length > 0 && (
+                    <div className="p-3 bg-yellow-50 border border-yellow-300 rounded-lg space-y-2">
+                        <p className="font-semibold text-yellow-800">비슷한 거래가 이미 있습니다. 중복이 아닌지 확인해주세요.</p>
+                        {duplicateMatches.map(t => (
+                            <div key={t.id} className="flex justify-between items-center text-sm">
+                                <span>{t.date.toDate().toLocaleDateString()} - {t.description} ({formatNumber(t.originalAmount ?? t.amount)})</span>
+                                <button type="button" onClick={() => handleMergeIntoDuplicate(t)} className="bg-yellow-500 text-white px-2 py-1 rounded">이 거래에 병합</button>
+                            </div>
+                        ))}
+                        <div className="flex justify-end gap-2">
+                            <button type="button" onClick={onFinish} className="bg-gray-200 px-3 py-1 rounded">건너뛰기</button>
+                            <button type="button" onClick={() => handleSubmit(null, true)} className="bg-indigo-600 text-white px-3 py-1 rounded">그래도 저장</button>
+                        </div>
+                    </div>
+                )}
+                <div className="flex justify-end space-x-2 pt-4">
                     <button type="button" onClick={onFinish} className="bg-gray-200 px-4 py-2 rounded-lg">취소</button>
                     <button type="button" onClick={handleSaveAsTemplate} className="bg-green-500 text-white px-4 py-2 rounded-lg">템플릿으로 저장</button>
                     <button type="submit" className="bg-indigo-600 text-white px-4 py-2 rounded-lg">저장</button>
@@ -1384,13 +3082,17 @@ function TransactionForm({ user, accounts, cards, onFinish, transactionToEdit, d
 
 // --- NEW/ENHANCED VIEWS ---
 
-function BudgetView({ user, budgets, transactions, categories, showAlert, showConfirm, db, convertToKRW, onViewBudgetTransactions }) {
+function BudgetView({ user, dataPath, canEdit, budgets, transactions, schedules, accountsById, categories, showAlert, showConfirm, db, convertToKRW, onViewBudgetTransactions }) {
     const [editingBudget, setEditingBudget] = React.useState(null);
 
-    const handleDeleteBudget = async (id) => {
+    const handleDeleteBudget = async (budget) => {
         showConfirm("이 예산을 삭제하시겠습니까?", async () => {
-            await deleteDoc(doc(db, `users/${user.uid}/budgets`, id));
-            showAlert("예산이 삭제되었습니다.");
+            try {
+                await removeWithAudit(db, dataPath, user, doc(db, `${dataPath}/budgets`, budget.id), budget);
+                showAlert("예산이 삭제되었습니다.");
+            } catch (error) {
+                showAlert(`삭제 실패: ${error.message}`);
+            }
         });
     };
 
@@ -1398,15 +3100,15 @@ function BudgetView({ user, budgets, transactions, categories, showAlert, showCo
         <div>
             <div className="flex justify-between items-center mb-6">
                 <h2 className="text-3xl font-bold">예산 관리</h2>
-                <button onClick={() => setEditingBudget({})} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition">새 예산 설정</button>
+                {canEdit && <button onClick={() => setEditingBudget({})} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition">새 예산 설정</button>}
             </div>
 
             {editingBudget ? (
-                <BudgetForm user={user} budgetToEdit={editingBudget} onFinish={() => setEditingBudget(null)} db={db} categories={categories} showAlert={showAlert} />
+                <BudgetForm user={user} dataPath={dataPath} budgetToEdit={editingBudget} onFinish={() => setEditingBudget(null)} db={db} categories={categories} showAlert={showAlert} />
             ) : (
                 <div className="space-y-6">
                     {budgets.map(budget => (
-                        <BudgetDetails key={budget.id} budget={budget} transactions={transactions} convertToKRW={convertToKRW} onEdit={() => setEditingBudget(budget)} onDelete={() => handleDeleteBudget(budget.id)} onViewDetails={() => onViewBudgetTransactions(budget.startDate, budget.endDate)} />
+                        <BudgetDetails key={budget.id} budget={budget} transactions={transactions} schedules={schedules} accountsById={accountsById} categories={categories} convertToKRW={convertToKRW} canEdit={canEdit} onEdit={() => setEditingBudget(budget)} onDelete={() => handleDeleteBudget(budget)} onViewDetails={(start, end) => onViewBudgetTransactions(Timestamp.fromDate(start), Timestamp.fromDate(end))} />
                     ))}
                     {budgets.length === 0 && <p className="text-center text-gray-500">설정된 예산이 없습니다. 새 예산을 추가해보세요.</p>}
                 </div>
@@ -1415,42 +3117,54 @@ function BudgetView({ user, budgets, transactions, categories, showAlert, showCo
     );
 }
 
-function BudgetDetails({ budget, transactions, convertToKRW, onEdit, onDelete, onViewDetails }) {
-    const { spent, spentByCategory } = React.useMemo(() => {
-        const budgetStart = budget.startDate.toDate();
-        const budgetEnd = budget.endDate.toDate();
-        let totalSpent = 0;
-        const categorySpent = {};
-
-        transactions
-            .filter(t => {
-                const tDate = t.date.toDate();
-                return tDate >= budgetStart && tDate <= budgetEnd && (t.type === 'expense' || t.type === 'card-expense') && !t.excludeFromBudget;
-            })
-            .forEach(t => {
-                const amountKRW = convertToKRW(t.originalAmount, t.originalCurrency);
-                totalSpent += amountKRW;
-                if (t.category) {
-                    categorySpent[t.category] = (categorySpent[t.category] || 0) + amountKRW;
-                }
-            });
-        return { spent: totalSpent, spentByCategory: categorySpent };
-    }, [budget, transactions, convertToKRW]);
+function BudgetDetails({ budget, transactions, schedules, accountsById, categories, convertToKRW, canEdit, onEdit, onDelete, onViewDetails }) {
+    const [showHistory, setShowHistory] = React.useState(false);
+    // 반복 예산은 오늘이 속한 기간을 보여주고, 지난 기간은 기간별 비교에서 확인
+    const periods = React.useMemo(() => getBudgetPeriods(budget, transactions, categories, convertToKRW), [budget, transactions, categories, convertToKRW]);
+    const currentPeriod = periods[periods.length - 1];
+    const { spent, spentByCategory } = currentPeriod;
+    const forecast = React.useMemo(
+        () => getBudgetForecast(currentPeriod, transactions, schedules, accountsById, categories, convertToKRW),
+        [currentPeriod, transactions, schedules, accountsById, categories, convertToKRW]
+    );
+    const alertsByCategory = React.useMemo(
+        () => Object.fromEntries(getBudgetAlerts(budget, currentPeriod, forecast).map(alert => [alert.category || '', alert])),
+        [budget, currentPeriod, forecast]
+    );
 
-    const totalBudgetAmount = budget.totalAmount || 0;
+    // 예산 항목을 카테고리 계층 순서로 정렬 (삭제된 카테고리 예산은 뒤에 표시)
+    const categoryBudgetRows = React.useMemo(() => {
+        const categoryBudgets = currentPeriod.categoryBudgets;
+        const treeRows = getCategoryTree(categories).filter(cat => categoryBudgets[cat.name] !== undefined)
+            .map(cat => ({ category: cat.name, depth: cat.depth, amount: categoryBudgets[cat.name] }));
+        const otherRows = Object.entries(categoryBudgets).filter(([category]) => !categories.some(cat => cat.name === category))
+            .map(([category, amount]) => ({ category, depth: 0, amount }));
+        return [...treeRows, ...otherRows];
+    }, [currentPeriod, categories]);
+
+    const totalBudgetAmount = currentPeriod.totalAmount;
     const totalProgress = totalBudgetAmount > 0 ? (spent / totalBudgetAmount) * 100 : 0;
 
     return (
         <div className="bg-white p-6 rounded-xl shadow-md">
             <div className="flex justify-between items-start">
                 <div>
-                    <h3 className="text-xl font-semibold">{budget.startDate.toDate().toLocaleDateString()} ~ {budget.endDate.toDate().toLocaleDateString()}</h3>
+                    <h3 className="text-xl font-semibold">
+                        {currentPeriod.start.toLocaleDateString()} ~ {currentPeriod.end.toLocaleDateString()}
+                        {budget.recurrence && <span className="text-xs bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded-full ml-2 align-middle">{BUDGET_FREQUENCIES[budget.recurrence.freq]} 반복{budget.recurrence.carryOver && ' · 이월'}</span>}
+                    </h3>
                     <p className="text-2xl font-bold mt-2">{formatCurrency(totalBudgetAmount)}</p>
+                    {currentPeriod.carriedTotal !== 0 && <p className={`text-sm ${currentPeriod.carriedTotal > 0 ? 'text-blue-600' : 'text-red-600'}`}>지난 기간 {currentPeriod.carriedTotal > 0 ? '남은 금액' : '초과 금액'} {formatCurrency(Math.abs(currentPeriod.carriedTotal))} 반영</p>}
                 </div>
                 <div className="flex gap-2">
-                    <button onClick={onViewDetails} className="p-2 hover:bg-gray-200 rounded-full text-sm">🔍</button>
-                    <button onClick={onEdit} className="p-2 hover:bg-gray-200 rounded-full text-sm">✏️</button>
-                    <button onClick={onDelete} className="p-2 hover:bg-gray-200 rounded-full text-sm">🗑️</button>
+                    {budget.recurrence && <button onClick={() => setShowHistory(!showHistory)} className="p-2 hover:bg-gray-200 rounded-full text-sm">📊</button>}
+                    <button onClick={() => onViewDetails(currentPeriod.start, currentPeriod.end)} className="p-2 hover:bg-gray-200 rounded-full text-sm">🔍</button>
+                    {canEdit && (
+                        <>
+                            <button onClick={onEdit} className="p-2 hover:bg-gray-200 rounded-full text-sm">✏️</button>
+                            <button onClick={onDelete} className="p-2 hover:bg-gray-200 rounded-full text-sm">🗑️</button>
+                        </>
+                    )}
                 </div>
             </div>
             <div className="mt-4">
@@ -1461,16 +3175,27 @@ function BudgetDetails({ budget, transactions, convertToKRW, onEdit, onDelete, o
                 <div className="w-full bg-gray-200 rounded-full h-4 mt-1">
                     <div className="bg-indigo-600 h-4 rounded-full" style={{ width: `${Math.min(totalProgress, 100)}%` }}></div>
                 </div>
+                <p className={`text-sm mt-1 ${forecast.projected > totalBudgetAmount ? 'text-red-600' : 'text-gray-500'}`}>
+                    기간 종료 시 예상 지출: {formatCurrency(forecast.projected)}
+                    {forecast.scheduledTotal > 0 && ` (예정된 지출 ${formatCurrency(forecast.scheduledTotal)} 포함)`}
+                </p>
+                {alertsByCategory[''] && <p className="text-sm text-red-600">⚠️ {describeBudgetAlert(alertsByCategory[''])}</p>}
             </div>
             <div className="mt-4 space-y-2">
-                {Object.entries(budget.categoryBudgets || {}).map(([category, amount]) => {
+                {categoryBudgetRows.map(({ category, depth, amount }) => {
                     const categorySpent = spentByCategory[category] || 0;
                     const categoryProgress = amount > 0 ? (categorySpent / amount) * 100 : 0;
                     return (
-                        <div key={category}>
+                        <div key={category} className={depth > 0 ? 'pl-6' : ''}>
                             <div className="flex justify-between text-sm">
-                                <span>{category}</span>
-                                <span>{formatCurrency(categorySpent)} / {formatCurrency(amount)}</span>
+                                <span>
+                                    {depth > 0 && '└ '}{category}
+                                    {alertsByCategory[category] && <span className="text-xs text-red-600 ml-2">⚠️ {alertsByCategory[category].isForecast ? '초과 예상' : `${alertsByCategory[category].threshold}% 도달`}</span>}
+                                </span>
+                                <span>
+                                    {formatCurrency(categorySpent)} / {formatCurrency(amount)}
+                                    {currentPeriod.carriedByCategory[category] ? <span className="text-xs text-gray-500 ml-1">(이월 {formatCurrency(currentPeriod.carriedByCategory[category])})</span> : null}
+                                </span>
                             </div>
                             <div className="w-full bg-gray-200 rounded-full h-2.5 mt-1">
                                 <div className="bg-blue-500 h-2.5 rounded-full" style={{ width: `${Math.min(categoryProgress, 100)}%` }}></div>
@@ -1479,19 +3204,78 @@ function BudgetDetails({ budget, transactions, convertToKRW, onEdit, onDelete, o
                     );
                 })}
             </div>
+            {showHistory && <BudgetHistory periods={periods} />}
+        </div>
+    );
+}
+
+// 반복 예산의 기간별 예산 대비 실적
+function BudgetHistory({ periods }) {
+    const chartData = periods.map(period => ({
+        name: period.start.toLocaleDateString('ko-KR', { year: '2-digit', month: 'numeric', day: 'numeric' }),
+        budget: period.totalAmount,
+        spent: period.spent,
+    }));
+
+    return (
+        <div className="mt-6 border-t pt-4">
+            <h4 className="font-semibold mb-2">기간별 예산 대비 지출</h4>
+            <ResponsiveContainer width="100%" height={250}>
+                <BarChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis tickFormatter={(value) => `${value/10000}만`} />
+                    <Tooltip formatter={(value) => formatCurrency(value)} />
+                    <Legend />
+                    <Bar dataKey="budget" fill="#8884d8" name="예산" />
+                    <Bar dataKey="spent" fill="#82ca9d" name="지출" />
+                </BarChart>
+            </ResponsiveContainer>
+            <table className="w-full text-sm mt-4">
+                <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                        <th className="p-2">기간</th><th className="p-2 text-right">이월</th><th className="p-2 text-right">예산</th><th className="p-2 text-right">지출</th><th className="p-2 text-right">차이</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {[...periods].reverse().map(period => (
+                        <tr key={period.start.getTime()} className="border-b">
+                            <td className="p-2">{period.start.toLocaleDateString()} ~ {period.end.toLocaleDateString()}</td>
+                            <td className="p-2 text-right">{period.carriedTotal !== 0 ? formatCurrency(period.carriedTotal) : '-'}</td>
+                            <td className="p-2 text-right">{formatCurrency(period.totalAmount)}</td>
+                            <td className="p-2 text-right">{formatCurrency(period.spent)}</td>
+                            <td className={`p-2 text-right ${period.totalAmount - period.spent < 0 ? 'text-red-600' : 'text-blue-600'}`}>{formatCurrency(period.totalAmount - period.spent)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
         </div>
     );
 }
 
-function BudgetForm({ user, budgetToEdit, onFinish, db, categories, showAlert }) {
+function BudgetForm({ user, dataPath, budgetToEdit, onFinish, db, categories, showAlert }) {
     const isEditing = !!budgetToEdit.id;
     const [formData, setFormData] = React.useState({
-        startDate: budgetToEdit.startDate ? new Date(budgetToEdit.startDate.toDate()).toISOString().slice(0, 10) : '',
-        endDate: budgetToEdit.endDate ? new Date(budgetToEdit.endDate.toDate()).toISOString().slice(0, 10) : '',
+        startDate: budgetToEdit.startDate ? getLocalDateKey(budgetToEdit.startDate.toDate()) : '',
+        endDate: budgetToEdit.endDate ? getLocalDateKey(budgetToEdit.endDate.toDate()) : '',
         totalAmount: budgetToEdit.totalAmount || '',
         categoryBudgets: budgetToEdit.categoryBudgets || {},
+        freq: budgetToEdit.recurrence?.freq || '',
+        carryOver: budgetToEdit.recurrence?.carryOver || false,
+        alertThresholds: (budgetToEdit.alertThresholds || DEFAULT_BUDGET_ALERT_THRESHOLDS).join(', '),
     });
 
+    // 반복 예산은 시작일과 주기로 첫 기간의 종료일을 채움
+    const handlePeriodChange = (name, value) => {
+        setFormData(prev => {
+            const next = { ...prev, [name]: value };
+            if (next.freq && next.startDate && (name === 'freq' || name === 'startDate')) {
+                next.endDate = getLocalDateKey(getDefaultBudgetEnd(new Date(`${next.startDate}T00:00:00`), next.freq));
+            }
+            return next;
+        });
+    };
+
     const handleCategoryBudgetChange = (category, value) => {
         setFormData(prev => ({
             ...prev,
@@ -1504,19 +3288,23 @@ function BudgetForm({ user, budgetToEdit, onFinish, db, categories, showAlert })
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        const { freq, carryOver, ...budgetData } = formData;
         const dataToSave = {
-            ...formData,
+            ...budgetData,
             totalAmount: Number(formData.totalAmount),
-            startDate: Timestamp.fromDate(new Date(formData.startDate)),
-            endDate: Timestamp.fromDate(new Date(formData.endDate)),
+            // 'YYYY-MM-DD'만 넘기면 UTC 자정으로 해석되므로 현지 시각으로 시작일 0시부터 종료일 끝까지로 저장
+            startDate: Timestamp.fromDate(new Date(`${formData.startDate}T00:00:00`)),
+            endDate: Timestamp.fromDate(new Date(`${formData.endDate}T23:59:59`)),
+            recurrence: freq ? { freq, carryOver } : null,
+            alertThresholds: formData.alertThresholds.split(',').map(value => Number(value.trim())).filter(value => value > 0).sort((a, b) => a - b),
         };
 
         try {
             if (isEditing) {
-                await setDoc(doc(db, `users/${user.uid}/budgets`, budgetToEdit.id), dataToSave, { merge: true });
+                await saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/budgets`, budgetToEdit.id), dataToSave, budgetToEdit);
                 showAlert("예산이 수정되었습니다.");
             } else {
-                await addDoc(collection(db, `users/${user.uid}/budgets`), dataToSave);
+                await saveWithAudit(db, dataPath, user, doc(collection(db, `${dataPath}/budgets`)), dataToSave);
                 showAlert("새 예산이 추가되었습니다.");
             }
             onFinish();
@@ -1530,15 +3318,28 @@ function BudgetForm({ user, budgetToEdit, onFinish, db, categories, showAlert })
             <h2 className="text-2xl font-bold mb-4">{isEditing ? '예산 수정' : '새 예산 설정'}</h2>
             <form onSubmit={handleSubmit} className="space-y-4">
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    <input type="date" value={formData.startDate} onChange={e => setFormData({...formData, startDate: e.target.value})} className="w-full p-2 border rounded" required />
+                    <input type="date" value={formData.startDate} onChange={e => handlePeriodChange('startDate', e.target.value)} className="w-full p-2 border rounded" required />
                     <input type="date" value={formData.endDate} onChange={e => setFormData({...formData, endDate: e.target.value})} className="w-full p-2 border rounded" required />
                 </div>
+                <div className="flex flex-wrap items-center gap-4">
+                    <select value={formData.freq} onChange={e => handlePeriodChange('freq', e.target.value)} className="p-2 border rounded">
+                        <option value="">반복 안 함</option>
+                        {Object.entries(BUDGET_FREQUENCIES).map(([value, label]) => <option key={value} value={value}>{label} 반복</option>)}
+                    </select>
+                    {formData.freq && <label className="flex items-center text-sm"><input type="checkbox" checked={formData.carryOver} onChange={e => setFormData({...formData, carryOver: e.target.checked})} className="mr-2" /> 남거나 초과한 금액을 다음 기간으로 이월</label>}
+                </div>
+                {formData.freq && <p className="text-sm text-gray-500">입력한 기간이 첫 기간이 되며, 이후 기간은 같은 길이로 자동 생성됩니다.</p>}
+                <div>
+                    <label className="text-sm text-gray-600">경고 기준 (%, 쉼표로 구분)</label>
+                    <input value={formData.alertThresholds} onChange={e => setFormData({...formData, alertThresholds: e.target.value})} placeholder="80, 100" className="w-full p-2 border rounded" />
+                </div>
                 <input type="number" value={formData.totalAmount} onChange={e => setFormData({...formData, totalAmount: e.target.value})} placeholder="총 예산 금액" className="w-full p-2 border rounded" required />
                 <h3 className="font-semibold pt-4">카테고리별 예산</h3>
+                <p className="text-sm text-gray-500">상위 카테고리 예산에는 하위 카테고리 지출이 합산됩니다.</p>
                 <div className="space-y-2 max-h-60 overflow-y-auto">
-                    {categories.map(cat => (
+                    {getCategoryTree(categories).filter(cat => !cat.isArchived || formData.categoryBudgets[cat.name] !== undefined).map(cat => (
                         <div key={cat.id} className="flex items-center gap-4">
-                            <label className="w-1/3">{cat.name}</label>
+                            <label className={`w-1/3 ${cat.depth > 0 ? 'pl-4 text-gray-600' : ''}`}>{cat.depth > 0 && '└ '}{cat.name}</label>
                             <input type="number" value={formData.categoryBudgets[cat.name] || ''} onChange={e => handleCategoryBudgetChange(cat.name, e.target.value)} placeholder="금액" className="w-2/3 p-2 border rounded" />
                         </div>
                     ))}
@@ -1552,10 +3353,315 @@ function BudgetForm({ user, budgetToEdit, onFinish, db, categories, showAlert })
     );
 }
 
-function TemplatesView({ user, templates, onAddTransaction, showAlert, showConfirm, db }) {
+function NotificationsView({ dataPath, canEdit, notifications, db, showAlert }) {
+    const handleMarkAllRead = async () => {
+        try {
+            await commitInChunks(db, notifications.filter(n => !n.isRead), (batch, n) => batch.update(doc(db, `${dataPath}/notifications`, n.id), { isRead: true }));
+        } catch (error) {
+            showAlert(`처리 실패: ${error.message}`);
+        }
+    };
+
+    // 지운 알림도 문서는 남겨 두어 같은 경고가 다시 생성되지 않도록 숨김 처리만 함
+    const handleDismissNotification = async (id) => {
+        try {
+            await setDoc(doc(db, `${dataPath}/notifications`, id), { isRead: true, isDismissed: true }, { merge: true });
+        } catch (error) {
+            showAlert(`삭제 실패: ${error.message}`);
+        }
+    };
+
+    const visibleNotifications = notifications.filter(n => !n.isDismissed);
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold">알림</h2>
+                {canEdit && notifications.some(n => !n.isRead) && <button onClick={handleMarkAllRead} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition">모두 읽음</button>}
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <ul className="divide-y divide-gray-200">
+                    {visibleNotifications.map(n => (
+                        <li key={n.id} className={`py-3 flex justify-between items-center ${n.isRead ? 'text-gray-500' : 'font-semibold'}`}>
+                            <div>
+                                <p>{n.message}</p>
+                                <p className="text-xs text-gray-400 font-normal">{n.createdAt?.toDate().toLocaleString('ko-KR')}</p>
+                            </div>
+                            {canEdit && <button onClick={() => handleDismissNotification(n.id)} className="p-2 hover:bg-gray-200 rounded-full">🗑️</button>}
+                        </li>
+                    ))}
+                    {visibleNotifications.length === 0 && <p className="text-gray-500 py-4">알림이 없습니다.</p>}
+                </ul>
+            </div>
+        </div>
+    );
+}
+
+// 삭제한 거래/계좌/일정을 보관 기간 안에 복원하거나 바로 영구 삭제
+function TrashView({ user, dataPath, household, canEdit, trash, db, showAlert, showConfirm }) {
+    const handleRestore = async (entry) => {
+        try {
+            const count = await restoreFromTrash(db, dataPath, user, entry, trash);
+            showAlert(count > 1 ? `함께 삭제된 항목 ${count - 1}건과 함께 복원되었습니다.` : "복원되었습니다.");
+        } catch (error) {
+            showAlert(`복원 실패: ${error.message}`);
+        }
+    };
+
+    const handlePurge = (entry) => {
+        showConfirm("영구 삭제하면 다시 복원할 수 없습니다. 삭제하시겠습니까?", async () => {
+            try {
+                await deleteDoc(doc(db, `${dataPath}/trash`, entry.id));
+                showAlert("영구 삭제되었습니다.");
+            } catch (error) {
+                showAlert(`삭제 실패: ${error.message}`);
+            }
+        });
+    };
+
+    const getDaysLeft = (entry) => Math.max(Math.ceil((entry.expiresAt.toMillis() - Date.now()) / DAY_MS), 0);
+
+    return (
+        <div>
+            <div className="mb-6">
+                <h2 className="text-3xl font-bold">휴지통</h2>
+                <p className="text-sm text-gray-500 mt-1">삭제한 거래, 계좌, 일정은 {TRASH_RETENTION_DAYS}일 동안 보관된 뒤 자동으로 비워집니다.</p>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <ul className="divide-y divide-gray-200">
+                    {trash.map(entry => (
+                        <li key={entry.id} className="py-3 flex justify-between items-center">
+                            <div>
+                                <p className="font-semibold">
+                                    <span className="text-xs bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full mr-2 font-normal">{TRASH_COLLECTIONS[entry.collection] || entry.collection}</span>
+                                    {entry.data.description || entry.data.name}
+                                    {entry.data.amount !== undefined && <span className="ml-2 font-normal text-gray-600">{formatNumber(entry.data.originalAmount ?? entry.data.amount)}</span>}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {getMemberName(household, entry.deletedBy)} · {entry.deletedAt?.toDate().toLocaleString('ko-KR')} 삭제 · {getDaysLeft(entry)}일 후 영구 삭제
+                                </p>
+                            </div>
+                            {canEdit && (
+                                <div className="flex gap-2">
+                                    <button onClick={() => handleRestore(entry)} className="bg-indigo-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-indigo-700">복원</button>
+                                    <button onClick={() => handlePurge(entry)} className="bg-gray-200 px-3 py-1 rounded-lg text-sm hover:bg-gray-300">영구 삭제</button>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                    {trash.length === 0 && <p className="text-gray-500 py-4">휴지통이 비어 있습니다.</p>}
+                </ul>
+            </div>
+        </div>
+    );
+}
+
+function HouseholdView({ user, household, db, showAlert, showConfirm }) {
+    const [households, setHouseholds] = React.useState([]);
+    const [sentInvitations, setSentInvitations] = React.useState([]);
+    const [receivedInvitations, setReceivedInvitations] = React.useState([]);
+    const [invite, setInvite] = React.useState({ email: '', role: 'editor' });
+    const [name, setName] = React.useState(household.name);
+    const isOwner = household.members[user.uid]?.role === 'owner';
+
+    React.useEffect(() => setName(household.name), [household.name]);
+
+    // 내가 속한 가계 목록과 받은 초대
+    React.useEffect(() => {
+        const unsubscribes = [
+            onSnapshot(query(collection(db, 'households'), where('memberIds', 'array-contains', user.uid)), (snapshot) => {
+                setHouseholds(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+            }, (error) => console.error("가계 목록 로딩 실패:", error)),
+            onSnapshot(query(collection(db, 'invitations'), where('email', '==', normalizeEmail(user.email))), (snapshot) => {
+                setReceivedInvitations(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+            }, (error) => console.error("받은 초대 로딩 실패:", error)),
+        ];
+        return () => unsubscribes.forEach(unsub => unsub());
+    }, [db, user]);
+
+    // 소유자만 이 가계에서 보낸 초대를 볼 수 있음
+    React.useEffect(() => {
+        if (!isOwner) {
+            setSentInvitations([]);
+            return;
+        }
+        return onSnapshot(query(collection(db, 'invitations'), where('householdId', '==', household.id)), (snapshot) => {
+            setSentInvitations(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => console.error("보낸 초대 로딩 실패:", error));
+    }, [db, household.id, isOwner]);
+
+    const handleSwitchHousehold = async (householdId) => {
+        try {
+            await setDoc(doc(db, 'users', user.uid), { householdId }, { merge: true });
+        } catch (error) {
+            showAlert(`가계 전환 실패: ${error.message}`);
+        }
+    };
+
+    const handleRename = async (e) => {
+        e.preventDefault();
+        if (!name.trim() || name.trim() === household.name) return;
+        try {
+            await setDoc(doc(db, 'households', household.id), { name: name.trim() }, { merge: true });
+            showAlert("가계 이름이 변경되었습니다.");
+        } catch (error) {
+            showAlert(`변경 실패: ${error.message}`);
+        }
+    };
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        const email = normalizeEmail(invite.email);
+        if (!email.includes('@')) return showAlert("초대할 Google 계정 이메일을 입력해주세요.");
+        if (Object.values(household.members).some(m => m.email === email)) return showAlert("이미 구성원인 계정입니다.");
+        try {
+            await setDoc(doc(db, 'invitations', getInvitationId(household.id, email)), {
+                householdId: household.id, householdName: household.name, email, role: invite.role,
+                invitedBy: user.uid, invitedByName: user.displayName || user.email, createdAt: Timestamp.now(),
+            });
+            setInvite({ email: '', role: 'editor' });
+            showAlert(`${email}로 초대를 보냈습니다. 상대가 같은 이메일로 로그인하면 '가계 공유' 화면에서 수락할 수 있습니다.`);
+        } catch (error) {
+            showAlert(`초대 실패: ${error.message}`);
+        }
+    };
+
+    const handleCancelInvitation = async (id) => {
+        try {
+            await deleteDoc(doc(db, 'invitations', id));
+        } catch (error) {
+            showAlert(`초대 취소 실패: ${error.message}`);
+        }
+    };
+
+    const handleAcceptInvitation = async (invitation) => {
+        try {
+            await acceptHouseholdInvitation(db, user, invitation);
+            showAlert(`'${invitation.householdName}' 가계에 참여했습니다.`);
+        } catch (error) {
+            showAlert(`초대 수락 실패: ${error.message}`);
+        }
+    };
+
+    const handleChangeRole = async (uid, role) => {
+        try {
+            await setDoc(doc(db, 'households', household.id), { members: { [uid]: { role } } }, { merge: true });
+        } catch (error) {
+            showAlert(`역할 변경 실패: ${error.message}`);
+        }
+    };
+
+    const handleRemoveMember = (uid) => {
+        const isSelf = uid === user.uid;
+        showConfirm(isSelf ? `'${household.name}' 가계에서 나가시겠습니까? 개인 가계로 돌아갑니다.` : `${household.members[uid].displayName}님을 구성원에서 제외하시겠습니까?`, async () => {
+            try {
+                if (isSelf) await setDoc(doc(db, 'users', user.uid), { householdId: user.uid }, { merge: true });
+                await removeHouseholdMember(db, household.id, uid);
+                showAlert(isSelf ? "가계에서 나왔습니다." : "구성원에서 제외했습니다.");
+            } catch (error) {
+                showAlert(`처리 실패: ${error.message}`);
+            }
+        });
+    };
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold mb-6">가계 공유</h2>
+            <div className="space-y-6">
+                {receivedInvitations.length > 0 && (
+                    <div className="bg-yellow-50 border border-yellow-300 p-6 rounded-xl">
+                        <h3 className="text-xl font-semibold mb-4">받은 초대</h3>
+                        <ul className="divide-y divide-yellow-200">
+                            {receivedInvitations.map(invitation => (
+                                <li key={invitation.id} className="py-3 flex justify-between items-center">
+                                    <p>{invitation.invitedByName}님이 <strong>{invitation.householdName}</strong>에 {HOUSEHOLD_ROLES[invitation.role]}(으)로 초대했습니다.</p>
+                                    <div className="flex gap-2">
+                                        <button onClick={() => handleAcceptInvitation(invitation)} className="bg-indigo-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-indigo-700">수락</button>
+                                        <button onClick={() => handleCancelInvitation(invitation.id)} className="bg-gray-200 px-3 py-1 rounded-lg text-sm hover:bg-gray-300">거절</button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+                <div className="bg-white p-6 rounded-xl shadow-md">
+                    <h3 className="text-xl font-semibold mb-4">현재 가계</h3>
+                    {isOwner ? (
+                        <form onSubmit={handleRename} className="flex gap-2 mb-4">
+                            <input type="text" value={name} onChange={e => setName(e.target.value)} className="flex-grow p-2 border rounded-lg" />
+                            <button type="submit" className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">이름 변경</button>
+                        </form>
+                    ) : <p className="font-semibold mb-4">{household.name}</p>}
+                    <ul className="divide-y divide-gray-200">
+                        {Object.entries(household.members).map(([uid, member]) => (
+                            <li key={uid} className="py-3 flex justify-between items-center flex-wrap gap-2">
+                                <div>
+                                    <p className="font-semibold">{member.displayName}{uid === user.uid && ' (나)'}</p>
+                                    <p className="text-xs text-gray-500">{member.email}</p>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    {isOwner && member.role !== 'owner' ? (
+                                        <select value={member.role} onChange={e => handleChangeRole(uid, e.target.value)} className="p-1 border rounded-lg text-sm">
+                                            <option value="editor">{HOUSEHOLD_ROLES.editor}</option>
+                                            <option value="viewer">{HOUSEHOLD_ROLES.viewer}</option>
+                                        </select>
+                                    ) : <span className="text-sm text-gray-600">{HOUSEHOLD_ROLES[member.role]}</span>}
+                                    {member.role !== 'owner' && (isOwner || uid === user.uid) && (
+                                        <button onClick={() => handleRemoveMember(uid)} className="text-sm text-red-500 hover:underline">{uid === user.uid ? '나가기' : '제외'}</button>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+                {isOwner && (
+                    <div className="bg-white p-6 rounded-xl shadow-md">
+                        <h3 className="text-xl font-semibold mb-4">구성원 초대</h3>
+                        <form onSubmit={handleInvite} className="flex flex-wrap gap-2 mb-4">
+                            <input type="email" value={invite.email} onChange={e => setInvite(prev => ({ ...prev, email: e.target.value }))} placeholder="Google 계정 이메일" className="flex-grow p-2 border rounded-lg" required />
+                            <select value={invite.role} onChange={e => setInvite(prev => ({ ...prev, role: e.target.value }))} className="p-2 border rounded-lg">
+                                <option value="editor">{HOUSEHOLD_ROLES.editor}</option>
+                                <option value="viewer">{HOUSEHOLD_ROLES.viewer}</option>
+                            </select>
+                            <button type="submit" className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">초대</button>
+                        </form>
+                        <p className="text-sm text-gray-500 mb-2">편집자는 모든 기록을 추가·수정할 수 있고, 보기 전용 구성원은 조회만 할 수 있습니다.</p>
+                        {sentInvitations.length > 0 && (
+                            <ul className="divide-y divide-gray-200">
+                                {sentInvitations.map(invitation => (
+                                    <li key={invitation.id} className="py-2 flex justify-between items-center text-sm">
+                                        <span>{invitation.email} · {HOUSEHOLD_ROLES[invitation.role]} (대기 중)</span>
+                                        <button onClick={() => handleCancelInvitation(invitation.id)} className="text-red-500 hover:underline">취소</button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+                {households.length > 1 && (
+                    <div className="bg-white p-6 rounded-xl shadow-md">
+                        <h3 className="text-xl font-semibold mb-4">가계 전환</h3>
+                        <ul className="divide-y divide-gray-200">
+                            {households.map(h => (
+                                <li key={h.id} className="py-3 flex justify-between items-center">
+                                    <span>{h.name} · {HOUSEHOLD_ROLES[h.members[user.uid]?.role]}</span>
+                                    {h.id === household.id
+                                        ? <span className="text-sm text-indigo-600 font-semibold">사용 중</span>
+                                        : <button onClick={() => handleSwitchHousehold(h.id)} className="text-sm text-indigo-600 hover:underline">전환</button>}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function TemplatesView({ dataPath, canEdit, templates, onAddTransaction, showAlert, showConfirm, db }) {
     const handleDeleteTemplate = async (id) => {
         showConfirm("이 템플릿을 삭제하시겠습니까?", async () => {
-            await deleteDoc(doc(db, `users/${user.uid}/templates`, id));
+            await deleteDoc(doc(db, `${dataPath}/templates`, id));
             showAlert("템플릿이 삭제되었습니다.");
         });
     };
@@ -1577,10 +3683,12 @@ function TemplatesView({ user, templates, onAddTransaction, showAlert, showConfi
                             <p className="text-sm text-gray-600">{template.category}</p>
                             <p className="text-xl font-semibold mt-2">{formatCurrency(template.amount)}</p>
                         </div>
-                        <div className="flex gap-2 mt-4">
-                            <button onClick={() => onAddTransaction(template)} className="w-full bg-indigo-500 text-white px-3 py-2 rounded-lg hover:bg-indigo-600 text-sm">사용하기</button>
-                            <button onClick={() => handleDeleteTemplate(template.id)} className="p-2 hover:bg-gray-200 rounded-lg">🗑️</button>
-                        </div>
+                        {canEdit && (
+                            <div className="flex gap-2 mt-4">
+                                <button onClick={() => onAddTransaction(template)} className="w-full bg-indigo-500 text-white px-3 py-2 rounded-lg hover:bg-indigo-600 text-sm">사용하기</button>
+                                <button onClick={() => handleDeleteTemplate(template.id)} className="p-2 hover:bg-gray-200 rounded-lg">🗑️</button>
+                            </div>
+                        )}
                     </div>
                 ))}
                 {templates.length === 0 && <p className="text-center text-gray-500 col-span-full">저장된 템플릿이 없습니다.</p>}
@@ -1589,70 +3697,42 @@ function TemplatesView({ user, templates, onAddTransaction, showAlert, showConfi
     );
 }
 
-function ReportsView({ transactions, convertToKRW, accountsById }) {
-    const expenseData = React.useMemo(() => {
-        const expenseByCategory = transactions
-            .filter(t => (t.type === 'expense' || t.type === 'card-expense') && t.category)
-            .reduce((acc, t) => {
-                const amountInKRW = convertToKRW(t.originalAmount, t.originalCurrency);
-                acc[t.category] = (acc[t.category] || 0) + amountInKRW;
-                return acc;
-            }, {});
-        return Object.entries(expenseByCategory).map(([name, value]) => ({ name, value })).sort((a, b) => b.value - a.value);
-    }, [transactions, convertToKRW]);
-
-    const monthlyReportData = React.useMemo(() => {
-        const months = {};
-        transactions.forEach(t => {
-            const date = t.date.toDate();
-            const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            if (!months[month]) {
-                months[month] = { income: 0, expense: 0 };
-            }
-            const amountInKRW = convertToKRW(t.originalAmount, t.originalCurrency);
-            if (t.type === 'income') {
-                months[month].income += amountInKRW;
-            } else if (t.type === 'expense' || t.type === 'card-expense') {
-                months[month].expense += amountInKRW;
-            }
-        });
-        return Object.entries(months).map(([name, value]) => ({ name, ...value })).sort((a,b) => a.name.localeCompare(b.name)).slice(-6); // 마지막 6개월
-    }, [transactions, convertToKRW]);
+function ReportsView({ household, accounts, transactions, categories, investmentTrades, securityPrices, netWorthSnapshots, convertToKRW, accountsById }) {
+    const [drillCategory, setDrillCategory] = React.useState(null);
+    const parentCategoryMap = React.useMemo(() => getParentCategoryMap(categories), [categories]);
 
-    const dailyTrendData = React.useMemo(() => {
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-        const daily = {};
-    
-        transactions
-            .filter(t => t.date.toDate() >= thirtyDaysAgo)
-            .forEach(t => {
-                const dateStr = t.date.toDate().toISOString().slice(0, 10);
-                if (!daily[dateStr]) {
-                    daily[dateStr] = { date: dateStr, income: 0, expense: 0 };
-                }
-                const amountKRW = convertToKRW(t.originalAmount, t.originalCurrency);
-                if (t.type === 'income') {
-                    daily[dateStr].income += amountKRW;
-                } else if (t.type === 'expense' || t.type === 'card-expense') {
-                    daily[dateStr].expense += amountKRW;
-                }
-            });
-        
-        return Object.values(daily).sort((a,b) => a.date.localeCompare(b.date));
-    }, [transactions, convertToKRW]);
+    // 처음에는 상위 카테고리별로 묶고, 상위 카테고리를 선택하면 그 하위 카테고리별로 나눠 표시
+    const expenseData = React.useMemo(() => getExpenseByCategory(transactions, categories, convertToKRW, drillCategory), [transactions, categories, convertToKRW, drillCategory]);
+
+    const handleCategorySliceClick = (entry) => {
+        if (!drillCategory && Object.values(parentCategoryMap).includes(entry.name)) setDrillCategory(entry.name);
+    };
+
+    const monthlyReportData = React.useMemo(() => getMonthlyIncomeExpense(transactions, convertToKRW), [transactions, convertToKRW]);
+
+    // 거래를 기록한 구성원별 월 지출 (작성자가 없는 예전 거래는 '미지정')
+    const { memberMonthlyData, memberTotals } = React.useMemo(() => {
+        const { monthly, totals } = getMemberMonthlyExpense(transactions, convertToKRW);
+        return { memberMonthlyData: monthly, memberTotals: totals.map(({ key, total }) => ({ key, name: getMemberName(household, key === 'unknown' ? null : key), total })) };
+    }, [transactions, convertToKRW, household]);
+    const memberTotalSum = memberTotals.reduce((sum, m) => sum + m.total, 0);
+
+    const dailyTrendData = React.useMemo(() => getDailyTrend(transactions, convertToKRW), [transactions, convertToKRW]);
 
     return (
         <div>
             <h2 className="text-3xl font-bold mb-6">리포트</h2>
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 <div className="bg-white p-6 rounded-xl shadow-md">
-                    <h3 className="text-xl font-semibold mb-4">카테고리별 지출 분석 (KRW 환산)</h3>
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-semibold">카테고리별 지출 분석 (KRW 환산){drillCategory && ` - ${drillCategory}`}</h3>
+                        {drillCategory && <button onClick={() => setDrillCategory(null)} className="text-sm text-indigo-600 hover:underline">← 전체 카테고리</button>}
+                    </div>
+                    {!drillCategory && Object.keys(parentCategoryMap).length > 0 && <p className="text-sm text-gray-500 mb-2">하위 카테고리가 있는 항목을 누르면 세부 내역을 볼 수 있습니다.</p>}
                     {expenseData.length > 0 ? (
                         <ResponsiveContainer width="100%" height={400}>
                             <PieChart>
-                                <Pie data={expenseData} cx="50%" cy="50%" labelLine={false} label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`} outerRadius={150} fill="#8884d8" dataKey="value">
+                                <Pie data={expenseData} cx="50%" cy="50%" labelLine={false} label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`} outerRadius={150} fill="#8884d8" dataKey="value" onClick={handleCategorySliceClick} className="cursor-pointer">
                                     {expenseData.map((entry, index) => <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />)}
                                 </Pie>
                                 <Tooltip formatter={(value) => formatCurrency(value)} />
@@ -1694,20 +3774,182 @@ function ReportsView({ transactions, convertToKRW, accountsById }) {
                     </ResponsiveContainer>
                 ) : <p className="text-gray-500">분석할 내역이 없습니다.</p>}
             </div>
+            <div className="bg-white p-6 rounded-xl shadow-md mt-6">
+                <h3 className="text-xl font-semibold mb-4">구성원별 지출 (최근 6개월, KRW 환산)</h3>
+                {memberTotals.length > 0 ? (
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                        <div className="lg:col-span-2">
+                            <ResponsiveContainer width="100%" height={300}>
+                                <BarChart data={memberMonthlyData}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" />
+                                    <YAxis tickFormatter={(value) => `${value/10000}만`} />
+                                    <Tooltip formatter={(value) => formatCurrency(value)} />
+                                    <Legend />
+                                    {memberTotals.map((member, index) => <Bar key={member.key} dataKey={member.key} name={member.name} stackId="members" fill={COLORS[index % COLORS.length]} />)}
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                        <table className="w-full text-sm self-start">
+                            <thead><tr className="border-b text-left"><th className="py-2">구성원</th><th className="text-right">지출</th><th className="text-right">비중</th></tr></thead>
+                            <tbody>
+                                {memberTotals.map(member => (
+                                    <tr key={member.key} className="border-b">
+                                        <td className="py-2">{member.name}</td>
+                                        <td className="text-right">{formatCurrency(member.total)}</td>
+                                        <td className="text-right">{memberTotalSum > 0 ? `${((member.total / memberTotalSum) * 100).toFixed(0)}%` : '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : <p className="text-gray-500">분석할 지출 내역이 없습니다.</p>}
+            </div>
+            <NetWorthHistory accounts={accounts} transactions={transactions} investmentTrades={investmentTrades} securityPrices={securityPrices} netWorthSnapshots={netWorthSnapshots} accountsById={accountsById} convertToKRW={convertToKRW} />
+            <FxGainLossReport accounts={accounts} transactions={transactions} accountsById={accountsById} convertToKRW={convertToKRW} />
+        </div>
+    );
+}
+
+const NET_WORTH_CATEGORY_COLORS = { '은행': '#8884d8', '증권': '#82ca9d', '코인': '#ffc658', '현금': '#FF8042', '기타': '#00C49F', '대출': '#ef4444' };
+
+function NetWorthHistory({ accounts, transactions, investmentTrades, securityPrices, netWorthSnapshots, accountsById, convertToKRW }) {
+    const [granularity, setGranularity] = React.useState('monthly');
+
+    const { chartData, categories } = React.useMemo(() => {
+        const now = new Date();
+        const points = getNetWorthPoints(granularity, now);
+        const pricesByTicker = securityPrices.reduce((acc, p) => ({ ...acc, [p.ticker]: p }), {});
+        const snapshotsByKey = netWorthSnapshots.reduce((acc, s) => ({ ...acc, [s.id]: s }), {});
+        const reconstructed = reconstructNetWorth(accounts, transactions, investmentTrades, accountsById, pricesByTicker, convertToKRW, points, now);
+        // 저장된 스냅샷이 있는 날은 그날 기록한 평가액을 사용 (현재 시점은 항상 현재 값)
+        const rows = reconstructed.map(({ date, byCategory }, index) => {
+            const snapshot = index < points.length - 1 ? snapshotsByKey[getLocalDateKey(date)] : null;
+            const values = snapshot?.byCategory || byCategory;
+            const label = granularity === 'daily' ? getLocalDateKey(date).slice(5) : getLocalDateKey(date).slice(0, 7);
+            return { name: label, ...values, total: Object.values(values).reduce((sum, value) => sum + value, 0) };
+        });
+        const usedCategories = Array.from(new Set(rows.flatMap(row => Object.keys(row).filter(key => key !== 'name' && key !== 'total'))));
+        return { chartData: rows, categories: usedCategories };
+    }, [granularity, accounts, transactions, investmentTrades, securityPrices, netWorthSnapshots, accountsById, convertToKRW]);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mt-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold">순자산 추이 (KRW 환산)</h3>
+                <select value={granularity} onChange={e => setGranularity(e.target.value)} className="p-2 border rounded-lg bg-white">
+                    <option value="monthly">월별 (최근 12개월)</option>
+                    <option value="daily">일별 (최근 90일)</option>
+                </select>
+            </div>
+            {categories.length > 0 ? (
+                <ResponsiveContainer width="100%" height={400}>
+                    {/* 대출(부채)은 자산과 따로 0 아래로 쌓고, 음수가 된 자산 분류도 양수 영역을 깎지 않도록 부호별로 쌓음 */}
+                    <ComposedChart data={chartData} stackOffset="sign">
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" />
+                        <YAxis tickFormatter={(value) => `${value/10000}만`} />
+                        <Tooltip formatter={(value) => formatCurrency(value)} />
+                        <Legend />
+                        {categories.map((category, index) => (
+                            <Area key={category} type="monotone" dataKey={category} name={category} stackId={category === LOAN_CATEGORY ? 'liabilities' : 'assets'}
+                                stroke={NET_WORTH_CATEGORY_COLORS[category] || COLORS[index % COLORS.length]} fill={NET_WORTH_CATEGORY_COLORS[category] || COLORS[index % COLORS.length]} />
+                        ))}
+                        <Line type="monotone" dataKey="total" name="순자산" stroke="#4338ca" dot={false} />
+                    </ComposedChart>
+                </ResponsiveContainer>
+            ) : <p className="text-gray-500">표시할 자산 내역이 없습니다.</p>}
+            <p className="text-xs text-gray-500 mt-2">거래 내역과 기초 잔액으로 재구성하며, 외화는 그 시점의 환율 이력으로, 보유 종목은 그 시점의 마지막 매매가로 평가합니다. 앱을 연 날에는 그날의 평가액이 저장되어 그대로 사용됩니다.</p>
+        </div>
+    );
+}
+
+function FxGainLossReport({ accounts, transactions, accountsById, convertToKRW }) {
+    const [period, setPeriod] = React.useState(() => {
+        const today = getKSTDateString().slice(0, 10);
+        return { start: `${today.slice(0, 4)}-01-01`, end: today };
+    });
+
+    const rows = React.useMemo(() => {
+        if (!period.start || !period.end) return [];
+        return getFxGainLossReport(accounts, transactions, accountsById, convertToKRW, new Date(`${period.start}T00:00:00`), new Date(`${period.end}T23:59:59`))
+            .filter(r => r.startQuantity !== 0 || r.endQuantity !== 0 || r.realized !== 0);
+    }, [accounts, transactions, accountsById, convertToKRW, period]);
+
+    const gainClass = (value) => (value > 0 ? 'text-red-600' : value < 0 ? 'text-blue-600' : '');
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mt-6">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                <h3 className="text-xl font-semibold">외화 환차손익</h3>
+                <div className="flex items-center gap-2">
+                    <input type="date" value={period.start} onChange={e => setPeriod({ ...period, start: e.target.value })} className="p-2 border rounded-lg" />
+                    <span>~</span>
+                    <input type="date" value={period.end} onChange={e => setPeriod({ ...period, end: e.target.value })} className="p-2 border rounded-lg" />
+                </div>
+            </div>
+            {rows.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b text-gray-500">
+                                <th className="text-left py-2">통화</th>
+                                <th className="text-right">기초 평가액</th>
+                                <th className="text-right">순유입</th>
+                                <th className="text-right">실현 손익</th>
+                                <th className="text-right">미실현 손익 변동</th>
+                                <th className="text-right">기말 평가액</th>
+                                <th className="text-right">평균 단가 / 평가 환율</th>
+                                <th className="text-right">미실현 손익 (누적)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(r => (
+                                <tr key={r.currency} className="border-b last:border-b-0">
+                                    <td className="py-2 font-semibold">{r.currency}</td>
+                                    <td className="text-right">{formatCurrency(r.startValue)}<p className="text-xs text-gray-500">{formatNumber(r.startQuantity)} {r.currency}</p></td>
+                                    <td className="text-right">{formatCurrency(r.netFlow)}</td>
+                                    <td className={`text-right ${gainClass(r.realized)}`}>{formatCurrency(r.realized)}</td>
+                                    <td className={`text-right ${gainClass(r.unrealizedChange)}`}>{formatCurrency(r.unrealizedChange)}</td>
+                                    <td className="text-right">{formatCurrency(r.endValue)}<p className="text-xs text-gray-500">{formatNumber(r.endQuantity)} {r.currency}</p></td>
+                                    <td className="text-right">{formatNumber(r.averageCost)} / {formatNumber(r.endRate)}</td>
+                                    <td className={`text-right ${gainClass(r.unrealized)}`}>{formatCurrency(r.unrealized)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 mt-2">기말 평가액 = 기초 평가액 + 순유입(거래일 환율 기준 입출금) + 실현 손익 + 미실현 손익 변동. 원가는 이동평균법으로 계산합니다.</p>
+                </div>
+            ) : <p className="text-gray-500">기간 중 보유한 외화가 없습니다.</p>}
         </div>
     );
 }
 
-function DataIOView({ user, accounts, cards, transactions, schedules, currencies, categories, memos, db, showAlert, showConfirm }) {
+function DataIOView({ user, dataPath, canEdit, accounts, cards, transactions, schedules, currencies, categories, memos, budgets, templates, importMappings, categoryRules, exchangeRates, investmentTrades, securityPrices, convertToKRW, db, showAlert, showConfirm }) {
+    // 가져올 때 같은 문서 ID로 되살려 계좌/카드/카테고리 등을 가리키는 참조가 그대로 유지되도록 id를 함께 저장
     const handleExport = () => {
         const allData = {
-            accounts: accounts.map(({ id, totalKRW, balances, ...rest }) => rest),
-            cards: cards.map(({ id, ...rest }) => rest),
-            transactions: transactions.map(({ id, ...rest }) => ({ ...rest, date: rest.date.toDate().toISOString() })),
-            schedules: schedules.map(({ id, ...rest }) => ({ ...rest, date: rest.date.toDate().toISOString() })),
-            currencies: currencies.map(({ id, ...rest }) => rest),
-            categories: categories.map(({ id, ...rest }) => rest),
-            memos: memos.map(({ id, ...rest }) => ({ ...rest, createdAt: rest.createdAt.toDate().toISOString() })),
+            accounts: accounts.map(({ totalKRW, balances, holdings, holdingsValueKRW, ...rest }) => ({
+                ...rest,
+                ...(rest.loan && { loan: { ...rest.loan, startDate: rest.loan.startDate.toDate().toISOString() } }),
+            })),
+            cards,
+            transactions: transactions.map(item => ({ ...item, date: item.date.toDate().toISOString(), createdAt: item.createdAt?.toDate().toISOString() || null, updatedAt: item.updatedAt?.toDate().toISOString() || null })),
+            schedules: schedules.map(item => ({
+                ...item,
+                date: item.date.toDate().toISOString(),
+                recurrence: item.recurrence?.until ? { ...item.recurrence, until: item.recurrence.until.toDate().toISOString() } : item.recurrence,
+            })),
+            currencies,
+            exchangeRates: exchangeRates.map(item => ({ ...item, date: item.date.toDate().toISOString() })),
+            investmentTrades: investmentTrades.map(item => ({ ...item, date: item.date.toDate().toISOString() })),
+            securityPrices: securityPrices.map(item => ({ ...item, updatedAt: item.updatedAt?.toDate().toISOString() || null })),
+            categories,
+            memos: memos.map(item => ({ ...item, createdAt: item.createdAt.toDate().toISOString() })),
+            budgets: budgets.map(item => ({ ...item, startDate: item.startDate.toDate().toISOString(), endDate: item.endDate.toDate().toISOString() })),
+            templates,
+            importMappings,
+            categoryRules,
         }
         const jsonStr = JSON.stringify(allData, null, 2);
         const blob = new Blob([jsonStr], { type: 'application/json' });
@@ -1727,33 +3969,54 @@ function DataIOView({ user, accounts, cards, transactions, schedules, currencies
         reader.onload = async (event) => {
             try {
                 const data = JSON.parse(event.target.result);
-                showConfirm("데이터를 가져오시겠습니까? 기존의 모든 데이터는 삭제되고 이 파일의 데이터로 대체됩니다. 이 작업은 되돌릴 수 없습니다.", async () => {
-                    const batch = writeBatch(db);
-                    const collections = ['accounts', 'cards', 'transactions', 'schedules', 'currencies', 'categories', 'memos', 'budgets', 'templates'];
-
-                    for (const col of collections) {
-                        const snapshot = await getDocs(collection(db, `users/${user.uid}/${col}`));
-                        snapshot.docs.forEach(doc => batch.delete(doc.ref));
-                    }
-
-                    for (const col of collections) {
-                        if (data[col]) {
-                            data[col].forEach(item => {
-                                let newItem = { ...item };
-                                if (item.date) newItem.date = Timestamp.fromDate(new Date(item.date));
-                                if (item.createdAt) newItem.createdAt = Timestamp.fromDate(new Date(item.createdAt));
-                                if (item.startDate) newItem.startDate = Timestamp.fromDate(new Date(item.startDate));
-                                if (item.endDate) newItem.endDate = Timestamp.fromDate(new Date(item.endDate));
-
-                                const docRef = col === 'currencies' ? doc(db, `users/${user.uid}/${col}`, item.symbol) : doc(collection(db, `users/${user.uid}/${col}`));
-                                batch.set(docRef, newItem);
-                            });
+                showConfirm(`데이터를 가져오시겠습니까? 기존의 모든 데이터는 삭제되고 이 파일의 데이터로 대체됩니다. 삭제된 거래, 계좌, 일정은 휴지통에서 ${TRASH_RETENTION_DAYS}일 동안 복원할 수 있습니다.`, async () => {
+                    try {
+                        // 내보내기에 포함되는 컬렉션만 지우고 다시 채움
+                        const collections = ['accounts', 'cards', 'transactions', 'schedules', 'currencies', 'exchangeRates', 'investmentTrades', 'securityPrices', 'categories', 'memos', 'budgets', 'templates', 'importMappings', 'categoryRules'];
+
+                        // 기존 문서는 변경 이력과 휴지통에 남기며 삭제 (문서 하나당 삭제, 휴지통, 이력 3건을 씀)
+                        const snapshots = await Promise.all(collections.map(col => getDocs(collection(db, `${dataPath}/${col}`))));
+                        const existing = snapshots.flatMap(snapshot => snapshot.docs);
+                        await commitInChunks(db, existing, (batch, d) => deleteWithAudit(batch, db, dataPath, user, d.ref, d.data()), 3);
+
+                        const newItems = [];
+                        // id 없이 내보낸 예전 파일은 카테고리 ID를 새로 만들고 상위 카테고리를 이름(parentName)으로 연결
+                        const categoryIdsByName = Object.fromEntries((data.categories || []).map(item => [item.name, item.id || doc(collection(db, `${dataPath}/categories`)).id]));
+
+                        for (const col of collections) {
+                            if (data[col]) {
+                                data[col].forEach(({ id, ...item }) => {
+                                    let newItem = { ...item };
+                                    if (col === 'categories' && 'parentName' in item) {
+                                        const { parentName, ...category } = newItem;
+                                        newItem = { ...category, parentId: categoryIdsByName[parentName] || null };
+                                    }
+                                    if (item.date) newItem.date = Timestamp.fromDate(new Date(item.date));
+                                    if (item.createdAt) newItem.createdAt = Timestamp.fromDate(new Date(item.createdAt));
+                                    if (item.startDate) newItem.startDate = Timestamp.fromDate(new Date(item.startDate));
+                                    if (item.endDate) newItem.endDate = Timestamp.fromDate(new Date(item.endDate));
+                                    if (item.updatedAt) newItem.updatedAt = Timestamp.fromDate(new Date(item.updatedAt));
+                                    if (item.recurrence?.until) newItem.recurrence = { ...item.recurrence, until: Timestamp.fromDate(new Date(item.recurrence.until)) };
+                                    if (item.loan?.startDate) newItem.loan = { ...item.loan, startDate: Timestamp.fromDate(new Date(item.loan.startDate)) };
+
+                                    const docRef = id ? doc(db, `${dataPath}/${col}`, id)
+                                        : col === 'currencies' ? doc(db, `${dataPath}/${col}`, item.symbol)
+                                        : col === 'exchangeRates' ? doc(db, `${dataPath}/${col}`, getExchangeRateId(item.symbol, new Date(item.date)))
+                                        : col === 'securityPrices' ? doc(db, `${dataPath}/${col}`, getSecurityPriceId(item.ticker))
+                                        : col === 'categories' ? doc(db, `${dataPath}/${col}`, categoryIdsByName[item.name])
+                                        : doc(collection(db, `${dataPath}/${col}`));
+                                    newItems.push({ ref: docRef, data: newItem });
+                                });
+                            }
                         }
-                    }
 
-                    await batch.commit();
-                    showAlert("가져오기 완료! 페이지를 새로고침합니다.");
-                    setTimeout(() => window.location.reload(), 2000);
+                        await commitInChunks(db, newItems, (batch, item) => setWithAudit(batch, db, dataPath, user, item.ref, item.data), 2);
+                        showAlert("가져오기 완료! 페이지를 새로고침합니다.");
+                        setTimeout(() => window.location.reload(), 2000);
+                    } catch (error) {
+                        console.error("Import error:", error);
+                        showAlert(`가져오기 오류: ${error.message}`);
+                    }
                 });
             } catch (error) {
                 showAlert(`가져오기 오류: ${error.message}`);
@@ -1773,29 +4036,321 @@ function DataIOView({ user, accounts, cards, transactions, schedules, currencies
                     <p className="text-gray-600 my-2">모든 데이터를 JSON 파일로 다운로드하여 백업합니다.</p>
                     <button onClick={handleExport} className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition">내보내기</button>
                 </div>
-                <div className="bg-white p-6 rounded-xl shadow-md">
-                    <h3 className="text-xl font-semibold">데이터 가져오기 (JSON)</h3>
-                    <p className="text-gray-600 my-2"><strong>경고:</strong> 이 작업은 현재 사용자의 모든 데이터를 삭제하고 파일의 데이터로 덮어씁니다.</p>
-                    <input type="file" accept=".json" onChange={handleImport} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100" />
-                </div>
+                {canEdit && (
+                    <>
+                        <div className="bg-white p-6 rounded-xl shadow-md">
+                            <h3 className="text-xl font-semibold">데이터 가져오기 (JSON)</h3>
+                            <p className="text-gray-600 my-2"><strong>경고:</strong> 이 작업은 현재 가계의 모든 데이터를 삭제하고 파일의 데이터로 덮어씁니다.</p>
+                            <input type="file" accept=".json" onChange={handleImport} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100" />
+                        </div>
+                        <div className="bg-white p-6 rounded-xl shadow-md">
+                            <h3 className="text-xl font-semibold">은행/카드 명세서 가져오기 (CSV)</h3>
+                            <p className="text-gray-600 my-2">명세서 CSV 파일의 열을 거래 항목에 연결하여 기존 데이터는 그대로 두고 거래 내역을 추가합니다.</p>
+                            <CsvImportWizard user={user} dataPath={dataPath} accounts={accounts} cards={cards} transactions={transactions} importMappings={importMappings} categoryRules={categoryRules} convertToKRW={convertToKRW} db={db} showAlert={showAlert} />
+                        </div>
+                    </>
+                )}
             </div>
         </div>
     );
 }
-function CategoryView({ user, categories, db, showAlert, showConfirm }) {
+
+const EMPTY_IMPORT_MAPPING = {
+    name: '', encoding: 'UTF-8', targetType: 'account', targetId: '',
+    dateColumn: '', descriptionColumn: '', amountMode: 'signed', amountColumn: '', positiveIsExpense: false,
+    withdrawalColumn: '', depositColumn: '', indicatorColumn: '', expenseIndicator: '출금', currencyColumn: '',
+};
+
+function CsvImportWizard({ user, dataPath, accounts, cards, transactions, importMappings, categoryRules, convertToKRW, db, showAlert }) {
+    const [file, setFile] = React.useState(null);
+    const [parsed, setParsed] = React.useState({ headers: [], rows: [] });
+    const [mapping, setMapping] = React.useState(EMPTY_IMPORT_MAPPING);
+    const [selectedMappingId, setSelectedMappingId] = React.useState('');
+    const [excludedRows, setExcludedRows] = React.useState(new Set());
+    const [duplicateActions, setDuplicateActions] = React.useState({});
+    const [isImporting, setIsImporting] = React.useState(false);
+
+    // 인코딩이 바뀌면 다시 읽어야 하므로 파일과 인코딩 기준으로 파싱
+    React.useEffect(() => {
+        if (!file) return;
+        Papa.parse(file, {
+            header: true,
+            skipEmptyLines: true,
+            encoding: mapping.encoding,
+            complete: (results) => {
+                setParsed({ headers: results.meta.fields || [], rows: results.data });
+                setExcludedRows(new Set());
+                setDuplicateActions({});
+            },
+            error: (error) => showAlert(`CSV 읽기 실패: ${error.message}`),
+        });
+    }, [file, mapping.encoding]);
+
+    const target = mapping.targetType === 'card' ? cards.find(c => c.id === mapping.targetId) : accounts.find(a => a.id === mapping.targetId);
+    const defaultCurrency = mapping.targetType === 'card' ? 'KRW' : (target?.currency || 'KRW');
+
+    const previewRows = React.useMemo(() => {
+        if (!mapping.dateColumn || !mapping.descriptionColumn) return [];
+        return parsed.rows.map((row, index) => {
+            const mapped = mapStatementRow(row, mapping, defaultCurrency);
+            if (mapped.error || !mapping.targetId) return { ...mapped, index, duplicates: [] };
+
+            // 카드 명세서의 입금(양수) 행은 환불이므로 음수 금액의 카드 지출로 기록
+            const isCard = mapping.targetType === 'card';
+            const amount = isCard ? -mapped.amount : Math.abs(mapped.amount);
+            const transaction = {
+                description: mapped.description,
+                amount,
+                originalAmount: amount,
+                originalCurrency: mapped.currency,
+                amountKRW: getAmountKRWSnapshot(amount, mapped.currency, mapped.date, convertToKRW),
+                memo: `CSV에서 가져옴${mapping.name ? ` (${mapping.name})` : ''}`,
+                date: mapped.date,
+                category: '',
+                type: isCard ? 'card-expense' : (mapped.amount < 0 ? 'expense' : 'income'),
+                accountId: isCard ? null : mapping.targetId,
+                toAccountId: null,
+                cardId: isCard ? mapping.targetId : null,
+                tags: [],
+                excludeFromBudget: false,
+            };
+            return {
+                ...mapped,
+                index,
+                transaction: { ...transaction, ...getCategoryRuleChanges(transaction, categoryRules, convertToKRW) },
+                duplicates: findDuplicateMatches(transaction, transactions),
+            };
+        });
+    }, [parsed.rows, mapping, defaultCurrency, transactions, categoryRules, convertToKRW]);
+
+    // 중복 의심 행은 기본적으로 건너뛰고, 사용자가 '추가' 또는 '병합'을 고를 수 있음
+    const getDuplicateAction = (row) => (row.duplicates.length > 0 ? duplicateActions[row.index] || 'skip' : 'add');
+    const validRows = previewRows.filter(r => !r.error && !excludedRows.has(r.index));
+    const rowsToImport = validRows.filter(r => getDuplicateAction(r) === 'add');
+    const rowsToMerge = validRows.filter(r => getDuplicateAction(r) === 'merge');
+
+    const handleMappingChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setMapping(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleTargetChange = (e) => {
+        const [targetType, targetId] = e.target.value.split(':');
+        setMapping(prev => ({ ...prev, targetType: targetType || 'account', targetId: targetId || '' }));
+    };
+
+    const handleSelectSavedMapping = (e) => {
+        const id = e.target.value;
+        setSelectedMappingId(id);
+        const saved = importMappings.find(m => m.id === id);
+        setMapping(saved ? { ...EMPTY_IMPORT_MAPPING, ...saved } : EMPTY_IMPORT_MAPPING);
+    };
+
+    const toggleRow = (index) => {
+        setExcludedRows(prev => {
+            const next = new Set(prev);
+            if (next.has(index)) next.delete(index); else next.add(index);
+            return next;
+        });
+    };
+
+    const handleSaveMapping = async () => {
+        if (!mapping.name.trim()) {
+            showAlert("매핑을 저장하려면 은행/카드사 이름을 입력해야 합니다.");
+            return;
+        }
+        const { id, ...dataToSave } = mapping;
+        try {
+            if (selectedMappingId) {
+                await setDoc(doc(db, `${dataPath}/importMappings`, selectedMappingId), dataToSave, { merge: true });
+            } else {
+                const ref = await addDoc(collection(db, `${dataPath}/importMappings`), dataToSave);
+                setSelectedMappingId(ref.id);
+            }
+            showAlert("가져오기 설정이 저장되었습니다.");
+        } catch (error) {
+            showAlert(`저장 실패: ${error.message}`);
+        }
+    };
+
+    const handleImport = async () => {
+        if (!target) {
+            showAlert("가져올 계좌 또는 카드를 선택하세요.");
+            return;
+        }
+        if (rowsToImport.length === 0 && rowsToMerge.length === 0) {
+            showAlert("가져올 행이 없습니다.");
+            return;
+        }
+        setIsImporting(true);
+        try {
+            await commitInChunks(db, rowsToImport, (batch, row) => {
+                setWithAudit(batch, db, dataPath, user, doc(collection(db, `${dataPath}/transactions`)), { ...row.transaction, date: Timestamp.fromDate(row.date) });
+            }, 2);
+            // 병합: 기존 거래는 유지하고 날짜/금액만 명세서 기준으로 맞춤
+            await commitInChunks(db, rowsToMerge, (batch, row) => {
+                const { amount } = row.transaction;
+                setWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/transactions`, row.duplicates[0].id), {
+                    date: Timestamp.fromDate(row.date), amount, originalAmount: amount, originalCurrency: row.currency, amountKRW: row.transaction.amountKRW,
+                }, row.duplicates[0]);
+            }, 2);
+            showAlert(`${rowsToImport.length}건을 추가하고 ${rowsToMerge.length}건을 기존 거래에 병합했습니다.`);
+            setFile(null);
+            setParsed({ headers: [], rows: [] });
+        } catch (error) {
+            console.error("CSV 가져오기 실패:", error);
+            showAlert(`가져오기 실패: ${error.message}`);
+        }
+        setIsImporting(false);
+    };
+
+    const columnSelect = (name, placeholder) => (
+        <select name={name} value={mapping[name]} onChange={handleMappingChange} className="w-full p-2 border rounded">
+            <option value="">{placeholder}</option>
+            {parsed.headers.map(h => <option key={h} value={h}>{h}</option>)}
+        </select>
+    );
+
+    return (
+        <div className="space-y-4 mt-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <select value={selectedMappingId} onChange={handleSelectSavedMapping} className="w-full p-2 border rounded">
+                    <option value="">저장된 설정 불러오기</option>
+                    {importMappings.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                </select>
+                <select name="encoding" value={mapping.encoding} onChange={handleMappingChange} className="w-full p-2 border rounded">
+                    <option value="UTF-8">UTF-8</option>
+                    <option value="EUC-KR">EUC-KR (국내 은행 기본)</option>
+                </select>
+                <select value={mapping.targetId ? `${mapping.targetType}:${mapping.targetId}` : ''} onChange={handleTargetChange} className="w-full p-2 border rounded">
+                    <option value="">가져올 계좌/카드 선택</option>
+                    {getSelectableItems(accounts, mapping.targetId).map(acc => <option key={acc.id} value={`account:${acc.id}`}>{acc.name} ({acc.currency})</option>)}
+                    {getSelectableItems(cards, mapping.targetId).map(card => <option key={card.id} value={`card:${card.id}`}>{card.name} (카드)</option>)}
+                </select>
+            </div>
+            <input type="file" accept=".csv,text/csv" onChange={e => { setFile(e.target.files[0] || null); e.target.value = null; }} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100" />
+
+            {parsed.headers.length > 0 && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div><label className="text-sm font-medium text-gray-700">날짜</label>{columnSelect('dateColumn', '날짜 열 선택')}</div>
+                        <div><label className="text-sm font-medium text-gray-700">내용</label>{columnSelect('descriptionColumn', '내용 열 선택')}</div>
+                        <div>
+                            <label className="text-sm font-medium text-gray-700">금액 방식</label>
+                            <select name="amountMode" value={mapping.amountMode} onChange={handleMappingChange} className="w-full p-2 border rounded">
+                                <option value="signed">금액 열 하나 (부호로 구분)</option>
+                                <option value="split">출금/입금 열이 따로 있음</option>
+                                <option value="indicator">구분 열로 입출금 구분</option>
+                            </select>
+                        </div>
+                        <div><label className="text-sm font-medium text-gray-700">통화 (비우면 계좌 통화)</label>{columnSelect('currencyColumn', '통화 열 없음')}</div>
+                        {mapping.amountMode === 'signed' && (
+                            <>
+                                <div><label className="text-sm font-medium text-gray-700">금액</label>{columnSelect('amountColumn', '금액 열 선택')}</div>
+                                <label className="flex items-center text-sm"><input type="checkbox" name="positiveIsExpense" checked={mapping.positiveIsExpense} onChange={handleMappingChange} className="mr-2" /> 양수 금액을 지출로 처리 (카드 명세서)</label>
+                            </>
+                        )}
+                        {mapping.amountMode === 'split' && (
+                            <>
+                                <div><label className="text-sm font-medium text-gray-700">출금액</label>{columnSelect('withdrawalColumn', '출금 열 선택')}</div>
+                                <div><label className="text-sm font-medium text-gray-700">입금액</label>{columnSelect('depositColumn', '입금 열 선택')}</div>
+                            </>
+                        )}
+                        {mapping.amountMode === 'indicator' && (
+                            <>
+                                <div><label className="text-sm font-medium text-gray-700">금액</label>{columnSelect('amountColumn', '금액 열 선택')}</div>
+                                <div><label className="text-sm font-medium text-gray-700">구분</label>{columnSelect('indicatorColumn', '구분 열 선택')}</div>
+                                <input name="expenseIndicator" value={mapping.expenseIndicator} onChange={handleMappingChange} placeholder="지출을 나타내는 값 (예: 출금)" className="w-full p-2 border rounded" />
+                            </>
+                        )}
+                    </div>
+                    <div className="flex gap-2">
+                        <input name="name" value={mapping.name} onChange={handleMappingChange} placeholder="설정 이름 (예: 국민은행 입출금)" className="flex-grow p-2 border rounded" />
+                        <button type="button" onClick={handleSaveMapping} className="bg-green-500 text-white px-4 py-2 rounded-lg">설정 저장</button>
+                    </div>
+
+                    {previewRows.length > 0 && (
+                        <div className="max-h-96 overflow-y-auto border rounded-lg">
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-100 sticky top-0">
+                                    <tr><th className="p-2"></th><th className="p-2 text-left">날짜</th><th className="p-2 text-left">내용</th><th className="p-2 text-right">금액</th><th className="p-2 text-left">카테고리</th><th className="p-2 text-left">비고</th></tr>
+                                </thead>
+                                <tbody>
+                                    {previewRows.map(r => (
+                                        <tr key={r.index} className={`border-t ${r.error ? 'bg-red-50 text-gray-400' : ''}`}>
+                                            <td className="p-2"><input type="checkbox" disabled={!!r.error} checked={!r.error && !excludedRows.has(r.index)} onChange={() => toggleRow(r.index)} /></td>
+                                            <td className="p-2">{r.date ? r.date.toLocaleDateString() : '-'}</td>
+                                            <td className="p-2">{r.description}</td>
+                                            <td className={`p-2 text-right ${r.amount > 0 ? 'text-blue-600' : 'text-red-600'}`}>{r.amount != null ? `${formatNumber(r.amount)} ${r.currency !== 'KRW' ? r.currency : ''}` : '-'}</td>
+                                            <td className="p-2">{r.transaction?.category}{r.transaction?.tags.map(tag => ` #${tag}`)}</td>
+                                            <td className="p-2 text-xs">
+                                                {r.error}
+                                                {!r.error && r.duplicates.length > 0 && (
+                                                    <div className="text-yellow-700">
+                                                        <p>중복 의심: {r.duplicates[0].date.toDate().toLocaleDateString()} {r.duplicates[0].description}</p>
+                                                        <select value={getDuplicateAction(r)} onChange={e => setDuplicateActions(prev => ({ ...prev, [r.index]: e.target.value }))} className="p-1 border rounded">
+                                                            <option value="skip">건너뛰기</option>
+                                                            <option value="merge">기존 거래에 병합</option>
+                                                            <option value="add">그래도 추가</option>
+                                                        </select>
+                                                    </div>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    <div className="flex justify-between items-center">
+                        <span className="text-sm text-gray-600">총 {previewRows.length}행 중 {rowsToImport.length}건 추가, {rowsToMerge.length}건 병합</span>
+                        <button type="button" onClick={handleImport} disabled={isImporting || (rowsToImport.length === 0 && rowsToMerge.length === 0)} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50">{isImporting ? '가져오는 중...' : '가져오기'}</button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+// 카테고리 선택 목록 (하위 카테고리는 들여쓰기)
+// 보관된 카테고리는 거르기용 목록이거나 이미 선택된 값일 때만 표시
+function CategoryOptions({ categories, selected, includeArchived = false }) {
+    return getCategoryTree(categories).filter(cat => includeArchived || !cat.isArchived || cat.name === selected).map(cat => (
+        <option key={cat.id} value={cat.name}>{cat.depth > 0 ? `\u00A0\u00A0└ ${cat.name}` : cat.name}</option>
+    ));
+}
+
+function CategoryView({ user, dataPath, canEdit, categories, transactions, db, showAlert, showConfirm }) {
     const [editingCategory, setEditingCategory] = React.useState(null);
+    const [mergingCategory, setMergingCategory] = React.useState(null);
+    const [mergeTargetId, setMergeTargetId] = React.useState('');
+    const [deletingCategory, setDeletingCategory] = React.useState(null);
+
+    const categoryTree = React.useMemo(() => getCategoryTree(categories), [categories]);
+    // 2단계까지만 허용하므로 상위 카테고리로는 다른 카테고리에 속하지 않은 카테고리만 선택 가능
+    const parentOptions = categories.filter(cat => !cat.parentId && cat.id !== editingCategory?.id);
+    const editingHasChildren = !!editingCategory && categories.some(cat => cat.parentId === editingCategory.id);
 
     const handleSaveCategory = async (e) => {
         e.preventDefault();
         const name = e.target.elements.name.value.trim();
+        const parentId = e.target.elements.parentId.value || null;
         if (!name) return;
+        if (categories.some(cat => cat.name === name && cat.id !== editingCategory?.id)) {
+            showAlert("이미 있는 카테고리 이름입니다. 합치려면 병합을 사용하세요.");
+            return;
+        }
 
         try {
             if (editingCategory) {
-                await setDoc(doc(db, `users/${user.uid}/categories`, editingCategory.id), { name }, { merge: true });
+                await saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/categories`, editingCategory.id), { name, parentId }, editingCategory);
+                // 이름이 바뀌면 기존 거래와 예산이 새 이름을 따라가도록 함께 수정
+                if (name !== editingCategory.name) {
+                    const count = await rewriteCategoryReferences(db, dataPath, user, transactions, editingCategory.name, name);
+                    if (count > 0) showAlert(`카테고리 이름을 바꾸고 관련 항목 ${count}건을 수정했습니다.`);
+                }
                 setEditingCategory(null);
             } else {
-                await addDoc(collection(db, `users/${user.uid}/categories`), { name });
+                await saveWithAudit(db, dataPath, user, doc(collection(db, `${dataPath}/categories`)), { name, parentId });
                 e.target.elements.name.value = "";
             }
         } catch (error) {
@@ -1803,32 +4358,369 @@ function CategoryView({ user, categories, db, showAlert, showConfirm }) {
         }
     };
 
-    const handleDeleteCategory = async (id) => {
-        showConfirm("카테고리를 삭제하시겠습니까?", async () => {
-            await deleteDoc(doc(db, `users/${user.uid}/categories`, id));
-            showAlert("카테고리가 삭제되었습니다.");
+    // 병합: 관련 항목을 대상 카테고리로 옮기고 하위 카테고리도 대상 아래로 옮긴 뒤 원래 카테고리를 삭제
+    const handleMergeCategory = async () => {
+        const target = categories.find(cat => cat.id === mergeTargetId);
+        if (!target) return;
+        showConfirm(`'${mergingCategory.name}' 카테고리를 '${target.name}'(으)로 병합하시겠습니까? 관련 거래와 예산의 카테고리가 모두 바뀝니다.`, async () => {
+            try {
+                const count = await rewriteCategoryReferences(db, dataPath, user, transactions, mergingCategory.name, target.name);
+                const batch = writeBatch(db);
+                categories.filter(cat => cat.parentId === mergingCategory.id).forEach(cat => {
+                    setWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/categories`, cat.id), { parentId: target.parentId ? null : target.id }, cat);
+                });
+                deleteWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/categories`, mergingCategory.id), mergingCategory);
+                await batch.commit();
+                setMergingCategory(null);
+                setMergeTargetId('');
+                showAlert(`병합되었습니다. 관련 항목 ${count}건을 수정했습니다.`);
+            } catch (error) {
+                showAlert(`병합 실패: ${error.message}`);
+            }
+        });
+    };
+
+    // 삭제 전에 참조 항목 수를 세어 처리 방법을 고르도록 함
+    const handleDeleteCategory = async (category) => {
+        try {
+            const updates = await getCategoryReferenceUpdates(db, dataPath, transactions, category.name, null);
+            setDeletingCategory({ category, counts: countReferencesByKind(updates) });
+        } catch (error) {
+            showAlert(`참조 확인 실패: ${error.message}`);
+        }
+    };
+
+    // 하위 카테고리는 상위 카테고리로 올린 뒤 카테고리 문서를 삭제
+    const removeCategory = async (category) => {
+        const batch = writeBatch(db);
+        categories.filter(cat => cat.parentId === category.id).forEach(cat => setWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/categories`, cat.id), { parentId: null }, cat));
+        deleteWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/categories`, category.id), category);
+        await batch.commit();
+        setDeletingCategory(null);
+    };
+
+    const handleReassignAndDelete = async (targetId) => {
+        const { category } = deletingCategory;
+        const target = categories.find(cat => cat.id === targetId);
+        try {
+            const count = await rewriteCategoryReferences(db, dataPath, user, transactions, category.name, target.name);
+            await removeCategory(category);
+            showAlert(`관련 항목 ${count}건을 '${target.name}'(으)로 옮기고 카테고리를 삭제했습니다.`);
+        } catch (error) {
+            showAlert(`삭제 실패: ${error.message}`);
+        }
+    };
+
+    const handleArchiveCategory = async (category, isArchived) => {
+        try {
+            await saveWithAudit(db, dataPath, user, doc(db, `${dataPath}/categories`, category.id), { isArchived }, category);
+            setDeletingCategory(null);
+        } catch (error) {
+            showAlert(`저장 실패: ${error.message}`);
+        }
+    };
+
+    const handleDeleteWithReferences = () => {
+        const { category } = deletingCategory;
+        showConfirm(`'${category.name}' 카테고리를 삭제하시겠습니까? 관련 거래와 템플릿은 카테고리가 비워지고 예산에서 빠집니다.`, async () => {
+            try {
+                await rewriteCategoryReferences(db, dataPath, user, transactions, category.name, null);
+                await removeCategory(category);
+                showAlert("카테고리가 삭제되었습니다.");
+            } catch (error) {
+                showAlert(`삭제 실패: ${error.message}`);
+            }
         });
     };
 
     return (
         <div className="bg-white p-6 rounded-xl shadow-md">
             <h3 className="text-xl font-semibold mb-4">거래 카테고리 관리</h3>
-            <form onSubmit={handleSaveCategory} className="flex gap-2 mb-4">
-                <input name="name" defaultValue={editingCategory?.name || ""} placeholder="새 카테고리 이름" className="w-full p-2 border rounded-md" required />
-                <button type="submit" className="bg-indigo-500 text-white px-4 rounded-lg hover:bg-indigo-600">{editingCategory ? '수정' : '추가'}</button>
-                {editingCategory && <button type="button" onClick={() => setEditingCategory(null)} className="bg-gray-300 px-4 rounded-lg">취소</button>}
-            </form>
+            {canEdit && (
+                <form key={editingCategory?.id || 'new'} onSubmit={handleSaveCategory} className="flex gap-2 mb-4">
+                    <input name="name" defaultValue={editingCategory?.name || ""} placeholder="새 카테고리 이름" className="w-full p-2 border rounded-md" required />
+                    <select name="parentId" defaultValue={editingCategory?.parentId || ""} disabled={editingHasChildren} className="p-2 border rounded-md">
+                        <option value="">상위 카테고리 없음</option>
+                        {parentOptions.map(cat => <option key={cat.id} value={cat.id}>{cat.name}</option>)}
+                    </select>
+                    <button type="submit" className="bg-indigo-500 text-white px-4 rounded-lg hover:bg-indigo-600">{editingCategory ? '수정' : '추가'}</button>
+                    {editingCategory && <button type="button" onClick={() => setEditingCategory(null)} className="bg-gray-300 px-4 rounded-lg">취소</button>}
+                </form>
+            )}
             <ul className="divide-y divide-gray-200">
-                {categories.map(cat => (
-                    <li key={cat.id} className="py-2 flex justify-between items-center">
-                        <span>{cat.name}</span>
-                        <div className="flex gap-2">
-                            <button onClick={() => setEditingCategory(cat)} className="p-2 hover:bg-gray-200 rounded-full text-sm">✏️</button>
-                            <button onClick={() => handleDeleteCategory(cat.id)} className="p-2 hover:bg-gray-200 rounded-full text-sm">🗑️</button>
+                {categoryTree.map(cat => (
+                    <li key={cat.id} className={`py-2 ${cat.depth > 0 ? 'pl-6' : ''}`}>
+                        <div className="flex justify-between items-center">
+                            <span className={cat.depth > 0 ? 'text-gray-700' : 'font-medium'}>
+                                {cat.depth > 0 && '└ '}{cat.name}
+                                {cat.isArchived && <span className="text-xs bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full ml-2">보관됨</span>}
+                            </span>
+                            {canEdit && (
+                                <div className="flex gap-2">
+                                    {cat.isArchived && <button onClick={() => handleArchiveCategory(cat, false)} className="p-2 hover:bg-gray-200 rounded-full text-sm">↩️</button>}
+                                    <button onClick={() => setEditingCategory(cat)} className="p-2 hover:bg-gray-200 rounded-full text-sm">✏️</button>
+                                    <button onClick={() => { setMergingCategory(cat); setMergeTargetId(''); }} className="p-2 hover:bg-gray-200 rounded-full text-sm">🔀</button>
+                                    <button onClick={() => handleDeleteCategory(cat)} className="p-2 hover:bg-gray-200 rounded-full text-sm">🗑️</button>
+                                </div>
+                            )}
+                        </div>
+                        {deletingCategory?.category.id === cat.id && (
+                            <ReferenceDeletePanel
+                                itemName={cat.name}
+                                counts={deletingCategory.counts}
+                                targets={categoryTree.filter(other => other.id !== cat.id && !other.isArchived)}
+                                deleteDescription="삭제하면 관련 거래와 템플릿의 카테고리가 비워지고 예산에서 빠집니다."
+                                onReassign={handleReassignAndDelete}
+                                onArchive={cat.isArchived ? null : () => handleArchiveCategory(cat, true)}
+                                onDelete={handleDeleteWithReferences}
+                                onCancel={() => setDeletingCategory(null)}
+                            />
+                        )}
+                        {mergingCategory?.id === cat.id && (
+                            <div className="flex gap-2 items-center mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+                                <span className="whitespace-nowrap">병합 대상</span>
+                                <select value={mergeTargetId} onChange={e => setMergeTargetId(e.target.value)} className="flex-grow p-2 border rounded-md">
+                                    <option value="">카테고리 선택</option>
+                                    {categoryTree.filter(other => other.id !== cat.id).map(other => <option key={other.id} value={other.id}>{other.name}</option>)}
+                                </select>
+                                <button onClick={handleMergeCategory} disabled={!mergeTargetId} className="bg-indigo-500 text-white px-3 py-2 rounded-lg disabled:opacity-50">병합</button>
+                                <button onClick={() => setMergingCategory(null)} className="bg-gray-300 px-3 py-2 rounded-lg">취소</button>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+const EMPTY_CATEGORY_RULE = {
+    name: '', priority: 0, descriptionContains: '', type: '', source: '', minAmount: '', maxAmount: '',
+    category: '', tags: '', excludeFromBudget: false,
+};
+
+function CategoryRuleView({ user, dataPath, canEdit, categoryRules, categories, accounts, cards, transactions, convertToKRW, db, showAlert, showConfirm }) {
+    const [editingRule, setEditingRule] = React.useState(null);
+    const [formData, setFormData] = React.useState(EMPTY_CATEGORY_RULE);
+    const [overwrite, setOverwrite] = React.useState(false);
+    const [pendingChanges, setPendingChanges] = React.useState(null);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleEdit = (rule) => {
+        const conditions = rule.conditions || {};
+        const actions = rule.actions || {};
+        setEditingRule(rule);
+        setFormData({
+            name: rule.name,
+            priority: rule.priority ?? 0,
+            descriptionContains: conditions.descriptionContains || '',
+            type: conditions.type || '',
+            source: conditions.accountId ? `account:${conditions.accountId}` : conditions.cardId ? `card:${conditions.cardId}` : '',
+            minAmount: conditions.minAmount ?? '',
+            maxAmount: conditions.maxAmount ?? '',
+            category: actions.category || '',
+            tags: (actions.tags || []).join(', '),
+            excludeFromBudget: !!actions.excludeFromBudget,
+        });
+    };
+
+    const handleCancel = () => {
+        setEditingRule(null);
+        setFormData(EMPTY_CATEGORY_RULE);
+    };
+
+    const handleSaveRule = async (e) => {
+        e.preventDefault();
+        const [sourceType, sourceId] = formData.source.split(':');
+        const dataToSave = {
+            name: formData.name,
+            priority: Number(formData.priority) || 0,
+            isActive: editingRule ? editingRule.isActive !== false : true,
+            conditions: {
+                descriptionContains: formData.descriptionContains.trim(),
+                type: formData.type,
+                accountId: sourceType === 'account' ? sourceId : null,
+                cardId: sourceType === 'card' ? sourceId : null,
+                minAmount: formData.minAmount === '' ? null : Number(formData.minAmount),
+                maxAmount: formData.maxAmount === '' ? null : Number(formData.maxAmount),
+            },
+            actions: {
+                category: formData.category,
+                tags: formData.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+                excludeFromBudget: formData.excludeFromBudget,
+            },
+        };
+        if (!hasCategoryRuleConditions(dataToSave.conditions)) {
+            showAlert("조건을 하나 이상 입력해주세요.");
+            return;
+        }
+        try {
+            if (editingRule) {
+                await setDoc(doc(db, `${dataPath}/categoryRules`, editingRule.id), dataToSave);
+                showAlert("규칙이 수정되었습니다.");
+            } else {
+                await addDoc(collection(db, `${dataPath}/categoryRules`), dataToSave);
+                showAlert("규칙이 추가되었습니다.");
+            }
+            handleCancel();
+        } catch (error) {
+            showAlert(`저장 실패: ${error.message}`);
+        }
+    };
+
+    const handleToggleActive = async (rule) => {
+        try {
+            await setDoc(doc(db, `${dataPath}/categoryRules`, rule.id), { isActive: rule.isActive === false }, { merge: true });
+        } catch (error) {
+            showAlert(`변경 실패: ${error.message}`);
+        }
+    };
+
+    const handleDeleteRule = async (id) => {
+        showConfirm("이 규칙을 삭제하시겠습니까?", async () => {
+            try {
+                await deleteDoc(doc(db, `${dataPath}/categoryRules`, id));
+                showAlert("규칙이 삭제되었습니다.");
+            } catch (error) {
+                showAlert(`삭제 실패: ${error.message}`);
+            }
+        });
+    };
+
+    const handlePreviewReapply = () => {
+        const changes = transactions
+            .map(t => ({ transaction: t, changes: getCategoryRuleChanges(t, categoryRules, convertToKRW, overwrite) }))
+            .filter(item => item.changes);
+        setPendingChanges(changes);
+    };
+
+    const handleApplyChanges = async () => {
+        try {
+            await commitInChunks(db, pendingChanges, (batch, item) => {
+                setWithAudit(batch, db, dataPath, user, doc(db, `${dataPath}/transactions`, item.transaction.id), item.changes, item.transaction);
+            }, 2);
+            showAlert(`${pendingChanges.length}건의 거래에 규칙을 적용했습니다.`);
+            setPendingChanges(null);
+        } catch (error) {
+            console.error("규칙 일괄 적용 실패:", error);
+            showAlert(`적용 실패: ${error.message}`);
+        }
+    };
+
+    const describeConditions = (rule) => {
+        const conditions = rule.conditions || {};
+        const parts = [];
+        if (conditions.descriptionContains) parts.push(`내용에 "${conditions.descriptionContains}" 포함`);
+        if (conditions.type) parts.push({ expense: '계좌 지출', income: '수입', 'card-expense': '카드 지출' }[conditions.type]);
+        if (conditions.accountId) parts.push(`계좌: ${accounts.find(a => a.id === conditions.accountId)?.name || '?'}`);
+        if (conditions.cardId) parts.push(`카드: ${cards.find(c => c.id === conditions.cardId)?.name || '?'}`);
+        if (conditions.minAmount != null) parts.push(`${formatCurrency(conditions.minAmount)} 이상`);
+        if (conditions.maxAmount != null) parts.push(`${formatCurrency(conditions.maxAmount)} 이하`);
+        return parts.join(', ') || '모든 거래';
+    };
+
+    const describeActions = (rule) => {
+        const actions = rule.actions || {};
+        return [
+            actions.category && `카테고리 ${actions.category}`,
+            ...(actions.tags || []).map(tag => `#${tag}`),
+            actions.excludeFromBudget && '예산 제외',
+        ].filter(Boolean).join(', ');
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md">
+            <h3 className="text-xl font-semibold mb-4">자동 분류 규칙</h3>
+            <p className="text-sm text-gray-600 mb-4">새로 입력하거나 가져오는 거래에 우선순위가 낮은 규칙부터 적용됩니다. 카테고리는 처음 일치한 규칙을 따르고 태그는 모두 추가됩니다.</p>
+            <ul className="divide-y divide-gray-200 mb-4">
+                {categoryRules.map(rule => (
+                    <li key={rule.id} className={`py-2 flex justify-between items-center ${rule.isActive === false ? 'opacity-50' : ''}`}>
+                        <div>
+                            <p className="font-semibold">{rule.priority ?? 0}. {rule.name}</p>
+                            <p className="text-sm text-gray-500">{describeConditions(rule)} → {describeActions(rule)}</p>
                         </div>
+                        {canEdit && (
+                            <div className="flex gap-2">
+                                <button onClick={() => handleToggleActive(rule)} className="p-2 hover:bg-gray-200 rounded-full text-sm">{rule.isActive === false ? '▶️' : '⏸️'}</button>
+                                <button onClick={() => handleEdit(rule)} className="p-2 hover:bg-gray-200 rounded-full text-sm">✏️</button>
+                                <button onClick={() => handleDeleteRule(rule.id)} className="p-2 hover:bg-gray-200 rounded-full text-sm">🗑️</button>
+                            </div>
+                        )}
                     </li>
                 ))}
+                {categoryRules.length === 0 && <p className="text-gray-500 py-2">등록된 규칙이 없습니다.</p>}
             </ul>
+
+            {canEdit && (
+                <>
+                    <form onSubmit={handleSaveRule} className="p-4 border-t space-y-3">
+                        <h4 className="font-semibold">{editingRule ? '규칙 수정' : '새 규칙 추가'}</h4>
+                        <div className="grid grid-cols-3 gap-4">
+                            <input name="name" value={formData.name} onChange={handleChange} placeholder="규칙 이름" required className="col-span-2 p-2 border rounded" />
+                            <input name="priority" type="number" value={formData.priority} onChange={handleChange} placeholder="우선순위" className="p-2 border rounded" />
+                        </div>
+                        <p className="text-sm font-medium text-gray-700">조건</p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <input name="descriptionContains" value={formData.descriptionContains} onChange={handleChange} placeholder="내용에 포함된 문구 (예: 스타벅스)" className="p-2 border rounded" />
+                            <select name="type" value={formData.type} onChange={handleChange} className="p-2 border rounded">
+                                <option value="">모든 종류</option><option value="expense">지출(계좌)</option><option value="card-expense">지출(카드)</option><option value="income">수입</option>
+                            </select>
+                            <select name="source" value={formData.source} onChange={handleChange} className="p-2 border rounded">
+                                <option value="">모든 계좌/카드</option>
+                                {accounts.map(acc => <option key={acc.id} value={`account:${acc.id}`}>{acc.name}</option>)}
+                                {cards.map(card => <option key={card.id} value={`card:${card.id}`}>{card.name} (카드)</option>)}
+                            </select>
+                            <div className="flex gap-2">
+                                <input name="minAmount" type="number" step="any" value={formData.minAmount} onChange={handleChange} placeholder="최소 금액 (원화 환산)" className="w-1/2 p-2 border rounded" />
+                                <input name="maxAmount" type="number" step="any" value={formData.maxAmount} onChange={handleChange} placeholder="최대 금액 (원화 환산)" className="w-1/2 p-2 border rounded" />
+                            </div>
+                        </div>
+                        <p className="text-sm font-medium text-gray-700">적용할 내용</p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <select name="category" value={formData.category} onChange={handleChange} className="p-2 border rounded">
+                                <option value="">카테고리 변경 없음</option>
+                                <CategoryOptions categories={categories} selected={formData.category} />
+                            </select>
+                            <input name="tags" value={formData.tags} onChange={handleChange} placeholder="추가할 태그 (쉼표로 구분)" className="p-2 border rounded" />
+                        </div>
+                        <label className="flex items-center text-sm"><input type="checkbox" name="excludeFromBudget" checked={formData.excludeFromBudget} onChange={handleChange} className="mr-2" /> 예산 관리에서 제외</label>
+                        <div className="flex justify-end space-x-2">
+                            {editingRule && <button type="button" onClick={handleCancel} className="bg-gray-200 px-4 py-2 rounded">취소</button>}
+                            <button type="submit" className="bg-indigo-500 text-white px-4 py-2 rounded">{editingRule ? '수정' : '추가'}</button>
+                        </div>
+                    </form>
+
+                    <div className="p-4 border-t space-y-3">
+                        <h4 className="font-semibold">기존 거래에 규칙 다시 적용</h4>
+                        <label className="flex items-center text-sm"><input type="checkbox" checked={overwrite} onChange={e => { setOverwrite(e.target.checked); setPendingChanges(null); }} className="mr-2" /> 이미 카테고리가 있는 거래도 덮어쓰기</label>
+                        <button onClick={handlePreviewReapply} className="bg-gray-100 hover:bg-gray-200 px-4 py-2 rounded-lg">변경 사항 미리보기</button>
+                        {pendingChanges && (
+                            <>
+                                <ul className="max-h-72 overflow-y-auto divide-y divide-gray-200 border rounded-lg">
+                                    {pendingChanges.map(({ transaction: t, changes }) => (
+                                        <li key={t.id} className="p-2 text-sm flex justify-between">
+                                            <span>{t.date.toDate().toLocaleDateString()} {t.description}</span>
+                                            <span className="text-gray-600">
+                                                {changes.category !== undefined && `${t.category || '(없음)'} → ${changes.category} `}
+                                                {changes.tags && changes.tags.filter(tag => !(t.tags || []).includes(tag)).map(tag => `+#${tag} `)}
+                                                {changes.excludeFromBudget && '예산 제외'}
+                                            </span>
+                                        </li>
+                                    ))}
+                                    {pendingChanges.length === 0 && <p className="p-2 text-gray-500">변경될 거래가 없습니다.</p>}
+                                </ul>
+                                {pendingChanges.length > 0 && (
+                                    <button onClick={handleApplyChanges} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">{pendingChanges.length}건 적용</button>
+                                )}
+                            </>
+                        )}
+                    </div>
+                </>
+            )}
         </div>
     );
 }
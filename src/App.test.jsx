@@ -1,9 +1,11 @@
+// @vitest-environment jsdom
 import { expect, test } from 'vitest';
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// 에뮬레이터 Auth에 로그인한 사용자가 없으면 로그인 화면을 보여줌
+test('renders Google sign-in button when signed out', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeDefined();
+  const button = await screen.findByText(/Google 계정으로 로그인/);
+  expect(button).toBeDefined();
 });
@@ -0,0 +1,282 @@
+import { collection, doc, getDoc, getDocs, writeBatch, query, setDoc, Timestamp, runTransaction, where, arrayUnion, arrayRemove, deleteField } from 'firebase/firestore';
+import { getLinkedCardTransactionIds, isSplitTransaction, DAY_MS } from './ledger';
+
+// Firestore에 읽고 쓰는 가계부 처리 함수 (화면과 에뮬레이터 규칙 테스트에서 함께 사용)
+
+// --- 일괄 쓰기 헬퍼 ---
+// Firestore writeBatch는 한 번에 500건까지만 커밋할 수 있으므로 나누어 처리
+// writesPerItem: 항목 하나가 쓰는 문서 수 (변경 이력이나 휴지통을 함께 쓰는 경우)
+const FIRESTORE_BATCH_LIMIT = 500;
+export const commitInChunks = async (db, items, applyToBatch, writesPerItem = 1) => {
+    const chunkSize = Math.floor(FIRESTORE_BATCH_LIMIT / writesPerItem);
+    for (let i = 0; i < items.length; i += chunkSize) {
+        const batch = writeBatch(db);
+        items.slice(i, i + chunkSize).forEach(item => applyToBatch(batch, item));
+        await batch.commit();
+    }
+};
+
+// 문서가 없을 때만 만듦 (여러 구성원의 화면이 함께 쓰거나 늦게 읽은 목록으로 기존 문서를 덮어쓰지 않도록 트랜잭션에서 확인)
+export const createDocOnce = (db, ref, data) => runTransaction(db, async (transaction) => {
+    if ((await transaction.get(ref)).exists()) return false;
+    transaction.set(ref, data);
+    return true;
+});
+
+// --- 가계 공유 헬퍼 ---
+// 모든 데이터는 households/{householdId} 아래에 두고, 구성원과 역할은 가계 문서의 members에 기록
+// users/{uid} 문서에는 지금 보고 있는 가계의 ID(householdId)만 저장
+export const HOUSEHOLD_COLLECTIONS = ['accounts', 'cards', 'transactions', 'schedules', 'currencies', 'categories', 'memos', 'budgets', 'templates', 'importMappings', 'categoryRules', 'exchangeRates', 'investmentTrades', 'securityPrices', 'netWorthSnapshots', 'notifications', 'trash'];
+
+export const getHouseholdPath = (householdId) => `households/${householdId}`;
+
+// 초대 문서 ID를 가계와 이메일로 정해 두어 보안 규칙에서 초대 여부를 바로 확인할 수 있게 함
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+export const getInvitationId = (householdId, email) => `${householdId}_${normalizeEmail(email)}`;
+
+const getMemberProfile = (user, role) => ({ role, displayName: user.displayName || user.email || '구성원', email: normalizeEmail(user.email) });
+
+// 거래를 만들거나 고친 구성원 기록
+const getCreatedStamp = (user) => ({ createdBy: user.uid, createdAt: Timestamp.now() });
+const getUpdatedStamp = (user) => ({ updatedBy: user.uid, updatedAt: Timestamp.now() });
+
+// 보안 규칙의 isValidTransaction과 같은 거래 형태 검증
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer', 'card-expense', 'payment'];
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+const isValidTransactionData = (data) => TRANSACTION_TYPES.includes(data.type)
+    && typeof data.amount === 'number'
+    && data.date instanceof Timestamp
+    && (data.type === 'card-expense' ? isNonEmptyString(data.cardId) : isNonEmptyString(data.accountId))
+    && (data.type !== 'transfer' || isNonEmptyString(data.toAccountId));
+
+// 예전 거래는 작성자를 본인으로 기록하고 수정자 기록은 지움 (규칙에 맞지 않는 거래는 null을 반환해 건너뜀)
+const normalizeLegacyDoc = (user, name, data) => {
+    if (name === 'transactions') {
+        if (!isValidTransactionData(data)) return null;
+        const { updatedBy, updatedAt, ...rest } = data;
+        return { ...rest, createdBy: user.uid };
+    }
+    if (name === 'trash' && data.collection === 'transactions') return { ...data, data: { ...data.data, createdBy: user.uid } };
+    return data;
+};
+
+// 처음 로그인하면 uid를 ID로 하는 개인 가계를 만들고 예전 users/{uid} 데이터를 같은 문서 ID로 복사해 건너뛴 거래 수를 반환 (원본은 남겨 둠)
+// 중간에 실패해도 householdId가 기록되기 전이므로 다시 실행하면 아직 복사하지 않은 문서부터 이어서 복사
+export const ensurePersonalHousehold = async (db, user) => {
+    const householdRef = doc(db, 'households', user.uid);
+    if (!(await getDoc(householdRef)).exists()) {
+        await setDoc(householdRef, {
+            name: `${user.displayName || '나'}의 가계부`,
+            ownerId: user.uid,
+            memberIds: [user.uid],
+            members: { [user.uid]: getMemberProfile(user, 'owner') },
+            createdAt: Timestamp.now(),
+        });
+    }
+    let skipped = 0;
+    for (const name of HOUSEHOLD_COLLECTIONS) {
+        const [legacy, copied] = await Promise.all([
+            getDocs(collection(db, `users/${user.uid}/${name}`)),
+            getDocs(collection(db, `${getHouseholdPath(user.uid)}/${name}`)),
+        ]);
+        const copiedIds = new Set(copied.docs.map(d => d.id));
+        const docs = legacy.docs.filter(d => !copiedIds.has(d.id)).map(d => ({ id: d.id, data: normalizeLegacyDoc(user, name, d.data()) }));
+        const valid = docs.filter(d => d.data);
+        skipped += docs.length - valid.length;
+        await commitInChunks(db, valid, (batch, d) => batch.set(doc(db, `${getHouseholdPath(user.uid)}/${name}`, d.id), d.data));
+    }
+    await setDoc(doc(db, 'users', user.uid), { householdId: user.uid }, { merge: true });
+    return skipped;
+};
+
+// 초대를 수락하면 구성원으로 추가하고 초대를 지운 뒤 그 가계로 전환
+export const acceptHouseholdInvitation = async (db, user, invitation) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'households', invitation.householdId), {
+        memberIds: arrayUnion(user.uid),
+        [`members.${user.uid}`]: getMemberProfile(user, invitation.role),
+    });
+    batch.delete(doc(db, 'invitations', invitation.id));
+    batch.set(doc(db, 'users', user.uid), { householdId: invitation.householdId }, { merge: true });
+    await batch.commit();
+};
+
+export const removeHouseholdMember = (db, householdId, uid) => setDoc(doc(db, 'households', householdId), {
+    memberIds: arrayRemove(uid),
+    members: { [uid]: deleteField() },
+}, { merge: true });
+
+// --- 변경 이력 헬퍼 ---
+// auditLogs: { collection, docId, action, before, after, changedBy, changedAt }를 추가만 하는 변경 기록 (보안 규칙에서 수정/삭제 금지)
+// 앱의 쓰기가 같은 배치에 이력을 함께 남기며, 규칙이 데이터 쓰기마다 이력을 요구하지는 않음
+// 수정은 바뀐 필드만 before/after에 담고, 추가/삭제/복원은 문서 전체를 담음
+
+// 삭제한 거래/계좌/일정은 trash/{collection}_{docId}에 내용을 30일간 보관한 뒤 비움
+export const TRASH_COLLECTIONS = { transactions: '거래', accounts: '계좌', schedules: '일정' };
+export const TRASH_RETENTION_DAYS = 30;
+export const getTrashId = (collectionName, docId) => `${collectionName}_${docId}`;
+
+// 화면용 id는 빼고, Firestore에 저장할 수 없는 undefined는 null로 바꿈
+const toAuditData = (data) => Object.fromEntries(Object.entries(data)
+    .filter(([key]) => key !== 'id')
+    .map(([key, value]) => [key, value === undefined ? null : value]));
+
+const isSameAuditValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// 병합 쓰기(changes)로 실제로 바뀌는 필드의 이전/이후 값
+const getChangedFields = (before, changes) => {
+    const keys = Object.keys(toAuditData(changes)).filter(key => !isSameAuditValue(before[key], changes[key]));
+    return {
+        before: Object.fromEntries(keys.map(key => [key, before[key] ?? null])),
+        after: Object.fromEntries(keys.map(key => [key, changes[key] ?? null])),
+    };
+};
+
+// writer는 writeBatch 또는 runTransaction의 transaction (set/delete 사용법이 같음)
+const recordAudit = (writer, db, dataPath, user, entry) => writer.set(doc(collection(db, `${dataPath}/auditLogs`)), {
+    before: null, after: null, ...entry, changedBy: user.uid, changedAt: Timestamp.now(),
+});
+
+// 거래의 작성자/수정자는 보안 규칙에 맞게 쓰는 사람으로 기록 (넘어온 값은 무시하고 가져온 작성 시각만 유지)
+const stampTransaction = (user, data, before) => {
+    const { createdBy, createdAt, updatedBy, updatedAt, ...rest } = data;
+    return before ? { ...rest, ...getUpdatedStamp(user) } : { ...rest, ...getCreatedStamp(user), ...(createdAt && { createdAt }) };
+};
+
+// before가 없으면 새 문서로 추가, 있으면 data의 필드만 통째로 바꾸는 수정으로 기록 (수정자 말고 바뀐 필드가 없으면 이력을 남기지 않음)
+// 맵 필드는 합치지 않고 넘긴 값으로 바꾸므로 중첩 필드를 고칠 때는 맵 전체를 넘김
+export const setWithAudit = (writer, db, dataPath, user, ref, data, before = null) => {
+    const stamped = ref.parent.id === 'transactions' ? stampTransaction(user, data, before) : data;
+    if (!before) {
+        writer.set(ref, stamped);
+        recordAudit(writer, db, dataPath, user, { collection: ref.parent.id, docId: ref.id, action: 'create', after: toAuditData(stamped) });
+        return;
+    }
+    writer.set(ref, stamped, { mergeFields: Object.keys(stamped) });
+    const changed = getChangedFields(before, stamped);
+    if (Object.keys(changed.after).some(key => key !== 'updatedBy' && key !== 'updatedAt')) {
+        recordAudit(writer, db, dataPath, user, { collection: ref.parent.id, docId: ref.id, action: 'update', ...changed });
+    }
+};
+
+// 삭제를 기록하고, 휴지통 대상이면 문서 내용을 함께 보관
+// related: 함께 삭제한 휴지통 항목 ID(trashIds)와 연결을 해제한 문서(links: [{ collection, docId, field }])로, 복원할 때 같이 되돌림
+export const deleteWithAudit = (writer, db, dataPath, user, ref, before, related = null) => {
+    const data = toAuditData(before);
+    writer.delete(ref);
+    if (TRASH_COLLECTIONS[ref.parent.id]) {
+        const deletedAt = Timestamp.now();
+        writer.set(doc(db, `${dataPath}/trash`, getTrashId(ref.parent.id, ref.id)), {
+            collection: ref.parent.id, docId: ref.id, data, deletedBy: user.uid, deletedAt,
+            expiresAt: Timestamp.fromMillis(deletedAt.toMillis() + TRASH_RETENTION_DAYS * DAY_MS),
+            ...(related && { related }),
+        });
+    }
+    recordAudit(writer, db, dataPath, user, { collection: ref.parent.id, docId: ref.id, action: 'delete', before: data });
+};
+
+// 문서 하나를 이력과 함께 저장/삭제
+export const saveWithAudit = async (db, dataPath, user, ref, data, before = null) => {
+    const batch = writeBatch(db);
+    setWithAudit(batch, db, dataPath, user, ref, data, before);
+    await batch.commit();
+};
+
+export const removeWithAudit = async (db, dataPath, user, ref, before) => {
+    const batch = writeBatch(db);
+    deleteWithAudit(batch, db, dataPath, user, ref, before);
+    await batch.commit();
+};
+
+// 휴지통 항목을 원래 문서 ID로 되살리고, 함께 삭제된 항목(아직 휴지통에 있는 것)도 복원해 복원한 항목 수를 반환
+// 연결이 해제된 문서는 그 사이 다른 항목으로 연결되지 않았을 때만 다시 연결
+export const restoreFromTrash = async (db, dataPath, user, entry, trash = []) => {
+    const relatedIds = entry.related?.trashIds || [];
+    const entries = [entry, ...trash.filter(item => relatedIds.includes(item.id))];
+    await commitInChunks(db, entries, (batch, item) => {
+        batch.set(doc(db, `${dataPath}/${item.collection}`, item.docId), item.data);
+        batch.delete(doc(db, `${dataPath}/trash`, item.id));
+        recordAudit(batch, db, dataPath, user, { collection: item.collection, docId: item.docId, action: 'restore', after: item.data });
+    }, 3);
+
+    const links = await Promise.all((entry.related?.links || []).map(async link => ({ link, snapshot: await getDoc(doc(db, `${dataPath}/${link.collection}`, link.docId)) })));
+    const relinked = links.filter(({ link, snapshot }) => snapshot.exists() && !snapshot.data()[link.field]);
+    await commitInChunks(db, relinked, (batch, { link, snapshot }) => setWithAudit(batch, db, dataPath, user, snapshot.ref, { [link.field]: entry.docId }, snapshot.data()), 2);
+    return entries.length;
+};
+
+// --- 카드 결제 헬퍼 ---
+// 결제 취소/수정 시 트랜잭션 안에서 연결된 카드 거래의 결제 표시를 되돌림 (모든 읽기를 쓰기보다 먼저 수행)
+// 명세서별 결제(statementKey)는 결제 거래만 지우거나 고치면 명세서 잔액이 다시 계산되므로 되돌릴 것이 없음
+export const revertLinkedCardTransactions = async (transaction, db, dataPath, user, payment) => {
+    const refs = getLinkedCardTransactionIds(payment).map(id => doc(db, `${dataPath}/transactions`, id));
+    const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+    snapshots.filter(snapshot => snapshot.exists()).forEach(snapshot => {
+        const revertedCount = (payment.paidCharges || []).filter(c => c.transactionId === snapshot.id).length;
+        if (revertedCount === 0) {
+            setWithAudit(transaction, db, dataPath, user, snapshot.ref, { isPaid: false }, snapshot.data());
+            return;
+        }
+        // 할부는 이 결제로 처리된 회차 수만큼만 되돌려 다른 결제의 회차는 유지
+        const paidInstallments = Math.max((snapshot.data().paidInstallments || 0) - revertedCount, 0);
+        setWithAudit(transaction, db, dataPath, user, snapshot.ref, { isPaid: false, paidInstallments }, snapshot.data());
+    });
+};
+
+// --- 카테고리 참조 헬퍼 ---
+// 카테고리를 참조하는 거래(분할 항목 포함), 예산, 템플릿, 자동 분류 규칙을 toName으로 바꾸는 수정 목록 [{ kind, ref, changes, before }]
+// toName이 null이면 참조를 비움. 예산에 두 카테고리가 모두 있으면 금액을 합침
+export const getCategoryReferenceUpdates = async (db, dataPath, transactions, fromName, toName) => {
+    const [budgetSnapshot, templateSnapshot, ruleSnapshot] = await Promise.all(
+        ['budgets', 'templates', 'categoryRules'].map(name => getDocs(collection(db, `${dataPath}/${name}`)))
+    );
+    const updates = [];
+    transactions.forEach(t => {
+        const changes = {};
+        if (t.category === fromName) changes.category = toName || '';
+        if (isSplitTransaction(t) && t.splits.some(split => split.category === fromName)) {
+            changes.splits = t.splits.map(split => split.category === fromName ? { ...split, category: toName || '' } : split);
+        }
+        if (Object.keys(changes).length > 0) updates.push({ kind: 'transactions', ref: doc(db, `${dataPath}/transactions`, t.id), changes, before: t });
+    });
+    budgetSnapshot.docs.forEach(d => {
+        const { [fromName]: amount, ...rest } = d.data().categoryBudgets || {};
+        if (amount === undefined) return;
+        const categoryBudgets = toName ? { ...rest, [toName]: (rest[toName] || 0) + amount } : rest;
+        updates.push({ kind: 'budgets', ref: d.ref, changes: { categoryBudgets }, before: d.data() });
+    });
+    templateSnapshot.docs.filter(d => d.data().category === fromName).forEach(d => updates.push({ kind: 'templates', ref: d.ref, changes: { category: toName || '' }, before: d.data() }));
+    ruleSnapshot.docs.filter(d => d.data().actions?.category === fromName).forEach(d => updates.push({
+        kind: 'categoryRules', ref: d.ref, changes: { actions: { ...d.data().actions, category: toName || '' } }, before: d.data(),
+    }));
+    return updates;
+};
+
+// 카테고리 이름 변경/병합/삭제 시 참조를 함께 수정하고 바뀐 문서 수를 반환
+export const rewriteCategoryReferences = async (db, dataPath, user, transactions, fromName, toName) => {
+    const updates = await getCategoryReferenceUpdates(db, dataPath, transactions, fromName, toName);
+    await commitInChunks(db, updates, (batch, update) => setWithAudit(batch, db, dataPath, user, update.ref, update.changes, update.before), 2);
+    return updates.length;
+};
+
+// --- 안전한 삭제 헬퍼 ---
+// 계좌를 참조하는 문서 목록 [{ kind, ref, field, data }] (대출 상환 일정은 field가 loanAccountId, 자동 분류 규칙은 conditions.accountId)
+// 이체처럼 두 필드에서 같은 문서를 참조하면 필드마다 따로 들어감
+export const getAccountReferences = async (db, dataPath, accountId) => {
+    const targets = [
+        ['transactions', 'accountId'], ['transactions', 'toAccountId'],
+        ['schedules', 'accountId'], ['schedules', 'loanAccountId'],
+        ['templates', 'accountId'], ['templates', 'toAccountId'],
+        ['cards', 'linkedAccountId'], ['investmentTrades', 'accountId'],
+        ['categoryRules', 'conditions.accountId'], ['importMappings', 'targetId'],
+    ];
+    const snapshots = await Promise.all(targets.map(([kind, field]) => getDocs(query(collection(db, `${dataPath}/${kind}`), where(field, "==", accountId)))));
+    return snapshots.flatMap((snapshot, i) => snapshot.docs.map(d => ({ kind: targets[i][0], field: targets[i][1], ref: d.ref, data: d.data() })))
+        .filter(item => item.kind !== 'importMappings' || item.data.targetType !== 'card');
+};
+
+// 참조 필드를 value로 바꾸는 병합 값 (conditions.accountId 같은 중첩 필드는 상위 맵 전체를 다시 씀)
+export const getReferenceChanges = (item, value) => {
+    const [field, subField] = item.field.split('.');
+    return subField ? { [field]: { ...item.data[field], [subField]: value } } : { [field]: value };
+};
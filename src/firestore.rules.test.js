@@ -0,0 +1,366 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, addDoc, deleteDoc, collection, query, where, runTransaction, Timestamp } from 'firebase/firestore';
+import {
+    ensurePersonalHousehold, acceptHouseholdInvitation, removeHouseholdMember, getInvitationId, getHouseholdPath,
+    rewriteCategoryReferences, getAccountReferences, revertLinkedCardTransactions,
+    saveWithAudit, removeWithAudit, restoreFromTrash,
+} from './firestore';
+
+// npm run test:rules (firebase emulators:exec)로 실행하며 FIRESTORE_EMULATOR_HOST로 에뮬레이터를 찾음
+let testEnv;
+
+const ALICE = { uid: 'alice', displayName: 'Alice', email: 'alice@example.com' };
+const BOB = { uid: 'bob', displayName: 'Bob', email: 'Bob@Example.com' };
+const CAROL = { uid: 'carol', displayName: 'Carol', email: 'carol@example.com' };
+
+const dbFor = (user, token = { email_verified: true }) => testEnv.authenticatedContext(user.uid, { email: user.email, ...token }).firestore();
+
+const expense = (overrides = {}) => ({
+    description: '점심', amount: 12000, originalAmount: 12000, originalCurrency: 'KRW', type: 'expense',
+    accountId: 'acc1', category: '식비', tags: [], date: Timestamp.now(), ...overrides,
+});
+
+// 앨리스의 개인 가계를 만들고 밥을 지정한 역할로 초대·수락시킴
+const createSharedHousehold = async (role) => {
+    await ensurePersonalHousehold(dbFor(ALICE), ALICE);
+    await setDoc(doc(dbFor(ALICE), 'invitations', getInvitationId(ALICE.uid, BOB.email)), {
+        householdId: ALICE.uid, householdName: 'Alice의 가계부', email: BOB.email.toLowerCase(), role,
+        invitedBy: ALICE.uid, invitedByName: ALICE.displayName, createdAt: Timestamp.now(),
+    });
+    await acceptHouseholdInvitation(dbFor(BOB), BOB, { id: getInvitationId(ALICE.uid, BOB.email), householdId: ALICE.uid, role });
+};
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-household',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+describe('users/{uid}', () => {
+    test('예전 데이터는 본인만 읽고 쓸 수 있다', async () => {
+        await assertSucceeds(setDoc(doc(dbFor(ALICE), 'users/alice/accounts/acc1'), { name: '주거래', currency: 'KRW' }));
+        await assertSucceeds(getDoc(doc(dbFor(ALICE), 'users/alice/accounts/acc1')));
+        await assertFails(getDoc(doc(dbFor(BOB), 'users/alice/accounts/acc1')));
+        await assertFails(setDoc(doc(dbFor(BOB), 'users/alice/accounts/acc2'), { name: '남의 계좌' }));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'users/alice/accounts/acc1')));
+    });
+
+    test('구성원이 아닌 가계로 householdId를 바꿀 수 없다', async () => {
+        await ensurePersonalHousehold(dbFor(ALICE), ALICE);
+        await assertSucceeds(setDoc(doc(dbFor(BOB), 'users/bob'), { householdId: 'bob' }));
+        await assertFails(setDoc(doc(dbFor(BOB), 'users/bob'), { householdId: 'alice' }));
+    });
+});
+
+describe('거래 형태 검증', () => {
+    const path = 'users/alice/transactions';
+
+    test('올바른 거래는 저장된다', async () => {
+        const db = dbFor(ALICE);
+        await assertSucceeds(addDoc(collection(db, path), expense()));
+        await assertSucceeds(addDoc(collection(db, path), expense({ type: 'income', amount: 3000000 })));
+        await assertSucceeds(addDoc(collection(db, path), expense({ type: 'transfer', toAccountId: 'acc2' })));
+        await assertSucceeds(addDoc(collection(db, path), expense({ type: 'card-expense', accountId: null, cardId: 'card1' })));
+        await assertSucceeds(addDoc(collection(db, path), expense({ type: 'card-expense', accountId: null, cardId: 'card1', amount: -5000 })));
+        await assertSucceeds(addDoc(collection(db, path), expense({ type: 'payment', cardId: 'card1' })));
+    });
+
+    test('종류, 금액, 날짜가 잘못되면 거부된다', async () => {
+        const db = dbFor(ALICE);
+        await assertFails(addDoc(collection(db, path), expense({ type: 'gift' })));
+        await assertFails(addDoc(collection(db, path), expense({ amount: '12000' })));
+        await assertFails(addDoc(collection(db, path), expense({ date: '2024-01-01' })));
+    });
+
+    test('종류별 필수 계좌/카드가 없으면 거부된다', async () => {
+        const db = dbFor(ALICE);
+        await assertFails(addDoc(collection(db, path), expense({ accountId: null })));
+        await assertFails(addDoc(collection(db, path), expense({ type: 'income', accountId: '' })));
+        await assertFails(addDoc(collection(db, path), expense({ type: 'transfer', toAccountId: null })));
+        await assertFails(addDoc(collection(db, path), expense({ type: 'card-expense', accountId: null, cardId: null })));
+        await assertFails(addDoc(collection(db, path), expense({ type: 'payment', accountId: null, cardId: 'card1' })));
+    });
+
+    test('수정 후의 거래도 검증한다', async () => {
+        const db = dbFor(ALICE);
+        const ref = await addDoc(collection(db, path), expense());
+        await assertSucceeds(setDoc(ref, { category: '외식' }, { merge: true }));
+        await assertFails(setDoc(ref, { amount: null }, { merge: true }));
+    });
+});
+
+describe('개인 가계 생성', () => {
+    test('예전 users/{uid} 데이터를 같은 ID로 옮기고 작성자를 기록한다', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, 'users/alice/accounts/acc1'), { name: '주거래', currency: 'KRW', initialBalance: 100000 });
+            await setDoc(doc(db, 'users/alice/transactions/t1'), expense());
+        });
+
+        const db = dbFor(ALICE);
+        await ensurePersonalHousehold(db, ALICE);
+
+        const household = await getDoc(doc(db, 'households/alice'));
+        expect(household.data().ownerId).toBe('alice');
+        expect(household.data().members.alice.role).toBe('owner');
+        expect((await getDoc(doc(db, 'users/alice'))).data().householdId).toBe('alice');
+        expect((await getDoc(doc(db, `${getHouseholdPath('alice')}/accounts/acc1`))).data().name).toBe('주거래');
+        expect((await getDoc(doc(db, `${getHouseholdPath('alice')}/transactions/t1`))).data().createdBy).toBe('alice');
+        // 원본은 남겨 둠
+        expect((await getDoc(doc(db, 'users/alice/transactions/t1'))).exists()).toBe(true);
+    });
+
+    test('형식이 잘못된 예전 거래는 건너뛰고, 다시 실행하면 아직 옮기지 않은 문서만 복사한다', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, 'users/alice/transactions/t1'), expense({ createdBy: 'bob', updatedBy: 'bob', updatedAt: Timestamp.now() }));
+            await setDoc(doc(db, 'users/alice/transactions/t2'), expense({ amount: '12000' }));
+            await setDoc(doc(db, 'users/alice/accounts/acc1'), { name: '주거래', currency: 'KRW' });
+            await setDoc(doc(db, 'users/alice/accounts/acc2'), { name: '비상금', currency: 'KRW' });
+            // 지난번에 acc1까지 복사하고 실패한 상태
+            await setDoc(doc(db, 'households/alice'), { name: 'Alice의 가계부', ownerId: 'alice', memberIds: ['alice'], members: { alice: { role: 'owner' } } });
+            await setDoc(doc(db, 'households/alice/accounts/acc1'), { name: '주거래 (복사됨)', currency: 'KRW' });
+        });
+
+        const db = dbFor(ALICE);
+        expect(await ensurePersonalHousehold(db, ALICE)).toBe(1);
+
+        const t1 = (await getDoc(doc(db, 'households/alice/transactions/t1'))).data();
+        expect(t1.createdBy).toBe('alice');
+        expect(t1.updatedBy).toBeUndefined();
+        expect((await getDoc(doc(db, 'households/alice/transactions/t2'))).exists()).toBe(false);
+        expect((await getDoc(doc(db, 'households/alice/accounts/acc1'))).data().name).toBe('주거래 (복사됨)');
+        expect((await getDoc(doc(db, 'households/alice/accounts/acc2'))).data().name).toBe('비상금');
+        expect((await getDoc(doc(db, 'users/alice'))).data().householdId).toBe('alice');
+    });
+
+    test('다시 실행해도 기존 구성원을 덮어쓰지 않는다', async () => {
+        await createSharedHousehold('editor');
+        await ensurePersonalHousehold(dbFor(ALICE), ALICE);
+        const household = await getDoc(doc(dbFor(ALICE), 'households/alice'));
+        expect(household.data().memberIds).toEqual(['alice', 'bob']);
+    });
+
+    test('다른 사람의 uid로 가계를 만들 수 없다', async () => {
+        await assertFails(setDoc(doc(dbFor(BOB), 'households/alice'), {
+            name: '가짜', ownerId: 'bob', memberIds: ['bob'], members: { bob: { role: 'owner' } },
+        }));
+    });
+});
+
+describe('가계 공유', () => {
+    test('구성원이 아니면 가계 데이터를 읽을 수 없다', async () => {
+        await ensurePersonalHousehold(dbFor(ALICE), ALICE);
+        await setDoc(doc(dbFor(ALICE), 'households/alice/transactions/t1'), expense({ createdBy: 'alice' }));
+        await assertFails(getDoc(doc(dbFor(BOB), 'households/alice')));
+        await assertFails(getDoc(doc(dbFor(BOB), 'households/alice/transactions/t1')));
+    });
+
+    test('초대를 수락한 편집자는 거래를 추가·수정·삭제할 수 있다', async () => {
+        await createSharedHousehold('editor');
+        const db = dbFor(BOB);
+        expect((await getDoc(doc(db, 'households/alice'))).data().members.bob.role).toBe('editor');
+        expect((await getDoc(doc(db, 'users/bob'))).data().householdId).toBe('alice');
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            expect((await getDoc(doc(context.firestore(), 'invitations', getInvitationId('alice', BOB.email)))).exists()).toBe(false);
+        });
+
+        const ref = await assertSucceeds(addDoc(collection(db, 'households/alice/transactions'), { ...expense(), createdBy: 'bob' }));
+        await assertSucceeds(setDoc(ref, { amount: 15000, updatedBy: 'bob' }, { merge: true }));
+        await assertSucceeds(deleteDoc(ref));
+        await assertSucceeds(setDoc(doc(db, 'households/alice/categories/c1'), { name: '식비', parentId: null }));
+    });
+
+    test('거래 작성자와 수정자는 본인으로만 기록할 수 있다', async () => {
+        await createSharedHousehold('editor');
+        const db = dbFor(BOB);
+        await assertFails(addDoc(collection(db, 'households/alice/transactions'), expense({ createdBy: 'alice' })));
+        await assertFails(addDoc(collection(db, 'households/alice/transactions'), expense()));
+        const ref = await assertSucceeds(addDoc(collection(db, 'households/alice/transactions'), expense({ createdBy: 'bob' })));
+        await assertFails(setDoc(ref, { amount: 15000 }, { merge: true }));
+        await assertFails(setDoc(ref, { amount: 15000, updatedBy: 'alice' }, { merge: true }));
+        await assertFails(setDoc(ref, { createdBy: 'alice', updatedBy: 'bob' }, { merge: true }));
+
+        // 휴지통 항목을 꾸며 다른 사람이 작성한 거래로 되살릴 수 없음
+        await assertFails(setDoc(doc(db, 'households/alice/trash/transactions_t2'), { collection: 'transactions', docId: 't2', data: expense({ createdBy: 'alice' }) }));
+        await assertFails(setDoc(doc(db, 'households/alice/transactions/t2'), expense({ createdBy: 'alice' })));
+    });
+
+    test('보기 전용 구성원은 읽기만 할 수 있다', async () => {
+        await createSharedHousehold('viewer');
+        await setDoc(doc(dbFor(ALICE), 'households/alice/transactions/t1'), expense({ createdBy: 'alice' }));
+        const db = dbFor(BOB);
+        await assertSucceeds(getDoc(doc(db, 'households/alice/transactions/t1')));
+        await assertFails(addDoc(collection(db, 'households/alice/transactions'), expense()));
+        await assertFails(deleteDoc(doc(db, 'households/alice/transactions/t1')));
+        await assertFails(setDoc(doc(db, 'households/alice/budgets/b1'), { totalAmount: 100000 }));
+    });
+
+    test('초대 없이 또는 초대와 다른 역할로 참여할 수 없다', async () => {
+        await ensurePersonalHousehold(dbFor(ALICE), ALICE);
+        await assertFails(acceptHouseholdInvitation(dbFor(CAROL), CAROL, { id: getInvitationId('alice', CAROL.email), householdId: 'alice', role: 'editor' }));
+
+        await setDoc(doc(dbFor(ALICE), 'invitations', getInvitationId('alice', BOB.email)), {
+            householdId: 'alice', householdName: 'Alice의 가계부', email: 'bob@example.com', role: 'viewer',
+            invitedBy: 'alice', invitedByName: 'Alice', createdAt: Timestamp.now(),
+        });
+        await assertFails(acceptHouseholdInvitation(dbFor(BOB), BOB, { id: getInvitationId('alice', BOB.email), householdId: 'alice', role: 'owner' }));
+        await assertSucceeds(acceptHouseholdInvitation(dbFor(BOB), BOB, { id: getInvitationId('alice', BOB.email), householdId: 'alice', role: 'viewer' }));
+    });
+
+    test('이메일이 인증되지 않았으면 초대를 보거나 수락할 수 없다', async () => {
+        await ensurePersonalHousehold(dbFor(ALICE), ALICE);
+        await setDoc(doc(dbFor(ALICE), 'invitations', getInvitationId('alice', CAROL.email)), {
+            householdId: 'alice', householdName: 'Alice의 가계부', email: CAROL.email, role: 'editor',
+            invitedBy: 'alice', invitedByName: 'Alice', createdAt: Timestamp.now(),
+        });
+        const db = dbFor(CAROL, { email_verified: false });
+        await assertFails(getDoc(doc(db, 'invitations', getInvitationId('alice', CAROL.email))));
+        await assertFails(acceptHouseholdInvitation(db, CAROL, { id: getInvitationId('alice', CAROL.email), householdId: 'alice', role: 'editor' }));
+    });
+
+    test('소유자만 초대를 보낼 수 있고 받은 사람만 자신의 초대를 볼 수 있다', async () => {
+        await createSharedHousehold('editor');
+        const invitation = { householdId: 'alice', householdName: 'Alice의 가계부', email: CAROL.email, role: 'editor', invitedBy: 'bob', invitedByName: 'Bob', createdAt: Timestamp.now() };
+        await assertFails(setDoc(doc(dbFor(BOB), 'invitations', getInvitationId('alice', CAROL.email)), invitation));
+        await assertSucceeds(setDoc(doc(dbFor(ALICE), 'invitations', getInvitationId('alice', CAROL.email)), { ...invitation, invitedBy: 'alice' }));
+        await assertFails(setDoc(doc(dbFor(ALICE), 'invitations', 'alice_other'), { ...invitation, invitedBy: 'alice', role: 'owner' }));
+
+        await assertSucceeds(getDoc(doc(dbFor(CAROL), 'invitations', getInvitationId('alice', CAROL.email))));
+        await assertFails(getDoc(doc(dbFor(BOB), 'invitations', getInvitationId('alice', CAROL.email))));
+    });
+
+    test('구성원은 스스로 나갈 수 있지만 다른 구성원을 제외할 수는 없다', async () => {
+        await createSharedHousehold('editor');
+        await ensurePersonalHousehold(dbFor(CAROL), CAROL);
+        await assertFails(removeHouseholdMember(dbFor(BOB), 'alice', 'alice'));
+        await assertFails(removeHouseholdMember(dbFor(CAROL), 'alice', 'bob'));
+        await assertSucceeds(removeHouseholdMember(dbFor(BOB), 'alice', 'bob'));
+        await assertFails(getDoc(doc(dbFor(BOB), 'households/alice/transactions/t1')));
+    });
+
+    test('소유자는 역할을 바꾸고 구성원을 제외할 수 있지만 소유자 자신은 바꿀 수 없다', async () => {
+        await createSharedHousehold('editor');
+        const db = dbFor(ALICE);
+        await assertSucceeds(setDoc(doc(db, 'households/alice'), { members: { bob: { role: 'viewer' } } }, { merge: true }));
+        await assertFails(setDoc(doc(db, 'households/alice'), { members: { alice: { role: 'viewer' } } }, { merge: true }));
+        await assertFails(setDoc(doc(db, 'households/alice'), { members: { bob: { role: 'owner' } } }, { merge: true }));
+        await assertFails(setDoc(doc(db, 'households/alice'), { ownerId: 'bob' }, { merge: true }));
+        await assertSucceeds(removeHouseholdMember(db, 'alice', 'bob'));
+    });
+});
+
+describe('가계 데이터 처리 함수', () => {
+    test('카테고리 이름 변경은 거래, 분할 항목, 예산의 참조를 함께 바꾼다', async () => {
+        await createSharedHousehold('editor');
+        const db = dbFor(BOB);
+        const dataPath = getHouseholdPath('alice');
+        const transactions = [
+            { id: 't1', ...expense({ createdBy: 'bob' }) },
+            { id: 't2', ...expense({ createdBy: 'bob', category: '', splits: [{ amount: 5000, category: '식비' }, { amount: 7000, category: '생활' }] }) },
+        ];
+        await Promise.all(transactions.map(({ id, ...t }) => setDoc(doc(db, `${dataPath}/transactions`, id), t)));
+        await setDoc(doc(db, `${dataPath}/budgets/b1`), { totalAmount: 500000, categoryBudgets: { '식비': 300000, '외식': 50000 } });
+
+        const count = await rewriteCategoryReferences(db, dataPath, BOB, transactions, '식비', '외식');
+
+        expect(count).toBe(3);
+        expect((await getDoc(doc(db, `${dataPath}/transactions/t1`))).data().category).toBe('외식');
+        expect((await getDoc(doc(db, `${dataPath}/transactions/t2`))).data().splits.map(s => s.category)).toEqual(['외식', '생활']);
+        expect((await getDoc(doc(db, `${dataPath}/budgets/b1`))).data().categoryBudgets).toEqual({ '외식': 350000 });
+    });
+
+    test('계좌 참조 목록은 이체 양쪽과 연결 카드를 모두 찾는다', async () => {
+        await ensurePersonalHousehold(dbFor(ALICE), ALICE);
+        const db = dbFor(ALICE);
+        const dataPath = getHouseholdPath('alice');
+        await setDoc(doc(db, `${dataPath}/transactions/t1`), expense({ createdBy: 'alice' }));
+        await setDoc(doc(db, `${dataPath}/transactions/t2`), expense({ createdBy: 'alice', type: 'transfer', accountId: 'acc2', toAccountId: 'acc1' }));
+        await setDoc(doc(db, `${dataPath}/cards/card1`), { name: '카드', linkedAccountId: 'acc1' });
+        await setDoc(doc(db, `${dataPath}/categoryRules/r1`), { name: '월급', conditions: { accountId: 'acc1', type: 'income' }, actions: { category: '급여' } });
+        await setDoc(doc(db, `${dataPath}/importMappings/m1`), { name: '통장 명세서', targetType: 'account', targetId: 'acc1' });
+        await setDoc(doc(db, `${dataPath}/importMappings/m2`), { name: '카드 명세서', targetType: 'card', targetId: 'acc1' });
+
+        const references = await getAccountReferences(db, dataPath, 'acc1');
+
+        expect(references.map(r => `${r.kind}.${r.field}:${r.ref.id}`).sort()).toEqual([
+            'cards.linkedAccountId:card1', 'categoryRules.conditions.accountId:r1', 'importMappings.targetId:m1',
+            'transactions.accountId:t1', 'transactions.toAccountId:t2',
+        ]);
+    });
+
+    test('결제를 취소하면 연결된 카드 거래의 결제 표시를 되돌린다', async () => {
+        await ensurePersonalHousehold(dbFor(ALICE), ALICE);
+        const db = dbFor(ALICE);
+        const dataPath = getHouseholdPath('alice');
+        const card = expense({ type: 'card-expense', accountId: null, cardId: 'card1', createdBy: 'alice' });
+        await setDoc(doc(db, `${dataPath}/transactions/c1`), { ...card, isPaid: true });
+        await setDoc(doc(db, `${dataPath}/transactions/c2`), { ...card, installmentMonths: 3, paidInstallments: 2, isPaid: true });
+        const payment = { id: 'p1', ...expense({ type: 'payment', cardId: 'card1', createdBy: 'alice' }), paidCardTransactionIds: ['c1', 'c2'], paidCharges: [{ transactionId: 'c2', amount: 4000 }] };
+        const { id, ...paymentData } = payment;
+        await setDoc(doc(db, `${dataPath}/transactions`, id), paymentData);
+
+        await runTransaction(db, async (transaction) => {
+            await revertLinkedCardTransactions(transaction, db, dataPath, ALICE, payment);
+            transaction.delete(doc(db, `${dataPath}/transactions`, id));
+        });
+
+        const snapshot = await getDocs(collection(db, `${dataPath}/transactions`));
+        const byId = Object.fromEntries(snapshot.docs.map(d => [d.id, d.data()]));
+        expect(byId.p1).toBeUndefined();
+        expect(byId.c1.isPaid).toBe(false);
+        expect(byId.c2).toMatchObject({ isPaid: false, paidInstallments: 1 });
+    });
+});
+
+describe('변경 이력과 휴지통', () => {
+    const dataPath = getHouseholdPath('alice');
+
+    test('추가·수정·삭제를 이력에 남기고 삭제한 거래를 휴지통에서 복원한다', async () => {
+        await createSharedHousehold('editor');
+        const db = dbFor(BOB);
+        const ref = doc(collection(db, `${dataPath}/transactions`));
+        await saveWithAudit(db, dataPath, BOB, ref, expense());
+        const saved = { id: ref.id, ...(await getDoc(ref)).data() };
+        expect(saved.createdBy).toBe('bob');
+        await saveWithAudit(db, dataPath, BOB, ref, { amount: 15000 }, saved);
+        await removeWithAudit(db, dataPath, BOB, ref, { ...saved, amount: 15000 });
+
+        expect((await getDoc(ref)).exists()).toBe(false);
+        const trashRef = doc(db, `${dataPath}/trash`, `transactions_${ref.id}`);
+        const entry = { id: trashRef.id, ...(await getDoc(trashRef)).data() };
+        expect(entry).toMatchObject({ collection: 'transactions', docId: ref.id, deletedBy: 'bob', data: { amount: 15000 } });
+
+        await restoreFromTrash(db, dataPath, BOB, entry);
+        expect((await getDoc(ref)).data()).toMatchObject({ description: '점심', amount: 15000 });
+        expect((await getDoc(trashRef)).exists()).toBe(false);
+
+        const logs = (await getDocs(query(collection(db, `${dataPath}/auditLogs`), where('docId', '==', ref.id)))).docs.map(d => d.data());
+        expect(logs.map(log => log.action).sort()).toEqual(['create', 'delete', 'restore', 'update']);
+        expect(logs.find(log => log.action === 'update')).toMatchObject({ before: { amount: 12000, updatedBy: null }, after: { amount: 15000, updatedBy: 'bob' }, changedBy: 'bob' });
+    });
+
+    test('이력은 수정·삭제할 수 없고 다른 사람 이름으로 남길 수 없다', async () => {
+        await createSharedHousehold('viewer');
+        const db = dbFor(ALICE);
+        const log = { collection: 'transactions', docId: 't1', action: 'create', before: null, after: expense(), changedAt: Timestamp.now() };
+        const ref = await assertSucceeds(addDoc(collection(db, `${dataPath}/auditLogs`), { ...log, changedBy: 'alice' }));
+        await assertFails(setDoc(ref, { action: 'delete' }, { merge: true }));
+        await assertFails(deleteDoc(ref));
+        await assertFails(addDoc(collection(db, `${dataPath}/auditLogs`), { ...log, changedBy: 'bob' }));
+        await assertFails(addDoc(collection(db, `${dataPath}/auditLogs`), { ...log, action: 'rename', changedBy: 'alice' }));
+        await assertSucceeds(getDoc(ref));
+        await assertFails(addDoc(collection(dbFor(BOB), `${dataPath}/auditLogs`), { ...log, changedBy: 'bob' }));
+    });
+});
@@ -10,6 +10,13 @@ root.render(
   </React.StrictMode>
 );
 
+// 설치형 앱(PWA)으로 오프라인에서도 열 수 있도록 배포 빌드에서만 서비스 워커 등록
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error('서비스 워커 등록 실패:', error));
+  });
+}
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
\ No newline at end of file
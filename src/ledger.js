@@ -0,0 +1,872 @@
+// 가계부 계산 핵심 모듈
+// Firebase/React에 의존하지 않는 순수 함수만 두며, 날짜 필드는 Firestore Timestamp와 Date를 모두 받음
+// (금액 환산은 convertToKRW(amount, currency, date) 함수를 인자로 받아 사용)
+
+// --- 날짜 헬퍼 ---
+export const toJsDate = (date) => (date instanceof Date ? date : date.toDate());
+
+// --- 반복 스케줄 헬퍼 ---
+export const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+export const lastBusinessDayOfMonth = (year, month) => {
+    const date = new Date(year, month + 1, 0);
+    while (date.getDay() === 0 || date.getDay() === 6) date.setDate(date.getDate() - 1);
+    return date.getDate();
+};
+
+// 해당 월에서 반복 규칙에 맞는 날짜를 반환 (시각은 기준 날짜를 유지, 말일 초과 시 말일로 보정)
+export const getMonthlyOccurrence = (base, year, month, recurrence) => {
+    const day = recurrence.freq === 'lastBusinessDay'
+        ? lastBusinessDayOfMonth(year, month)
+        : Math.min(recurrence.dayOfMonth || base.getDate(), daysInMonth(year, month));
+    return new Date(year, month, day, base.getHours(), base.getMinutes());
+};
+
+// 주어진 날짜 이후(당일 포함) 반복 규칙에 맞는 첫 발생일
+export const alignToRecurrence = (date, recurrence) => {
+    if (!recurrence) return date;
+    if (recurrence.freq === 'weekly') {
+        const aligned = new Date(date);
+        aligned.setDate(date.getDate() + ((recurrence.weekday - date.getDay() + 7) % 7));
+        return aligned;
+    }
+    const candidate = getMonthlyOccurrence(date, date.getFullYear(), date.getMonth(), recurrence);
+    return candidate >= date ? candidate : getMonthlyOccurrence(date, date.getFullYear(), date.getMonth() + 1, recurrence);
+};
+
+export const getNextOccurrence = (date, recurrence) => {
+    if (!recurrence) return null;
+    const interval = Math.max(Number(recurrence.interval) || 1, 1);
+    if (recurrence.freq === 'weekly') {
+        const next = new Date(date);
+        next.setDate(date.getDate() + 7 * interval);
+        return next;
+    }
+    return getMonthlyOccurrence(date, date.getFullYear(), date.getMonth() + interval, recurrence);
+};
+
+// occurrenceIndex는 0부터 시작하는 발생 순번 (이미 확정된 횟수 포함)
+export const isWithinRecurrenceEnd = (date, occurrenceIndex, recurrence) => {
+    if (recurrence.until && date > toJsDate(recurrence.until)) return false;
+    if (recurrence.count && occurrenceIndex >= recurrence.count) return false;
+    return true;
+};
+
+// 스케줄의 현재 발생일부터 horizon까지의 발생일 목록
+export const expandScheduleOccurrences = (schedule, horizon, limit = 12) => {
+    const first = toJsDate(schedule.date);
+    const occurrences = [first];
+    let index = (schedule.completedCount || 0) + 1;
+    let next = getNextOccurrence(first, schedule.recurrence);
+    while (next && next <= horizon && occurrences.length < limit && isWithinRecurrenceEnd(next, index, schedule.recurrence)) {
+        occurrences.push(next);
+        next = getNextOccurrence(next, schedule.recurrence);
+        index++;
+    }
+    return occurrences;
+};
+
+// --- 카드 할부 헬퍼 ---
+// 말일 보정을 하며 N개월 뒤 같은 날짜를 반환
+export const addMonths = (date, months) => {
+    const result = new Date(date.getFullYear(), date.getMonth() + months, 1, date.getHours(), date.getMinutes(), date.getSeconds());
+    result.setDate(Math.min(date.getDate(), daysInMonth(result.getFullYear(), result.getMonth())));
+    return result;
+};
+
+// 회차별 청구 내역. 원금의 나머지는 첫 회차에 더하고, 유이자 할부는 남은 원금에 월 이자율을 적용
+export const getInstallmentSchedule = (t) => {
+    const months = Math.max(Number(t.installmentMonths) || 1, 1);
+    const basePrincipal = Math.floor(t.amount / months);
+    const monthlyRate = t.isInterestFree === false ? (Number(t.installmentRate) || 0) / 1200 : 0;
+    const purchaseDate = toJsDate(t.date);
+    let remaining = t.amount;
+    return Array.from({ length: months }, (_, index) => {
+        const principal = index === 0 ? t.amount - basePrincipal * (months - 1) : basePrincipal;
+        const interest = Math.round(remaining * monthlyRate);
+        remaining -= principal;
+        return { index, date: addMonths(purchaseDate, index), principal, interest, amount: principal + interest, remainingAfter: remaining };
+    });
+};
+
+// 아직 청구일이 오지 않은 할부 원금 (할부 잔액)
+export const getRemainingInstallmentPrincipal = (t, today = new Date()) => getInstallmentSchedule(t)
+    .filter(p => p.date > today)
+    .reduce((sum, p) => sum + p.principal, 0);
+
+export const getBilledInstallmentCount = (t, today = new Date()) => getInstallmentSchedule(t).filter(p => p.date <= today).length;
+
+// 카드의 모든 청구 회차. 승인취소(환불)는 음수 금액으로 해당 명세서를 상계
+export const getCardCharges = (transactions, cardId) => transactions
+    .filter(t => t.type === 'card-expense' && t.cardId === cardId)
+    .flatMap(t => getInstallmentSchedule(t).map(installment => ({
+        transaction: t,
+        installment,
+        amount: installment.amount,
+        // 명세서별 결제 기록 도입 전에 isPaid/paidInstallments로 결제 처리된 청구
+        isLegacyPaid: !!t.isPaid || installment.index < (t.paidInstallments || 0),
+    })));
+
+// --- 카드 명세서 엔진 ---
+// 명세서는 결제월 기준으로 생성되며, 이용 기간은 직전 명세서 마감 다음 날부터 이번 마감일(usageEndDay)까지로
+// 빈틈없이 이어지도록 계산 (월말을 넘는 기간, 31일 마감 카드도 말일로 보정)
+// closingMonthOffset: 이용 기간이 결제월 몇 개월 전에 마감되는지 (없으면 마감일과 결제일로 추정)
+export const getClosingMonthOffset = (card) => card.closingMonthOffset ?? (card.usageEndDay < card.paymentDay ? 0 : 1);
+
+export const getClosingDate = (card, year, month) => new Date(year, month, Math.min(card.usageEndDay, daysInMonth(year, month)), 23, 59, 59, 999);
+
+// 결제월(year, month)의 명세서 기간과 결제일
+export const getStatementPeriod = (card, year, month) => {
+    const offset = getClosingMonthOffset(card);
+    const due = new Date(year, month, 1);
+    const end = getClosingDate(card, due.getFullYear(), due.getMonth() - offset);
+    const previousEnd = getClosingDate(card, due.getFullYear(), due.getMonth() - offset - 1);
+    return {
+        key: `${due.getFullYear()}-${String(due.getMonth() + 1).padStart(2, '0')}`,
+        start: new Date(previousEnd.getTime() + 1),
+        end,
+        dueDate: new Date(due.getFullYear(), due.getMonth(), Math.min(card.paymentDay, daysInMonth(due.getFullYear(), due.getMonth()))),
+        year: due.getFullYear(),
+        month: due.getMonth(),
+    };
+};
+
+// 주어진 이용일이 속하는 명세서
+export const getStatementForDate = (card, date) => {
+    const closeThisMonth = getClosingDate(card, date.getFullYear(), date.getMonth());
+    const closingMonth = date <= closeThisMonth ? date.getMonth() : date.getMonth() + 1;
+    return getStatementPeriod(card, date.getFullYear(), closingMonth + getClosingMonthOffset(card));
+};
+
+// 이전 방식의 결제(paidCardTransactionIds/paidCharges)가 결제 처리해 둔 카드 거래 ID
+export const getLinkedCardTransactionIds = (payment) => [...new Set([
+    ...(payment.paidCardTransactionIds || []),
+    ...(payment.paidCharges || []).map(c => c.transactionId),
+])];
+
+// 첫 이용일부터 오늘이 속한 명세서까지 생성.
+// 결제는 payment 거래의 cardId/statementKey로 명세서별로 기록되며, 결제 후 남은 잔액은 다음 명세서로 이월(리볼빙)
+export const DEFAULT_MINIMUM_PAYMENT_RATE = 10;
+
+export const buildCardStatements = (card, transactions, today = new Date()) => {
+    const charges = getCardCharges(transactions, card.id);
+    const payments = transactions.filter(t => t.type === 'payment' && t.cardId === card.id && t.statementKey);
+    const legacyPayments = transactions.filter(t => t.type === 'payment' && !t.statementKey && getLinkedCardTransactionIds(t).length > 0);
+    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const firstChargeDate = charges.reduce((min, c) => (c.installment.date < min ? c.installment.date : min), today);
+    const last = getStatementForDate(card, today);
+    const minimumRate = (card.minimumPaymentRate ?? DEFAULT_MINIMUM_PAYMENT_RATE) / 100;
+
+    const statements = [];
+    let previousBalance = 0;
+    for (let period = getStatementForDate(card, firstChargeDate); period.dueDate <= last.dueDate; period = getStatementPeriod(card, period.year, period.month + 1)) {
+        const statementCharges = charges.filter(c => c.installment.date >= period.start && c.installment.date <= period.end);
+        const statementPayments = payments.filter(p => p.statementKey === period.key);
+        const totalAmount = statementCharges.reduce((sum, c) => sum + c.amount, 0);
+        const interestAmount = previousBalance > 0 ? Math.round(previousBalance * (Number(card.revolvingRate) || 0) / 1200) : 0;
+        const amountDue = previousBalance + interestAmount + totalAmount;
+        const settledAmount = statementPayments.reduce((sum, p) => sum + p.amount, 0)
+            + statementCharges.filter(c => c.isLegacyPaid).reduce((sum, c) => sum + c.amount, 0);
+        const balance = amountDue - settledAmount;
+        const isClosed = period.end < today;
+        const legacyPaidIds = new Set(statementCharges.filter(c => c.isLegacyPaid).map(c => c.transaction.id));
+        statements.push({
+            ...period,
+            cardId: card.id,
+            charges: statementCharges,
+            payments: statementPayments,
+            // 이 명세서의 청구를 결제 처리한 이전 방식의 결제 (결제 취소 대상)
+            legacyPayments: legacyPayments.filter(p => getLinkedCardTransactionIds(p).some(id => legacyPaidIds.has(id))),
+            totalAmount,
+            previousBalance,
+            interestAmount,
+            amountDue,
+            settledAmount,
+            balance,
+            minimumPayment: Math.max(Math.min(balance, Math.round(amountDue * minimumRate) - settledAmount), 0),
+            isClosed,
+            isOverdue: balance > 0 && period.dueDate < startOfToday,
+        });
+        previousBalance = balance;
+    }
+    return statements;
+};
+
+// 결제일이 오늘 이후인 가장 가까운 명세서 (이전 명세서의 미결제 잔액이 이월되어 포함됨)
+export const getUpcomingCardStatement = (statements, today = new Date()) => {
+    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    return statements.find(s => s.dueDate >= startOfToday) || statements[statements.length - 1] || null;
+};
+
+// 카드별 명세서 { [cardId]: statements } (대시보드 결제 예정 금액과 카드 관리 화면에서 공통으로 사용)
+export const buildCardStatementsById = (cards, transactions, today = new Date()) => cards.reduce((acc, card) => ({ ...acc, [card.id]: buildCardStatements(card, transactions, today) }), {});
+
+// --- 환율 이력 헬퍼 ---
+// 로컬 날짜 기준 YYYY-MM-DD (날짜별로 한 건씩 두는 문서의 ID에 사용)
+export const getLocalDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// 통화별로 날짜 오름차순 정렬된 [{ time, rate }]
+export const buildRateHistory = (exchangeRates) => {
+    const history = {};
+    exchangeRates.forEach(r => {
+        if (!history[r.symbol]) history[r.symbol] = [];
+        history[r.symbol].push({ time: toJsDate(r.date).getTime(), rate: r.rate });
+    });
+    Object.values(history).forEach(entries => entries.sort((a, b) => a.time - b.time));
+    return history;
+};
+
+// 해당 날짜 또는 그 이전의 가장 최근 환율. 이력보다 앞선 날짜는 가장 오래된 이력을, 날짜나 이력이 없으면 현재 환율을 사용
+export const getRateOnDate = (entries, date, fallbackRate) => {
+    if (!date || !entries || entries.length === 0) return fallbackRate;
+    const time = toJsDate(date).getTime();
+    let low = 0;
+    let high = entries.length - 1;
+    let found = 0;
+    while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        if (entries[mid].time <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return entries[found].rate;
+};
+
+// 통화별 현재 환율 { [symbol]: rate }과 환율 이력으로 convertToKRW(amount, currency, date)를 만듦
+// date를 넘기면 그 날짜의 환율 이력으로, 생략하면 현재 환율로 환산 (환율이 없는 통화는 1)
+export const createKRWConverter = (rates, rateHistory = {}) => (amount, currency, date) => {
+    if (!currency || currency === 'KRW') return amount;
+    return amount * (getRateOnDate(rateHistory[currency], date, rates[currency]) || 1);
+};
+
+// 외화 거래를 입력할 때 저장해 두는 원화 금액 (원화 거래는 null)
+export const getAmountKRWSnapshot = (amount, currency, date, convertToKRW) => (!currency || currency === 'KRW' ? null : Math.round(convertToKRW(amount, currency, date)));
+
+// 거래의 원화 금액: 입력 시점의 원화 금액이 있으면 그대로 쓰고, 없으면 거래일 환율로 환산
+export const getTransactionAmountKRW = (t, convertToKRW) => t.amountKRW ?? convertToKRW(t.originalAmount ?? t.amount, t.originalCurrency, t.date);
+
+// --- 환차손익 헬퍼 ---
+// 거래가 계좌 잔액에 반영되는 방식 [{ accountId, currency, amount(입금 +, 출금 -) }] (계좌 잔액 계산과 환차손익 계산에서 공통으로 사용)
+// 이체는 보낸 금액+수수료를 보낸 통화로, 받은 금액(toAmount/toCurrency)을 받은 통화로 반영. 이전 이체는 보낸 금액과 통화를 그대로 받은 것으로 봄
+export const getTransactionLegs = (t, accountsById) => {
+    const currency = t.originalCurrency || accountsById[t.accountId]?.currency || 'KRW';
+    const amount = t.originalAmount ?? t.amount;
+    switch (t.type) {
+        case 'income': return [{ accountId: t.accountId, currency, amount }];
+        case 'expense':
+        case 'payment': return [{ accountId: t.accountId, currency, amount: -amount }];
+        case 'transfer': return [
+            { accountId: t.accountId, currency, amount: -(amount + (t.transferFee || 0)) },
+            { accountId: t.toAccountId, currency: t.toCurrency || currency, amount: t.toAmount ?? amount },
+        ];
+        default: return [];
+    }
+};
+
+// 이체의 한쪽 계좌가 사라질 때 남는 계좌의 입출금만 수입/지출로 바꾼 값 (남는 계좌의 잔액 변화는 그대로 유지)
+export const getRemainingTransferLeg = (t, keptAccountId, accountsById) => {
+    const leg = getTransactionLegs(t, accountsById).find(item => item.accountId === keptAccountId);
+    const amount = Math.abs(leg.amount);
+    return {
+        type: leg.amount < 0 ? 'expense' : 'income', accountId: keptAccountId, amount, originalAmount: amount, originalCurrency: leg.currency,
+        amountKRW: null, toAccountId: null, toAmount: null, toCurrency: null, transferFee: null,
+    };
+};
+
+export const EMPTY_FX_STATE = { quantity: 0, costBasis: 0, realized: 0, netFlow: 0 };
+
+// 외화별 보유량과 원가(이동평균)를 추적. 거래 하나의 통화별 순증감이 +면 취득, -면 처분으로 보고 처분 시 실현손익을 계산
+// 원화와 맞바꾼 환전은 실제 원화 금액을, 외화 수입/지출은 거래일 원화 금액을 기준으로 함
+export const runFxLedger = (events, convertToKRW) => events.reduce((states, event) => {
+    const foreignChanges = Object.entries(event.changes).filter(([currency, quantity]) => currency !== 'KRW' && quantity !== 0);
+    const krwChange = event.changes.KRW || 0;
+    foreignChanges.forEach(([currency, quantity]) => {
+        const state = { ...(states[currency] || EMPTY_FX_STATE) };
+        const valueKRW = foreignChanges.length === 1 && krwChange * quantity < 0
+            ? Math.abs(krwChange)
+            : event.valueKRW ?? Math.abs(convertToKRW(quantity, currency, event.date || new Date(0)));
+        if (quantity > 0) {
+            state.costBasis += valueKRW;
+            state.quantity += quantity;
+            state.netFlow += valueKRW;
+        } else {
+            const disposed = -quantity;
+            const averageCost = state.quantity > 0 ? state.costBasis / state.quantity : valueKRW / disposed;
+            state.realized += valueKRW - averageCost * disposed;
+            state.costBasis -= averageCost * disposed;
+            state.quantity -= disposed;
+            state.netFlow -= valueKRW;
+        }
+        states[currency] = state;
+    });
+    return states;
+}, {});
+
+// 기간 중 외화별 평가액 변동을 순유입(거래일 환율)과 환차손익(실현 + 미실현 변동)으로 나눔
+// 기말 평가액 = 기초 평가액 + 순유입 + 실현손익 + 미실현손익 변동
+export const getFxGainLossReport = (accounts, transactions, accountsById, convertToKRW, start, end) => {
+    const events = [
+        // 기초 잔액은 가장 오래된 환율 이력으로 취득한 것으로 봄
+        ...accounts.filter(a => a.initialBalance && a.currency !== 'KRW').map(a => ({ date: null, changes: { [a.currency]: Number(a.initialBalance) } })),
+        ...transactions.map(t => ({
+            date: toJsDate(t.date),
+            changes: getTransactionLegs(t, accountsById).reduce((changes, leg) => ({ ...changes, [leg.currency]: (changes[leg.currency] || 0) + leg.amount }), {}),
+            valueKRW: Math.abs(getTransactionAmountKRW(t, convertToKRW)),
+        })),
+    ].sort((a, b) => (a.date?.getTime() ?? -Infinity) - (b.date?.getTime() ?? -Infinity));
+
+    // 오늘 이후 시점은 현재 환율로 평가
+    const getValuationRate = (currency, date) => convertToKRW(1, currency, date >= new Date() ? undefined : date);
+    const atStart = runFxLedger(events.filter(e => !e.date || e.date < start), convertToKRW);
+    const atEnd = runFxLedger(events.filter(e => !e.date || e.date <= end), convertToKRW);
+
+    return Object.entries(atEnd).map(([currency, state]) => {
+        const before = atStart[currency] || EMPTY_FX_STATE;
+        const startValue = before.quantity * getValuationRate(currency, start);
+        const endRate = getValuationRate(currency, end);
+        const endValue = state.quantity * endRate;
+        return {
+            currency,
+            startQuantity: before.quantity,
+            endQuantity: state.quantity,
+            startValue,
+            endValue,
+            endRate,
+            averageCost: state.quantity > 0 ? state.costBasis / state.quantity : 0,
+            netFlow: state.netFlow - before.netFlow,
+            realized: state.realized - before.realized,
+            unrealized: endValue - state.costBasis,
+            unrealizedChange: (endValue - state.costBasis) - (startValue - before.costBasis),
+        };
+    }).sort((a, b) => a.currency.localeCompare(b.currency));
+};
+
+// --- 투자 보유 종목 헬퍼 ---
+// 매매가 계좌 현금 잔액에 미치는 금액 (매수는 -, 매도/배당은 +, 수수료 차감)
+export const getTradeCashAmount = (trade) => {
+    const gross = (trade.quantity || 0) * (trade.price || 0);
+    const fee = trade.fee || 0;
+    if (trade.side === 'buy') return -(gross + fee);
+    if (trade.side === 'sell') return gross - fee;
+    return (trade.amount || 0) - fee;
+};
+
+// 계좌별 종목 보유 현황 { [accountId]: [{ ticker, currency, quantity, costBasis, averageCost, realized, dividends, lastPrice }] }
+// 평균 단가는 이동평균법이며 매수 수수료는 원가에, 매도 수수료는 실현손익에 반영
+export const buildHoldings = (trades) => {
+    const byAccount = {};
+    [...trades].sort((a, b) => toJsDate(a.date) - toJsDate(b.date)).forEach(trade => {
+        if (!byAccount[trade.accountId]) byAccount[trade.accountId] = {};
+        const holdings = byAccount[trade.accountId];
+        if (!holdings[trade.ticker]) holdings[trade.ticker] = { ticker: trade.ticker, currency: trade.currency, quantity: 0, costBasis: 0, realized: 0, dividends: 0, lastPrice: 0 };
+        const holding = holdings[trade.ticker];
+        const fee = trade.fee || 0;
+        if (trade.side === 'buy') {
+            holding.costBasis += trade.quantity * trade.price + fee;
+            holding.quantity += trade.quantity;
+            holding.lastPrice = trade.price;
+        } else if (trade.side === 'sell') {
+            const averageCost = holding.quantity > 0 ? holding.costBasis / holding.quantity : 0;
+            // 보유 수량을 넘는 매도분은 손익에서 빼고, 수수료도 실제 매도한 비율만큼만 반영
+            const quantity = Math.min(trade.quantity, holding.quantity);
+            const soldRatio = trade.quantity > 0 ? quantity / trade.quantity : 0;
+            holding.realized += quantity * trade.price - fee * soldRatio - averageCost * quantity;
+            holding.costBasis -= averageCost * quantity;
+            holding.quantity -= quantity;
+            holding.lastPrice = trade.price;
+        } else {
+            holding.dividends += (trade.amount || 0) - fee;
+        }
+    });
+    return Object.fromEntries(Object.entries(byAccount).map(([accountId, holdings]) => [
+        accountId,
+        Object.values(holdings).map(h => ({ ...h, averageCost: h.quantity > 0 ? h.costBasis / h.quantity : 0 })).sort((a, b) => a.ticker.localeCompare(b.ticker)),
+    ]));
+};
+
+// --- 순자산 이력 헬퍼 ---
+// 차트의 기준 시점: 일별은 최근 90일, 월별은 최근 12개월의 마지막 시각이며 마지막 시점은 현재
+export const getNetWorthPoints = (granularity, now = new Date()) => {
+    const points = [];
+    if (granularity === 'daily') {
+        for (let i = 89; i >= 1; i--) points.push(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i, 23, 59, 59, 999));
+    } else {
+        for (let i = 11; i >= 1; i--) points.push(new Date(now.getFullYear(), now.getMonth() - i + 1, 0, 23, 59, 59, 999));
+    }
+    points.push(now);
+    return points;
+};
+
+// 기초 잔액과 거래/매매 내역으로 각 시점의 계좌 카테고리별 순자산(KRW)을 재구성
+// 외화는 그 시점의 환율 이력으로, 보유 종목은 그 시점까지의 마지막 매매가로 평가 (현재 시점은 현재 환율과 시세)
+export const reconstructNetWorth = (accounts, transactions, trades, accountsById, pricesByTicker, convertToKRW, points, now = new Date()) => {
+    const balances = {};
+    const holdings = {};
+    const addBalance = (accountId, currency, amount) => {
+        if (!accountsById[accountId]) return;
+        if (!balances[accountId]) balances[accountId] = {};
+        balances[accountId][currency] = (balances[accountId][currency] || 0) + amount;
+    };
+    const applyTrade = (trade) => {
+        addBalance(trade.accountId, trade.currency, getTradeCashAmount(trade));
+        if (trade.side === 'dividend' || !accountsById[trade.accountId]) return;
+        if (!holdings[trade.accountId]) holdings[trade.accountId] = {};
+        const holding = holdings[trade.accountId][trade.ticker] || { quantity: 0, currency: trade.currency, lastPrice: 0 };
+        holding.quantity = Math.max(holding.quantity + (trade.side === 'buy' ? trade.quantity : -trade.quantity), 0);
+        holding.lastPrice = trade.price;
+        holdings[trade.accountId][trade.ticker] = holding;
+    };
+
+    accounts.forEach(a => { if (a.initialBalance) addBalance(a.id, a.currency, Number(a.initialBalance)); });
+    const events = [
+        ...transactions.map(t => ({ time: toJsDate(t.date).getTime(), apply: () => getTransactionLegs(t, accountsById).forEach(leg => addBalance(leg.accountId, leg.currency, leg.amount)) })),
+        ...trades.map(trade => ({ time: toJsDate(trade.date).getTime(), apply: () => applyTrade(trade) })),
+    ].sort((a, b) => a.time - b.time);
+
+    let index = 0;
+    return points.map(point => {
+        while (index < events.length && events[index].time <= point.getTime()) {
+            events[index].apply();
+            index += 1;
+        }
+        const isCurrent = point >= now;
+        const rateDate = isCurrent ? undefined : point;
+        const byCategory = {};
+        const addValue = (accountId, value) => {
+            const category = accountsById[accountId].category || '기타';
+            byCategory[category] = (byCategory[category] || 0) + value;
+        };
+        Object.entries(balances).forEach(([accountId, byCurrency]) => {
+            Object.entries(byCurrency).forEach(([currency, amount]) => addValue(accountId, convertToKRW(amount, currency, rateDate)));
+        });
+        Object.entries(holdings).forEach(([accountId, byTicker]) => {
+            Object.entries(byTicker).forEach(([ticker, h]) => {
+                const price = isCurrent ? pricesByTicker[ticker]?.price ?? h.lastPrice : h.lastPrice;
+                addValue(accountId, convertToKRW(h.quantity * price, h.currency, rateDate));
+            });
+        });
+        return { date: point, byCategory };
+    });
+};
+
+// --- 대출 상환 헬퍼 ---
+// 대출은 category '대출' 계좌로 두고 잔액(음수)이 남은 원금. 상환 조건은 account.loan에 저장
+// { principal, annualRate(연 %), termMonths, method, startDate, paymentDay, repaymentAccountId }
+export const LOAN_CATEGORY = '대출';
+
+// 회차별 상환 계획 [{ number, date, payment, principal, interest, balance(상환 후 잔액) }]
+// 원 단위로 반올림하며 마지막 회차에서 남은 원금을 모두 상환
+export const getAmortizationSchedule = (loan) => {
+    const principal = Number(loan.principal);
+    const termMonths = Number(loan.termMonths);
+    const monthlyRate = Number(loan.annualRate) / 1200;
+    const start = toJsDate(loan.startDate);
+    const fixedPayment = monthlyRate === 0
+        ? principal / termMonths
+        : principal * monthlyRate * (1 + monthlyRate) ** termMonths / ((1 + monthlyRate) ** termMonths - 1);
+
+    const rows = [];
+    let balance = principal;
+    for (let number = 1; number <= termMonths; number++) {
+        const year = start.getFullYear();
+        const month = start.getMonth() + number;
+        const date = new Date(year, month, Math.min(Number(loan.paymentDay), daysInMonth(year, month)));
+        const interest = Math.round(balance * monthlyRate);
+        let principalPart;
+        if (number === termMonths) principalPart = balance;
+        else if (loan.method === 'equalPrincipal') principalPart = Math.round(principal / termMonths);
+        else if (loan.method === 'bullet') principalPart = 0;
+        else principalPart = Math.round(fixedPayment) - interest;
+        balance -= principalPart;
+        rows.push({ number, date, payment: principalPart + interest, principal: principalPart, interest, balance });
+    }
+    return rows;
+};
+
+// 기준일 이전에 납입일이 지난 회차를 모두 상환했다고 볼 때의 남은 원금
+export const getScheduledLoanBalance = (amortization, principal, date = new Date()) => {
+    const paid = amortization.filter(row => row.date < date);
+    return paid.length > 0 ? paid[paid.length - 1].balance : Number(principal);
+};
+
+// --- 분할 거래 헬퍼 ---
+export const isSplitTransaction = (t) => Array.isArray(t.splits) && t.splits.length > 0;
+
+// 카테고리 집계 단위 [{ category, tags, excludeFromBudget, amountKRW }]
+// 분할 거래는 분할 항목별로 나누고 원화 금액은 거래의 원화 금액을 분할 비율대로 배분
+export const getCategoryLines = (t, convertToKRW) => {
+    const amountKRW = getTransactionAmountKRW(t, convertToKRW);
+    if (!isSplitTransaction(t)) {
+        return [{ category: t.category || '', tags: t.tags || [], excludeFromBudget: !!t.excludeFromBudget, amountKRW }];
+    }
+    const total = t.originalAmount ?? t.amount;
+    return t.splits.map(split => ({
+        category: split.category || '',
+        tags: split.tags || [],
+        excludeFromBudget: !!split.excludeFromBudget,
+        amountKRW: total ? amountKRW * split.amount / total : 0,
+    }));
+};
+
+// 거래 금액에서 분할 금액 합계를 뺀 나머지 (소수 통화의 부동소수점 오차 제거)
+export const getSplitRemainder = (splits, total) => Math.round((total - splits.reduce((sum, split) => sum + (Number(split.amount) || 0), 0)) * 100) / 100;
+
+// 분할 항목을 포함해 거래가 주어진 카테고리 이름 중 하나에 속하는지 확인
+export const transactionHasCategory = (t, categoryNames) => isSplitTransaction(t)
+    ? t.splits.some(split => categoryNames.includes(split.category))
+    : categoryNames.includes(t.category);
+
+export const transactionHasTag = (t, tag) => (t.tags || []).includes(tag) || (isSplitTransaction(t) && t.splits.some(split => (split.tags || []).includes(tag)));
+
+// --- 카테고리 계층 헬퍼 ---
+// 하위 카테고리 이름 → 상위 카테고리 이름
+export const getParentCategoryMap = (categories) => {
+    const categoriesById = Object.fromEntries(categories.map(cat => [cat.id, cat]));
+    return Object.fromEntries(categories
+        .filter(cat => cat.parentId && categoriesById[cat.parentId])
+        .map(cat => [cat.name, categoriesById[cat.parentId].name]));
+};
+
+// 상위 카테고리 다음에 그 하위 카테고리가 오도록 정렬 [{ ...category, depth }]
+export const getCategoryTree = (categories) => {
+    const parentByName = getParentCategoryMap(categories);
+    const roots = categories.filter(cat => !parentByName[cat.name]);
+    return roots.flatMap(root => [
+        { ...root, depth: 0 },
+        ...categories.filter(cat => parentByName[cat.name] === root.name).map(cat => ({ ...cat, depth: 1 })),
+    ]);
+};
+
+// 카테고리와 그 하위 카테고리 이름 목록
+export const getCategoryWithChildren = (name, categories) => {
+    const parentByName = getParentCategoryMap(categories);
+    return [name, ...categories.filter(cat => parentByName[cat.name] === name).map(cat => cat.name)];
+};
+
+// 하위 카테고리 금액을 상위 카테고리에 합산 (상위 카테고리로 직접 기록된 금액도 유지)
+export const rollUpCategoryAmounts = (amountsByCategory, categories) => {
+    const parentByName = getParentCategoryMap(categories);
+    const rolled = { ...amountsByCategory };
+    Object.entries(amountsByCategory).forEach(([name, amount]) => {
+        const parent = parentByName[name];
+        if (parent) rolled[parent] = (rolled[parent] || 0) + amount;
+    });
+    return rolled;
+};
+
+// --- 계좌/카드 보관 헬퍼 ---
+// 잔액과 투자 평가액이 모두 0이 된 보관 계좌 (대시보드 합계에서 제외)
+export const isClosedAccount = (account) => !!account.isArchived && !(account.holdingsValueKRW > 0)
+    && Object.values(account.balances || {}).every(amount => Math.abs(amount) < 0.005);
+
+// --- 계좌 잔액 및 자산 요약 ---
+// 계좌별 통화 잔액과 원화 평가액 [{ ...account, balances: { [currency]: amount }, holdings, holdingsValueKRW, totalKRW }]
+// 기초 잔액에 거래(이체는 보낸/받은 통화별로)와 투자 매매의 현금 증감을 더하고,
+// 보유 종목은 시세(없으면 마지막 매매가)로 평가하여 계좌 총액에 포함
+export const calculateAccountBalances = (accounts, transactions, investmentTrades, accountsById, holdingsByAccount, pricesByTicker, convertToKRW) => accounts.map(account => {
+    const balances = {};
+    if (account.initialBalance) {
+        balances[account.currency] = account.initialBalance;
+    }
+
+    transactions.forEach(t => {
+        getTransactionLegs(t, accountsById).forEach(leg => {
+            if (leg.accountId === account.id) balances[leg.currency] = (balances[leg.currency] || 0) + leg.amount;
+        });
+    });
+    investmentTrades.forEach(trade => {
+        if (trade.accountId === account.id) balances[trade.currency] = (balances[trade.currency] || 0) + getTradeCashAmount(trade);
+    });
+
+    const holdings = (holdingsByAccount[account.id] || []).map(h => {
+        const price = pricesByTicker[h.ticker]?.price ?? h.lastPrice;
+        const marketValue = h.quantity * price;
+        return { ...h, price, marketValue, marketValueKRW: convertToKRW(marketValue, h.currency), profit: marketValue - h.costBasis, profitKRW: convertToKRW(marketValue - h.costBasis, h.currency) };
+    });
+    const holdingsValueKRW = holdings.reduce((sum, h) => sum + h.marketValueKRW, 0);
+
+    let totalKRW = holdingsValueKRW;
+    Object.entries(balances).forEach(([currency, amount]) => {
+        totalKRW += convertToKRW(amount, currency);
+    });
+
+    return { ...account, balances, holdings, holdingsValueKRW, totalKRW };
+});
+
+// 대시보드 자산 요약. accounts는 calculateAccountBalances의 결과
+// 대출 계좌(남은 원금, 음수 잔액)는 현금성 자산과 분리해 총 자산에서 차감하고, 잔액이 0이 된 보관 계좌는 합계와 통화별 요약에서 제외
+// 총 자산 = 현금성 자산 + 예정 수입 - (예정 지출 + 카드 결제 예정) - 대출 잔액
+export const summarizeAssets = (accounts, cards, cardStatementsById, schedules, accountsById, convertToKRW, today = new Date()) => {
+    const openAccounts = accounts.filter(acc => !isClosedAccount(acc));
+    const assetAccounts = openAccounts.filter(acc => acc.category !== LOAN_CATEGORY);
+    const totalCash = assetAccounts.reduce((sum, acc) => sum + acc.totalKRW, 0);
+    const totalLoanBalance = -openAccounts.filter(acc => acc.category === LOAN_CATEGORY).reduce((sum, acc) => sum + acc.totalKRW, 0);
+
+    const currencySummary = assetAccounts.reduce((summary, account) => {
+        Object.entries(account.balances).forEach(([currency, amount]) => {
+            summary[currency] = (summary[currency] || 0) + amount;
+        });
+        return summary;
+    }, {});
+
+    const cardPayments = cards.map(card => {
+        const statement = getUpcomingCardStatement(cardStatementsById[card.id] || [], today);
+        return { id: `card-${card.id}`, cardId: card.id, description: `${card.name} 결제 예정`, amount: Math.max(statement?.balance || 0, 0), date: statement?.dueDate || today, statementKey: statement?.key, isCardPayment: true };
+    });
+
+    const upcomingSchedules = schedules.filter(s => !s.isCompleted);
+    const upcomingIncomeItems = upcomingSchedules.filter(s => s.type === 'income');
+    // 대출 상환 스케줄은 남은 원금으로 이미 반영되므로 예정 지출에서 제외
+    const upcomingExpenseItems = upcomingSchedules.filter(s => s.type === 'expense' && !s.loanAccountId);
+
+    const totalUpcomingIncome = upcomingIncomeItems.reduce((sum, s) => sum + convertToKRW(s.amount, accountsById[s.accountId]?.currency), 0);
+    const totalUpcomingExpense = upcomingExpenseItems.reduce((sum, s) => sum + convertToKRW(s.amount, accountsById[s.accountId]?.currency), 0);
+    const totalUpcomingPayment = cardPayments.reduce((sum, p) => sum + p.amount, 0);
+
+    return {
+        totalCashAssetInKRW: totalCash,
+        totalAssetInKRW: totalCash + totalUpcomingIncome - (totalUpcomingExpense + totalUpcomingPayment) - totalLoanBalance,
+        upcomingPayments: cardPayments.filter(p => p.amount > 0),
+        assetsByCurrency: currencySummary,
+        totalUpcomingIncome,
+        totalUpcomingExpense,
+        totalLoanBalanceInKRW: totalLoanBalance,
+    };
+};
+
+// --- 반복 예산 헬퍼 ---
+// 날짜를 반복 단위만큼 이동 (월말 날짜는 이동한 달의 말일로 맞춤)
+export const shiftBudgetDate = (date, freq, count) => {
+    if (freq === 'weekly') return new Date(date.getTime() + count * 7 * 24 * 60 * 60 * 1000);
+    const months = freq === 'yearly' ? count * 12 : count;
+    const shifted = addMonths(date, months);
+    if (date.getDate() === daysInMonth(date.getFullYear(), date.getMonth())) {
+        shifted.setDate(daysInMonth(shifted.getFullYear(), shifted.getMonth()));
+    }
+    return shifted;
+};
+
+// 시작일에 맞는 기본 종료일 (다음 기간 시작 전날)
+export const getDefaultBudgetEnd = (start, freq) => {
+    const end = shiftBudgetDate(start, freq, 1);
+    end.setDate(end.getDate() - 1);
+    return end;
+};
+
+// 기간 내 예산 지출 (분할 항목 단위, 상위 카테고리에는 하위 카테고리 지출 합산)
+export const getBudgetSpending = (transactions, start, end, categories, convertToKRW) => {
+    let spent = 0;
+    const spentByCategory = {};
+    transactions
+        .filter(t => {
+            const tDate = toJsDate(t.date);
+            return tDate >= start && tDate <= end && (t.type === 'expense' || t.type === 'card-expense') && !t.excludeFromBudget;
+        })
+        .flatMap(t => getCategoryLines(t, convertToKRW))
+        .filter(line => !line.excludeFromBudget)
+        .forEach(line => {
+            spent += line.amountKRW;
+            if (line.category) spentByCategory[line.category] = (spentByCategory[line.category] || 0) + line.amountKRW;
+        });
+    return { spent, spentByCategory: rollUpCategoryAmounts(spentByCategory, categories) };
+};
+
+// 오늘이 속한 기간의 순번 (첫 기간이 0). 기간을 하나씩 넘기지 않고 날짜 차이로 바로 계산
+const getCurrentBudgetPeriodIndex = (firstStart, freq, today) => {
+    if (!freq || today < firstStart) return 0;
+    let index = freq === 'weekly'
+        ? Math.floor((today - firstStart) / (7 * DAY_MS))
+        : (today.getFullYear() - firstStart.getFullYear()) * (freq === 'yearly' ? 1 : 12) + (freq === 'yearly' ? 0 : today.getMonth() - firstStart.getMonth());
+    if (index > 0 && shiftBudgetDate(firstStart, freq, index) > today) index--;
+    return Math.max(index, 0);
+};
+
+// 이월하지 않는 반복 예산의 기간별 비교에 보여줄 최근 기간 수
+export const BUDGET_HISTORY_PERIODS = 24;
+
+// 예산의 기간별 실적 [{ start, end, totalAmount, categoryBudgets, carriedTotal, carriedByCategory, spent, spentByCategory }]
+// 이월을 켜면 이전 기간의 남은 금액(초과 시 음수)을 다음 기간 예산에 더하므로 첫 기간부터 계산하고,
+// 이월하지 않으면 최근 BUDGET_HISTORY_PERIODS개 기간만 계산. 마지막 항목이 현재 기간
+export const getBudgetPeriods = (budget, transactions, categories, convertToKRW, today = new Date()) => {
+    const firstStart = toJsDate(budget.startDate);
+    const firstEnd = toJsDate(budget.endDate);
+    const freq = budget.recurrence?.freq;
+    const periods = [];
+    const currentIndex = getCurrentBudgetPeriodIndex(firstStart, freq, today);
+    const firstIndex = budget.recurrence?.carryOver ? 0 : Math.max(currentIndex - BUDGET_HISTORY_PERIODS + 1, 0);
+    for (let i = firstIndex; i <= currentIndex; i++) {
+        const start = i === 0 ? firstStart : shiftBudgetDate(firstStart, freq, i);
+        const end = i === 0 ? firstEnd : shiftBudgetDate(firstEnd, freq, i);
+        const previous = periods[periods.length - 1];
+        const carryOver = !!budget.recurrence?.carryOver && !!previous;
+
+        const baseBudgets = budget.categoryBudgets || {};
+        const carriedByCategory = carryOver
+            ? Object.fromEntries(Object.keys(baseBudgets).map(category => [category, previous.categoryBudgets[category] - (previous.spentByCategory[category] || 0)]))
+            : {};
+        const carriedTotal = carryOver ? previous.totalAmount - previous.spent : 0;
+        periods.push({
+            start,
+            end,
+            totalAmount: (budget.totalAmount || 0) + carriedTotal,
+            categoryBudgets: Object.fromEntries(Object.entries(baseBudgets).map(([category, amount]) => [category, amount + (carriedByCategory[category] || 0)])),
+            carriedTotal,
+            carriedByCategory,
+            ...getBudgetSpending(transactions, start, end, categories, convertToKRW),
+        });
+    }
+    return periods;
+};
+
+// --- 예산 알림 헬퍼 ---
+export const DEFAULT_BUDGET_ALERT_THRESHOLDS = [80, 100];
+export const DAY_MS = 24 * 60 * 60 * 1000;
+// 기간 초반에는 며칠 치 지출만으로 기간 전체를 추정하면 크게 부풀려지므로, 7일 또는 기간의 20% 중 짧은 쪽이 지나기 전에는 늘려 잡지 않음
+export const FORECAST_MIN_ELAPSED_DAYS = 7;
+export const FORECAST_MIN_ELAPSED_RATIO = 0.2;
+
+// 기간 종료 시 예상 지출 { projected, projectedByCategory, scheduledTotal }
+// 오늘까지의 지출을 같은 속도로 기간 끝까지 늘리고, 이미 알려진 지출(오늘 이후 날짜의 거래, 기간 내 예정된 지출 일정)을 더함
+// 최소 경과 기간 전에는 오늘까지의 지출을 늘리지 않고 그대로 더함
+export const getBudgetForecast = (period, transactions, schedules, accountsById, categories, convertToKRW, now = new Date()) => {
+    const { start, end } = period;
+    if (now >= end || now < start) {
+        return { projected: period.spent, projectedByCategory: period.spentByCategory, scheduledTotal: 0 };
+    }
+    const toDate = getBudgetSpending(transactions, start, now, categories, convertToKRW);
+    const known = getBudgetSpending(transactions, new Date(now.getTime() + 1), end, categories, convertToKRW);
+    const minElapsed = Math.min(FORECAST_MIN_ELAPSED_DAYS * DAY_MS, (end - start) * FORECAST_MIN_ELAPSED_RATIO);
+    const scale = now - start < minElapsed ? 1 : Math.max((end - start) / (now - start), 1);
+
+    // 대출 상환 일정은 원금을 제외한 이자만 지출로 봄
+    const scheduledTotal = schedules
+        .filter(s => !s.isCompleted && s.type === 'expense')
+        .reduce((sum, s) => {
+            const count = expandScheduleOccurrences(s, end, 60).filter(date => date >= start && date <= end).length;
+            const amount = s.loanAccountId ? s.interest || 0 : s.amount;
+            return sum + count * convertToKRW(amount, accountsById[s.accountId]?.currency);
+        }, 0);
+
+    const projectedByCategory = {};
+    [...Object.keys(toDate.spentByCategory), ...Object.keys(known.spentByCategory)].forEach(category => {
+        projectedByCategory[category] = (toDate.spentByCategory[category] || 0) * scale + (known.spentByCategory[category] || 0);
+    });
+    return { projected: toDate.spent * scale + known.spent + scheduledTotal, projectedByCategory, scheduledTotal };
+};
+
+// 예산 경고 목록 [{ key, budgetId, category(전체는 null), amount, spent, projected, threshold, isForecast }]
+// 실제 지출이 도달한 가장 높은 기준만 남기고, 아직 도달하지 않았어도 예상 지출이 예산을 넘으면 예상 초과로 표시
+export const getBudgetAlerts = (budget, period, forecast) => {
+    const thresholds = budget.alertThresholds?.length > 0 ? budget.alertThresholds : DEFAULT_BUDGET_ALERT_THRESHOLDS;
+    const rows = [
+        { category: null, amount: period.totalAmount, spent: period.spent, projected: forecast.projected },
+        ...Object.entries(period.categoryBudgets).map(([category, amount]) => ({
+            category, amount, spent: period.spentByCategory[category] || 0, projected: forecast.projectedByCategory[category] || 0,
+        })),
+    ];
+    const periodKey = getLocalDateKey(period.start);
+    return rows.filter(row => row.amount > 0).flatMap(row => {
+        const reached = thresholds.filter(threshold => (row.spent / row.amount) * 100 >= threshold);
+        const base = { ...row, budgetId: budget.id };
+        if (reached.length > 0) {
+            const threshold = Math.max(...reached);
+            return [{ ...base, threshold, isForecast: false, key: encodeURIComponent(`${budget.id}_${periodKey}_${row.category || '전체'}_${threshold}`) }];
+        }
+        if (row.projected > row.amount) return [{ ...base, threshold: 100, isForecast: true, key: null }];
+        return [];
+    });
+};
+
+// 예산마다 오늘이 속한 기간의 경고 (기간 밖인 예산은 제외)
+export const getCurrentBudgetAlerts = (budgets, transactions, schedules, accountsById, categories, convertToKRW, now = new Date()) => budgets.flatMap(budget => {
+    const periods = getBudgetPeriods(budget, transactions, categories, convertToKRW, now);
+    const period = periods[periods.length - 1];
+    if (now < period.start || now > period.end) return [];
+    const forecast = getBudgetForecast(period, transactions, schedules, accountsById, categories, convertToKRW, now);
+    return getBudgetAlerts(budget, period, forecast);
+});
+
+// --- 리포트 집계 ---
+const isExpenseTransaction = (t) => t.type === 'expense' || t.type === 'card-expense';
+
+export const getMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// 카테고리별 지출 [{ name, value }] (금액 내림차순, 분할 항목 단위)
+// 상위 카테고리별로 묶고, drillCategory를 주면 그 상위 카테고리의 하위 카테고리별로 나눔
+export const getExpenseByCategory = (transactions, categories, convertToKRW, drillCategory = null) => {
+    const parentCategoryMap = getParentCategoryMap(categories);
+    const expenseByCategory = transactions
+        .filter(isExpenseTransaction)
+        .flatMap(t => getCategoryLines(t, convertToKRW))
+        .filter(line => line.category)
+        .reduce((acc, line) => {
+            const rootCategory = parentCategoryMap[line.category] || line.category;
+            if (drillCategory && rootCategory !== drillCategory) return acc;
+            const key = drillCategory ? line.category : rootCategory;
+            acc[key] = (acc[key] || 0) + line.amountKRW;
+            return acc;
+        }, {});
+    return Object.entries(expenseByCategory).map(([name, value]) => ({ name, value })).sort((a, b) => b.value - a.value);
+};
+
+// 최근 monthCount개월(거래가 있는 달 기준)의 월별 수입/지출 [{ name: 'YYYY-MM', income, expense }]
+export const getMonthlyIncomeExpense = (transactions, convertToKRW, monthCount = 6) => {
+    const months = {};
+    transactions.forEach(t => {
+        const month = getMonthKey(toJsDate(t.date));
+        if (!months[month]) {
+            months[month] = { income: 0, expense: 0 };
+        }
+        const amountInKRW = getTransactionAmountKRW(t, convertToKRW);
+        if (t.type === 'income') {
+            months[month].income += amountInKRW;
+        } else if (isExpenseTransaction(t)) {
+            months[month].expense += amountInKRW;
+        }
+    });
+    return Object.entries(months).map(([name, value]) => ({ name, ...value })).sort((a, b) => a.name.localeCompare(b.name)).slice(-monthCount);
+};
+
+// 거래를 기록한 구성원별 월 지출 (작성자가 없는 예전 거래는 'unknown')
+// { monthly: [{ name: 'YYYY-MM', [uid]: amount }], totals: [{ key, total }] } (totals는 금액 내림차순)
+export const getMemberMonthlyExpense = (transactions, convertToKRW, monthCount = 6) => {
+    const months = {};
+    transactions.filter(isExpenseTransaction).forEach(t => {
+        const month = getMonthKey(toJsDate(t.date));
+        const memberKey = t.createdBy || 'unknown';
+        months[month] = { ...months[month], [memberKey]: (months[month]?.[memberKey] || 0) + getTransactionAmountKRW(t, convertToKRW) };
+    });
+    const monthly = Object.entries(months).map(([name, value]) => ({ name, ...value })).sort((a, b) => a.name.localeCompare(b.name)).slice(-monthCount);
+    const totals = monthly.reduce((acc, row) => {
+        Object.entries(row).filter(([key]) => key !== 'name').forEach(([key, value]) => { acc[key] = (acc[key] || 0) + value; });
+        return acc;
+    }, {});
+    return { monthly, totals: Object.entries(totals).map(([key, total]) => ({ key, total })).sort((a, b) => b.total - a.total) };
+};
+
+// 최근 dayCount일의 일별 수입/지출 [{ date: 'YYYY-MM-DD', income, expense }] (거래가 있는 날만, 로컬 날짜 기준)
+export const getDailyTrend = (transactions, convertToKRW, dayCount = 30, now = new Date()) => {
+    const since = new Date(now);
+    since.setDate(since.getDate() - dayCount);
+
+    const daily = {};
+    transactions
+        .filter(t => toJsDate(t.date) >= since)
+        .forEach(t => {
+            const dateStr = getLocalDateKey(toJsDate(t.date));
+            if (!daily[dateStr]) {
+                daily[dateStr] = { date: dateStr, income: 0, expense: 0 };
+            }
+            const amountKRW = getTransactionAmountKRW(t, convertToKRW);
+            if (t.type === 'income') {
+                daily[dateStr].income += amountKRW;
+            } else if (isExpenseTransaction(t)) {
+                daily[dateStr].expense += amountKRW;
+            }
+        });
+
+    return Object.values(daily).sort((a, b) => a.date.localeCompare(b.date));
+};
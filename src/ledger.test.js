@@ -0,0 +1,444 @@
+import { describe, expect, test } from 'vitest';
+import {
+    toJsDate, getNextOccurrence, expandScheduleOccurrences, getStatementForDate, buildCardStatements, buildCardStatementsById,
+    getUpcomingCardStatement, buildRateHistory, createKRWConverter, getTransactionAmountKRW, getFxGainLossReport, buildHoldings, getRemainingTransferLeg,
+    calculateAccountBalances, summarizeAssets, getBudgetSpending, getBudgetPeriods, BUDGET_HISTORY_PERIODS, getBudgetForecast, getBudgetAlerts,
+    getExpenseByCategory, getMonthlyIncomeExpense, getMemberMonthlyExpense, getDailyTrend,
+} from './ledger';
+
+// 날짜 필드는 Firestore Timestamp처럼 toDate()만 가진 값으로도 넘겨 봄
+const ts = (date) => ({ toDate: () => date });
+
+const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+
+const rates = { USD: 1400, JPY: 9 };
+const convertToKRW = createKRWConverter(rates);
+
+const categories = [
+    { id: 'food', name: '식비' },
+    { id: 'eatout', name: '외식', parentId: 'food' },
+    { id: 'grocery', name: '장보기', parentId: 'food' },
+    { id: 'living', name: '생활' },
+];
+
+describe('날짜와 반복 일정', () => {
+    test('Timestamp와 Date를 모두 Date로 바꾼다', () => {
+        const date = new Date(2024, 0, 1);
+        expect(toJsDate(date)).toBe(date);
+        expect(toJsDate(ts(date))).toBe(date);
+    });
+
+    test('말일 기준 반복은 짧은 달의 말일로 맞춘다', () => {
+        const next = getNextOccurrence(new Date(2024, 0, 31, 9, 0), { freq: 'monthly', interval: 1, dayOfMonth: 31 });
+        expect(next).toEqual(new Date(2024, 1, 29, 9, 0));
+    });
+
+    test('마지막 영업일 반복은 주말을 건너뛴다', () => {
+        // 2024-08-31은 토요일
+        const next = getNextOccurrence(new Date(2024, 6, 31), { freq: 'lastBusinessDay' });
+        expect(next).toEqual(new Date(2024, 7, 30));
+    });
+
+    test('반복 횟수에 도달하면 더 이상 발생하지 않는다', () => {
+        const schedule = { date: ts(new Date(2024, 0, 25)), completedCount: 1, recurrence: { freq: 'monthly', interval: 1, dayOfMonth: 25, count: 3 } };
+        expect(expandScheduleOccurrences(schedule, new Date(2024, 11, 31))).toEqual([new Date(2024, 0, 25), new Date(2024, 1, 25)]);
+    });
+});
+
+describe('계좌 잔액', () => {
+    const accounts = [
+        { id: 'krw', name: '원화 통장', currency: 'KRW', category: '은행', initialBalance: 2000000 },
+        { id: 'krw2', name: '비상금', currency: 'KRW', category: '은행' },
+        { id: 'usd', name: '달러 통장', currency: 'USD', category: '은행', initialBalance: 100 },
+    ];
+    const accountsById = byId(accounts);
+    const calculate = (transactions, trades = [], pricesByTicker = {}) => byId(calculateAccountBalances(
+        accounts, transactions, trades, accountsById, buildHoldings(trades), pricesByTicker, convertToKRW,
+    ));
+
+    test('수입, 지출, 카드 대금 결제를 반영하고 카드 이용은 계좌에 반영하지 않는다', () => {
+        const result = calculate([
+            { type: 'income', accountId: 'krw', amount: 500000, date: new Date(2024, 0, 1) },
+            { type: 'expense', accountId: 'krw', amount: 30000, date: new Date(2024, 0, 2) },
+            { type: 'card-expense', cardId: 'c1', amount: 20000, date: new Date(2024, 0, 3) },
+            { type: 'payment', accountId: 'krw', cardId: 'c1', amount: 20000, date: new Date(2024, 1, 14) },
+        ]);
+        expect(result.krw.balances).toEqual({ KRW: 2450000 });
+        expect(result.krw.totalKRW).toBe(2450000);
+    });
+
+    test('같은 통화 이체는 보낸 계좌에서 빼고 받은 계좌에 더한다', () => {
+        const result = calculate([{ type: 'transfer', accountId: 'krw', toAccountId: 'krw2', amount: 10000, date: new Date(2024, 0, 1) }]);
+        expect(result.krw.balances.KRW).toBe(1990000);
+        expect(result.krw2.balances).toEqual({ KRW: 10000 });
+    });
+
+    test('환전 이체는 보낸 금액과 수수료를 보낸 통화로, 받은 금액을 받은 통화로 반영한다', () => {
+        const result = calculate([
+            { type: 'transfer', accountId: 'krw', toAccountId: 'usd', amount: 1350000, originalAmount: 1350000, originalCurrency: 'KRW', transferFee: 1000, toAmount: 1000, toCurrency: 'USD', date: new Date(2024, 0, 1) },
+            { type: 'expense', accountId: 'usd', amount: 50, originalAmount: 50, originalCurrency: 'USD', date: new Date(2024, 0, 2) },
+        ]);
+        expect(result.krw.balances).toEqual({ KRW: 649000 });
+        expect(result.usd.balances).toEqual({ USD: 1050 });
+        expect(result.usd.totalKRW).toBe(1050 * 1400);
+    });
+
+    test('받은 금액이 없는 예전 이체는 보낸 금액과 통화를 그대로 받은 것으로 본다', () => {
+        const result = calculate([{ type: 'transfer', accountId: 'usd', toAccountId: 'krw2', amount: 10, originalCurrency: 'USD', date: new Date(2024, 0, 1) }]);
+        expect(result.usd.balances).toEqual({ USD: 90 });
+        expect(result.krw2.balances).toEqual({ USD: 10 });
+        expect(result.krw2.totalKRW).toBe(14000);
+    });
+
+    test('투자 매매는 현금 잔액에 반영하고 보유 종목은 시세로 평가한다', () => {
+        const trades = [
+            { accountId: 'krw', ticker: 'AAPL', side: 'buy', quantity: 10, price: 100, fee: 5, currency: 'USD', date: ts(new Date(2024, 0, 1)) },
+            { accountId: 'krw', ticker: 'AAPL', side: 'sell', quantity: 4, price: 150, fee: 0, currency: 'USD', date: ts(new Date(2024, 1, 1)) },
+        ];
+        const { krw } = calculate([], trades, { AAPL: { ticker: 'AAPL', price: 200 } });
+        expect(krw.balances).toEqual({ KRW: 2000000, USD: -405 });
+        expect(krw.holdings).toHaveLength(1);
+        expect(krw.holdings[0].quantity).toBe(6);
+        expect(krw.holdings[0].costBasis).toBeCloseTo(603);
+        expect(krw.holdings[0].realized).toBeCloseTo(198);
+        expect(krw.holdingsValueKRW).toBe(1200 * 1400);
+        expect(krw.totalKRW).toBeCloseTo(2000000 + 1200 * 1400 - 405 * 1400);
+    });
+});
+
+describe('이체 정리', () => {
+    const accountsById = byId([{ id: 'a', currency: 'KRW' }, { id: 'b', currency: 'KRW' }]);
+    const transfer = { type: 'transfer', accountId: 'a', toAccountId: 'b', amount: 10000, originalAmount: 10000, originalCurrency: 'KRW', transferFee: 500 };
+
+    test('남는 계좌가 보낸 쪽이면 수수료를 포함한 지출로 바꾼다', () => {
+        expect(getRemainingTransferLeg(transfer, 'a', accountsById)).toMatchObject({ type: 'expense', accountId: 'a', amount: 10500, toAccountId: null, transferFee: null });
+    });
+
+    test('남는 계좌가 받은 쪽이면 받은 금액의 수입으로 바꾼다', () => {
+        expect(getRemainingTransferLeg({ ...transfer, toAmount: 9800 }, 'b', accountsById)).toMatchObject({ type: 'income', accountId: 'b', amount: 9800, originalCurrency: 'KRW' });
+    });
+});
+
+describe('투자 보유 종목', () => {
+    const buy = { accountId: 'sec', ticker: 'AAPL', side: 'buy', quantity: 10, price: 100, fee: 10, currency: 'USD', date: ts(new Date(2024, 0, 1)) };
+    const sell = (quantity, fee, month) => ({ accountId: 'sec', ticker: 'AAPL', side: 'sell', quantity, price: 150, fee, currency: 'USD', date: ts(new Date(2024, month, 1)) });
+
+    test('매도는 이동평균 단가로 원가를 줄이고 실현손익에서 매도 수수료를 뺀다', () => {
+        const [holding] = buildHoldings([sell(4, 8, 1), buy]).sec;
+        expect(holding).toMatchObject({ quantity: 6, lastPrice: 150 });
+        expect(holding.costBasis).toBeCloseTo(606);
+        expect(holding.averageCost).toBeCloseTo(101);
+        expect(holding.realized).toBeCloseTo(600 - 8 - 404);
+    });
+
+    test('보유 수량을 넘는 매도는 보유분만 손익에 반영하고 수수료도 그 비율만큼 뺀다', () => {
+        const [holding] = buildHoldings([buy, sell(4, 8, 1), sell(10, 10, 2)]).sec;
+        expect(holding.quantity).toBe(0);
+        expect(holding.costBasis).toBeCloseTo(0);
+        // 두 번째 매도는 남은 6주만: 6 * 150 - 10 * 0.6 - 6 * 101
+        expect(holding.realized).toBeCloseTo(188 + 900 - 6 - 606);
+    });
+
+    test('배당은 수수료를 빼고 보유 수량에는 영향을 주지 않는다', () => {
+        const [holding] = buildHoldings([buy, { accountId: 'sec', ticker: 'AAPL', side: 'dividend', amount: 30, fee: 3, currency: 'USD', date: ts(new Date(2024, 3, 1)) }]).sec;
+        expect(holding).toMatchObject({ quantity: 10, dividends: 27, realized: 0 });
+    });
+});
+
+describe('환율 이력과 환산', () => {
+    const rateHistory = buildRateHistory([
+        { symbol: 'USD', date: ts(new Date(2024, 2, 1)), rate: 1400 },
+        { symbol: 'USD', date: ts(new Date(2024, 0, 1)), rate: 1300 },
+    ]);
+    const convert = createKRWConverter({ USD: 1450 }, rateHistory);
+
+    test('거래일 또는 그 이전의 가장 최근 환율을 쓴다', () => {
+        expect(convert(1, 'USD', new Date(2024, 1, 15))).toBe(1300);
+        expect(convert(1, 'USD', ts(new Date(2024, 2, 1)))).toBe(1400);
+    });
+
+    test('이력보다 앞선 날짜는 가장 오래된 환율을, 날짜가 없으면 현재 환율을 쓴다', () => {
+        expect(convert(2, 'USD', new Date(2023, 5, 1))).toBe(2600);
+        expect(convert(2, 'USD')).toBe(2900);
+    });
+
+    test('원화는 그대로, 환율이 없는 통화는 1로 환산한다', () => {
+        expect(convert(1000, 'KRW')).toBe(1000);
+        expect(convert(1000)).toBe(1000);
+        expect(convert(5, 'EUR')).toBe(5);
+    });
+
+    test('입력 시점에 저장한 원화 금액이 있으면 환율보다 우선한다', () => {
+        const t = { amount: 10, originalAmount: 10, originalCurrency: 'USD', date: ts(new Date(2024, 1, 1)) };
+        expect(getTransactionAmountKRW(t, convert)).toBe(13000);
+        expect(getTransactionAmountKRW({ ...t, amountKRW: 13500 }, convert)).toBe(13500);
+    });
+
+    test('환전 원가로 실현/미실현 환차손익을 나눈다', () => {
+        const accounts = [{ id: 'krw', currency: 'KRW' }, { id: 'usd', currency: 'USD' }];
+        const historyConvert = createKRWConverter({ USD: 1450 }, buildRateHistory([
+            { symbol: 'USD', date: new Date(2024, 0, 1), rate: 1300 },
+            { symbol: 'USD', date: new Date(2024, 5, 1), rate: 1400 },
+        ]));
+        const transactions = [
+            { type: 'transfer', accountId: 'krw', toAccountId: 'usd', amount: 1300000, originalCurrency: 'KRW', toAmount: 1000, toCurrency: 'USD', date: new Date(2024, 0, 10) },
+            { type: 'transfer', accountId: 'usd', toAccountId: 'krw', amount: 500, originalCurrency: 'USD', toAmount: 700000, toCurrency: 'KRW', date: new Date(2024, 6, 1) },
+        ];
+        const [usd] = getFxGainLossReport(accounts, transactions, byId(accounts), historyConvert, new Date(2024, 0, 1), new Date(2024, 11, 31));
+        expect(usd.currency).toBe('USD');
+        expect(usd.endQuantity).toBe(500);
+        expect(usd.averageCost).toBe(1300);
+        expect(usd.realized).toBe(50000);
+        expect(usd.endValue).toBe(700000);
+        expect(usd.unrealized).toBe(50000);
+        expect(usd.netFlow).toBe(600000);
+    });
+});
+
+describe('카드 명세서', () => {
+    // 매월 말일 마감, 다음 달 14일 결제
+    const card = { id: 'c1', name: '생활카드', usageEndDay: 31, paymentDay: 14 };
+
+    test('이용일이 속한 명세서는 말일 마감과 윤년 2월을 반영한다', () => {
+        expect(getStatementForDate(card, new Date(2024, 0, 31, 23, 0)).key).toBe('2024-02');
+        expect(getStatementForDate(card, new Date(2024, 1, 1)).key).toBe('2024-03');
+        expect(getStatementForDate(card, new Date(2024, 1, 29, 12, 0)).key).toBe('2024-03');
+        expect(getStatementForDate(card, new Date(2024, 2, 1)).key).toBe('2024-04');
+    });
+
+    test('마감일이 결제일보다 앞서면 같은 달에 결제한다', () => {
+        const sameMonthCard = { id: 'c2', usageEndDay: 15, paymentDay: 25 };
+        const january = getStatementForDate(sameMonthCard, new Date(2024, 0, 10));
+        expect(january.key).toBe('2024-01');
+        expect(january.dueDate).toEqual(new Date(2024, 0, 25));
+        expect(getStatementForDate(sameMonthCard, new Date(2024, 0, 20)).key).toBe('2024-02');
+    });
+
+    test('월말을 넘는 이용 기간이 빈틈없이 이어진다', () => {
+        const midMonthCard = { id: 'c3', usageEndDay: 20, paymentDay: 5 };
+        const first = getStatementForDate(midMonthCard, new Date(2024, 0, 25));
+        const second = getStatementForDate(midMonthCard, new Date(2024, 1, 25));
+        expect(first.start).toEqual(new Date(2024, 0, 21));
+        expect(first.end.getTime() + 1).toBe(second.start.getTime());
+    });
+
+    describe('할부, 부분 결제, 승인취소', () => {
+        const transactions = [
+            { id: 't1', type: 'card-expense', cardId: 'c1', amount: 30000, installmentMonths: 3, date: ts(new Date(2024, 0, 15)) },
+            { id: 't2', type: 'card-expense', cardId: 'c1', amount: -2000, date: ts(new Date(2024, 2, 18)) },
+            { id: 'p1', type: 'payment', accountId: 'krw', cardId: 'c1', statementKey: '2024-02', amount: 4000, date: ts(new Date(2024, 1, 14)) },
+            { id: 'other', type: 'card-expense', cardId: 'c9', amount: 99999, date: ts(new Date(2024, 0, 15)) },
+        ];
+        const today = new Date(2024, 2, 20);
+        const statements = buildCardStatements(card, transactions, today);
+
+        test('할부는 회차별로 각 명세서에 청구한다', () => {
+            expect(statements.map(s => s.key)).toEqual(['2024-02', '2024-03', '2024-04']);
+            expect(statements.map(s => s.totalAmount)).toEqual([10000, 10000, 8000]);
+        });
+
+        test('결제하지 못한 잔액은 다음 명세서로 이월되고 연체로 표시된다', () => {
+            const [february, march, april] = statements;
+            expect(february.settledAmount).toBe(4000);
+            expect(february.balance).toBe(6000);
+            expect(february.isOverdue).toBe(true);
+            expect(march.previousBalance).toBe(6000);
+            expect(march.amountDue).toBe(16000);
+            expect(april.amountDue).toBe(24000);
+            expect(april.isClosed).toBe(false);
+            expect(april.isOverdue).toBe(false);
+        });
+
+        test('결제 예정 명세서는 결제일이 오늘 이후인 가장 가까운 명세서다', () => {
+            const upcoming = getUpcomingCardStatement(statements, today);
+            expect(upcoming.key).toBe('2024-04');
+            expect(upcoming.balance).toBe(24000);
+            expect(buildCardStatementsById([card], transactions, today).c1).toEqual(statements);
+        });
+    });
+});
+
+describe('자산 요약', () => {
+    const today = new Date(2024, 2, 20);
+    const accounts = [
+        { id: 'bank', currency: 'KRW', category: '은행', initialBalance: 1000000 },
+        { id: 'usd', currency: 'USD', category: '은행', initialBalance: 100 },
+        { id: 'loan', currency: 'KRW', category: '대출', initialBalance: -5000000 },
+        { id: 'closed', currency: 'KRW', category: '은행', initialBalance: 0, isArchived: true },
+    ];
+    const accountsById = byId(accounts);
+    const cards = [{ id: 'c1', name: '생활카드', usageEndDay: 31, paymentDay: 14 }, { id: 'c2', name: '안 쓰는 카드', usageEndDay: 31, paymentDay: 14 }];
+    const transactions = [{ id: 't1', type: 'card-expense', cardId: 'c1', amount: 24000, date: new Date(2024, 2, 5) }];
+    const schedules = [
+        { type: 'income', accountId: 'bank', amount: 2000000 },
+        { type: 'expense', accountId: 'usd', amount: 100 },
+        { type: 'expense', accountId: 'bank', amount: 500000, loanAccountId: 'loan' },
+        { type: 'expense', accountId: 'bank', amount: 999999, isCompleted: true },
+    ];
+    const withBalances = calculateAccountBalances(accounts, transactions, [], accountsById, {}, {}, convertToKRW);
+    const summary = summarizeAssets(withBalances, cards, buildCardStatementsById(cards, transactions, today), schedules, accountsById, convertToKRW, today);
+
+    test('대출과 잔액이 0인 보관 계좌는 현금성 자산에서 제외한다', () => {
+        expect(summary.totalCashAssetInKRW).toBe(1000000 + 140000);
+        expect(summary.totalLoanBalanceInKRW).toBe(5000000);
+        expect(summary.assetsByCurrency).toEqual({ KRW: 1000000, USD: 100 });
+    });
+
+    test('예정 수입/지출은 계좌 통화로 환산하고 대출 상환 일정과 완료된 일정은 제외한다', () => {
+        expect(summary.totalUpcomingIncome).toBe(2000000);
+        expect(summary.totalUpcomingExpense).toBe(140000);
+    });
+
+    test('결제할 금액이 있는 카드만 결제 예정에 포함하고 총 자산에서 뺀다', () => {
+        expect(summary.upcomingPayments).toHaveLength(1);
+        expect(summary.upcomingPayments[0]).toMatchObject({ cardId: 'c1', amount: 24000, statementKey: '2024-04', date: new Date(2024, 3, 14) });
+        expect(summary.totalAssetInKRW).toBe(1140000 + 2000000 - (140000 + 24000) - 5000000);
+    });
+});
+
+describe('예산', () => {
+    const transactions = [
+        { type: 'expense', accountId: 'bank', amount: 40000, category: '외식', date: ts(new Date(2024, 0, 5)) },
+        {
+            type: 'card-expense', cardId: 'c1', amount: 50000, date: ts(new Date(2024, 0, 10)),
+            splits: [{ amount: 30000, category: '장보기' }, { amount: 20000, category: '생활', excludeFromBudget: true }],
+        },
+        { type: 'expense', accountId: 'bank', amount: 100000, category: '생활', excludeFromBudget: true, date: ts(new Date(2024, 0, 12)) },
+        { type: 'income', accountId: 'bank', amount: 3000000, category: '급여', date: ts(new Date(2024, 0, 25)) },
+        { type: 'expense', accountId: 'usd', amount: 10, originalAmount: 10, originalCurrency: 'USD', category: '외식', date: ts(new Date(2024, 1, 3)) },
+    ];
+
+    test('기간 내 지출을 분할 항목 단위로 모으고 하위 카테고리를 상위로 합산한다', () => {
+        const { spent, spentByCategory } = getBudgetSpending(transactions, new Date(2024, 0, 1), new Date(2024, 0, 31, 23, 59, 59), categories, convertToKRW);
+        expect(spent).toBe(70000);
+        expect(spentByCategory).toEqual({ 외식: 40000, 장보기: 30000, 식비: 70000 });
+    });
+
+    test('반복 예산은 오늘까지 기간을 만들고 남거나 초과한 금액을 이월한다', () => {
+        const budget = {
+            id: 'b1', totalAmount: 100000, categoryBudgets: { 식비: 50000 },
+            startDate: ts(new Date(2024, 0, 1)), endDate: ts(new Date(2024, 0, 31, 23, 59, 59)),
+            recurrence: { freq: 'monthly', carryOver: true },
+        };
+        const periods = getBudgetPeriods(budget, transactions, categories, convertToKRW, new Date(2024, 1, 10));
+        expect(periods).toHaveLength(2);
+        const [january, february] = periods;
+        expect(january.spent).toBe(70000);
+        expect(february.start).toEqual(new Date(2024, 1, 1));
+        expect(february.end).toEqual(new Date(2024, 1, 29, 23, 59, 59));
+        expect(february.carriedTotal).toBe(30000);
+        expect(february.totalAmount).toBe(130000);
+        expect(february.carriedByCategory).toEqual({ 식비: -20000 });
+        expect(february.categoryBudgets).toEqual({ 식비: 30000 });
+        expect(february.spentByCategory).toEqual({ 외식: 14000, 식비: 14000 });
+    });
+
+    test('이월하지 않는 예산은 매 기간 같은 금액으로 시작한다', () => {
+        const budget = {
+            id: 'b2', totalAmount: 100000, categoryBudgets: {},
+            startDate: ts(new Date(2024, 0, 1)), endDate: ts(new Date(2024, 0, 7, 23, 59, 59)),
+            recurrence: { freq: 'weekly', carryOver: false },
+        };
+        const periods = getBudgetPeriods(budget, transactions, categories, convertToKRW, new Date(2024, 0, 20));
+        expect(periods.map(p => p.start)).toEqual([new Date(2024, 0, 1), new Date(2024, 0, 8), new Date(2024, 0, 15)]);
+        expect(periods.every(p => p.totalAmount === 100000)).toBe(true);
+    });
+
+    test('오래된 반복 예산도 오늘이 속한 기간까지 계산한다', () => {
+        const weekly = {
+            id: 'b3', totalAmount: 100000, categoryBudgets: {},
+            startDate: ts(new Date(2010, 0, 4)), endDate: ts(new Date(2010, 0, 10, 23, 59, 59)),
+            recurrence: { freq: 'weekly', carryOver: false },
+        };
+        const today = new Date(2024, 5, 12);
+        const periods = getBudgetPeriods(weekly, transactions, categories, convertToKRW, today);
+        expect(periods).toHaveLength(BUDGET_HISTORY_PERIODS);
+        const current = periods[periods.length - 1];
+        expect(current.start <= today && today <= current.end).toBe(true);
+
+        const monthly = {
+            id: 'b4', totalAmount: 100000, categoryBudgets: {},
+            startDate: ts(new Date(2024, 0, 31)), endDate: ts(new Date(2024, 1, 29, 23, 59, 59)),
+            recurrence: { freq: 'monthly', carryOver: true },
+        };
+        const monthlyPeriods = getBudgetPeriods(monthly, transactions, categories, convertToKRW, new Date(2024, 3, 15));
+        expect(monthlyPeriods.map(p => p.start)).toEqual([new Date(2024, 0, 31), new Date(2024, 1, 29), new Date(2024, 2, 31)]);
+    });
+
+    test('지출 속도로 기간 말 지출을 예상하고 예정된 거래와 일정을 더한다', () => {
+        const period = { start: new Date(2024, 1, 1), end: new Date(2024, 1, 29), spent: 0, spentByCategory: {} };
+        const now = new Date(2024, 1, 15);
+        const forecastTransactions = [
+            { type: 'expense', accountId: 'bank', amount: 10000, category: '외식', date: ts(new Date(2024, 1, 5)) },
+            { type: 'expense', accountId: 'bank', amount: 3000, category: '장보기', date: ts(new Date(2024, 1, 20)) },
+        ];
+        const schedules = [
+            { type: 'expense', accountId: 'bank', amount: 5000, date: ts(new Date(2024, 1, 25)) },
+            { type: 'expense', accountId: 'bank', amount: 700000, interest: 2000, loanAccountId: 'loan', date: ts(new Date(2024, 1, 26)) },
+        ];
+        const forecast = getBudgetForecast(period, forecastTransactions, schedules, { bank: { currency: 'KRW' } }, categories, convertToKRW, now);
+        expect(forecast.scheduledTotal).toBe(7000);
+        expect(forecast.projected).toBe(10000 * 2 + 3000 + 7000);
+        expect(forecast.projectedByCategory).toEqual({ 외식: 20000, 식비: 23000, 장보기: 3000 });
+    });
+
+    test('기간 초반에는 지출을 늘려 잡지 않아 첫날의 지출로 초과 예상이 나지 않는다', () => {
+        const budget = { id: 'b1' };
+        const period = { start: new Date(2024, 1, 1), end: new Date(2024, 1, 29, 23, 59, 59), totalAmount: 300000, spent: 50000, categoryBudgets: {}, spentByCategory: {} };
+        const firstDay = [{ type: 'expense', accountId: 'bank', amount: 50000, category: '생활', date: ts(new Date(2024, 1, 1, 9, 0)) }];
+        const early = getBudgetForecast(period, firstDay, [], { bank: { currency: 'KRW' } }, categories, convertToKRW, new Date(2024, 1, 1, 18, 0));
+        expect(early.projected).toBe(50000);
+        expect(getBudgetAlerts(budget, period, early)).toEqual([]);
+
+        // 최소 경과 기간(7일 또는 기간의 20%)이 지나면 지출 속도로 추정
+        const later = getBudgetForecast(period, firstDay, [], { bank: { currency: 'KRW' } }, categories, convertToKRW, new Date(2024, 1, 8));
+        expect(later.projected).toBeCloseTo(50000 * (period.end - period.start) / (new Date(2024, 1, 8) - period.start));
+    });
+
+    test('도달한 가장 높은 기준과 예상 초과를 경고한다', () => {
+        const budget = { id: 'b1', alertThresholds: [50, 80, 100] };
+        const period = { start: new Date(2024, 1, 1), totalAmount: 100000, spent: 85000, categoryBudgets: { 식비: 50000, 생활: 20000, 교통: 0 }, spentByCategory: { 식비: 10000, 생활: 5000 } };
+        const forecast = { projected: 120000, projectedByCategory: { 식비: 60000, 생활: 8000 } };
+        const alerts = getBudgetAlerts(budget, period, forecast);
+        expect(alerts.map(a => [a.category, a.threshold, a.isForecast])).toEqual([[null, 80, false], ['식비', 100, true]]);
+        expect(alerts[0].key).toBe(encodeURIComponent('b1_2024-02-01_전체_80'));
+    });
+});
+
+describe('리포트 집계', () => {
+    const transactions = [
+        { type: 'expense', amount: 40000, category: '외식', createdBy: 'alice', date: ts(new Date(2024, 0, 5, 8, 0)) },
+        { type: 'card-expense', amount: 30000, category: '장보기', createdBy: 'bob', date: ts(new Date(2024, 0, 5, 20, 0)) },
+        { type: 'expense', amount: 10000, category: '생활', date: ts(new Date(2024, 1, 1)) },
+        { type: 'expense', amount: 10, originalAmount: 10, originalCurrency: 'USD', amountKRW: 13000, category: '외식', createdBy: 'alice', date: ts(new Date(2024, 1, 2)) },
+        { type: 'income', amount: 3000000, category: '급여', date: ts(new Date(2024, 1, 25)) },
+        { type: 'transfer', amount: 500000, date: ts(new Date(2024, 1, 26)) },
+    ];
+
+    test('카테고리별 지출은 상위 카테고리로 묶고 선택한 상위 카테고리는 하위별로 나눈다', () => {
+        expect(getExpenseByCategory(transactions, categories, convertToKRW)).toEqual([{ name: '식비', value: 83000 }, { name: '생활', value: 10000 }]);
+        expect(getExpenseByCategory(transactions, categories, convertToKRW, '식비')).toEqual([{ name: '외식', value: 53000 }, { name: '장보기', value: 30000 }]);
+    });
+
+    test('월별 수입/지출은 최근 개월만 남기고 이체는 제외한다', () => {
+        expect(getMonthlyIncomeExpense(transactions, convertToKRW)).toEqual([
+            { name: '2024-01', income: 0, expense: 70000 },
+            { name: '2024-02', income: 3000000, expense: 23000 },
+        ]);
+        expect(getMonthlyIncomeExpense(transactions, convertToKRW, 1)).toEqual([{ name: '2024-02', income: 3000000, expense: 23000 }]);
+    });
+
+    test('구성원별 월 지출은 작성자가 없는 거래를 unknown으로 모은다', () => {
+        const { monthly, totals } = getMemberMonthlyExpense(transactions, convertToKRW);
+        expect(monthly).toEqual([{ name: '2024-01', alice: 40000, bob: 30000 }, { name: '2024-02', unknown: 10000, alice: 13000 }]);
+        expect(totals).toEqual([{ key: 'alice', total: 53000 }, { key: 'bob', total: 30000 }, { key: 'unknown', total: 10000 }]);
+    });
+
+    test('일별 추이는 최근 기간의 거래를 로컬 날짜별로 모은다', () => {
+        expect(getDailyTrend(transactions.slice(0, 4), convertToKRW, 30, new Date(2024, 1, 3))).toEqual([
+            { date: '2024-01-05', income: 0, expense: 70000 },
+            { date: '2024-02-01', income: 0, expense: 10000 },
+            { date: '2024-02-02', income: 0, expense: 13000 },
+        ]);
+    });
+});
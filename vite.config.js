@@ -1,7 +1,35 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// 배포 빌드에서 해시가 붙은 JS/CSS 목록과 캐시 버전을 public/sw.js에 채워 넣음
+// (설치 직후 오프라인이 되어도 앱이 열리고, 새 배포가 활성화되면 이전 빌드 캐시가 정리되도록)
+const serviceWorkerAssets = () => ({
+  name: 'service-worker-assets',
+  apply: 'build',
+  writeBundle(options, bundle) {
+    const assets = Object.keys(bundle).filter(file => /\.(js|css)$/.test(file)).sort().map(file => `/${file}`)
+    const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+    const swPath = join(options.dir, 'sw.js')
+    const source = readFileSync(swPath, 'utf8')
+      .replace("const CACHE_VERSION = 'dev';", `const CACHE_VERSION = '${version}';`)
+      .replace('const BUILD_ASSETS = [];', `const BUILD_ASSETS = ${JSON.stringify(assets)};`)
+    writeFileSync(swPath, source)
+  },
+})
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
-})
\ No newline at end of file
+  plugins: [react(), serviceWorkerAssets()],
+  test: {
+    // npm run test:rules는 firebase emulators:exec 안에서 실행되며, 앱도 같은 데모 프로젝트의 에뮬레이터를 가리키도록 설정
+    env: {
+      VITE_API_KEY: 'demo-api-key',
+      VITE_AUTH_DOMAIN: 'demo-household.firebaseapp.com',
+      VITE_PROJECT_ID: 'demo-household',
+      VITE_USE_EMULATOR: 'true',
+    },
+  },
+})